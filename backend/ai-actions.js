@@ -0,0 +1,168 @@
+import { parseFileTags } from './attachments.js';
+
+// Actions the AI can ask for in its answer, written as JSON in a fenced block:
+//   ```jinn-action
+//   {"action": "send_file", "path": "/Users/me/Desktop/report.pdf", "caption": "May report"}
+//   ```
+// A block holds one action or an array of them, and [SEND_FILE:/path|caption] tags are
+// shorthand for send_file. Every action is checked against ACTION_SCHEMAS before it runs;
+// nothing else in the answer (such as a path merely mentioned) triggers anything.
+
+const BLOCK = /```jinn-action[^\n]*\n([\s\S]*?)```/g;
+export const MAX_SCHEDULE_MINUTES = 30 * 24 * 60;
+
+// Field types: 'string', 'number' or 'action' (another action, checked in turn)
+export const ACTION_SCHEMAS = {
+  send_file: {
+    description: 'Send a file, or a folder as a zip, from the allowed folders',
+    fields: {
+      path: { type: 'string', required: true, description: 'absolute path' },
+      caption: { type: 'string', maxLength: 1000 }
+    }
+  },
+  send_image: {
+    description: 'Send an image from the allowed folders or the web',
+    fields: {
+      path: { type: 'string', description: 'absolute path of a .png, .jpg, .gif or .webp file' },
+      url: { type: 'string', pattern: /^https?:\/\//, description: 'http(s) URL of an image' },
+      caption: { type: 'string', maxLength: 1000 }
+    },
+    oneOf: ['path', 'url']
+  },
+  schedule_message: {
+    description: 'Send a message to this chat later',
+    fields: {
+      text: { type: 'string', required: true, maxLength: 4000 },
+      at: { type: 'string', description: 'ISO 8601 date and time, e.g. 2024-05-01T09:00:00' },
+      in_minutes: { type: 'number', min: 1, max: MAX_SCHEDULE_MINUTES }
+    },
+    oneOf: ['at', 'in_minutes']
+  },
+  react: {
+    description: "React to the user's message with an emoji",
+    fields: {
+      emoji: { type: 'string', required: true, maxLength: 8 }
+    }
+  },
+  ask_confirmation: {
+    description: 'Ask the user before running another action',
+    fields: {
+      question: { type: 'string', required: true, maxLength: 500 },
+      on_yes: { type: 'action', required: true, description: 'the action to run if the user agrees' }
+    }
+  }
+};
+
+// { action } with the checked action, or { error } saying what is wrong
+export function validateAction(input, { nested = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'an action must be a JSON object' };
+  }
+  const schema = ACTION_SCHEMAS[input.action];
+  if (!schema) {
+    return { error: `unknown action "${input.action}" (known: ${Object.keys(ACTION_SCHEMAS).join(', ')})` };
+  }
+  const name = input.action;
+  if (nested && name === 'ask_confirmation') {
+    return { error: 'ask_confirmation cannot ask about another ask_confirmation' };
+  }
+
+  const action = { action: name };
+  for (const [key, value] of Object.entries(input)) {
+    if (key !== 'action' && !schema.fields[key]) return { error: `${name} has no field "${key}"` };
+  }
+
+  for (const [key, field] of Object.entries(schema.fields)) {
+    const value = input[key];
+    if (value === undefined || value === null || value === '') {
+      if (field.required) return { error: `${name}.${key} is required` };
+      continue;
+    }
+
+    if (field.type === 'action') {
+      const inner = validateAction(value, { nested: true });
+      if (inner.error) return { error: `${name}.${key}: ${inner.error}` };
+      action[key] = inner.action;
+      continue;
+    }
+
+    if (typeof value !== field.type || (field.type === 'number' && !Number.isFinite(value))) {
+      return { error: `${name}.${key} must be a ${field.type}` };
+    }
+    if (field.maxLength && value.length > field.maxLength) {
+      return { error: `${name}.${key} is longer than ${field.maxLength} characters` };
+    }
+    if (field.pattern && !field.pattern.test(value)) {
+      return { error: `${name}.${key} is not valid: ${field.description}` };
+    }
+    if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+      return { error: `${name}.${key} must be between ${field.min} and ${field.max}` };
+    }
+    action[key] = typeof value === 'string' ? value.trim() : value;
+  }
+
+  if (schema.oneOf) {
+    const given = schema.oneOf.filter(key => action[key] !== undefined);
+    if (given.length !== 1) return { error: `${name} needs exactly one of ${schema.oneOf.join(', ')}` };
+  }
+  if (name === 'schedule_message' && action.at !== undefined && Number.isNaN(Date.parse(action.at))) {
+    return { error: `schedule_message.at is not a date: ${action.at}` };
+  }
+  return { action };
+}
+
+// { actions, errors, text }: the valid actions in the order they appear, what was wrong
+// with the others, and the answer with the blocks and tags taken out
+export function parseActions(response) {
+  const found = [];
+  const errors = [];
+
+  for (const match of response.matchAll(BLOCK)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(match[1]);
+    } catch (err) {
+      errors.push(`Ignored an action block that is not valid JSON: ${err.message}`);
+      continue;
+    }
+    for (const input of Array.isArray(parsed) ? parsed : [parsed]) {
+      const { action, error } = validateAction(input);
+      if (error) errors.push(`Ignored action: ${error}`);
+      else found.push({ index: match.index, action });
+    }
+  }
+
+  const { tags, text } = parseFileTags(response.replace(BLOCK, ''));
+  for (const tag of tags) {
+    found.push({
+      index: response.indexOf(tag.source),
+      action: { action: 'send_file', path: tag.path, ...(tag.caption && { caption: tag.caption }) }
+    });
+  }
+
+  return {
+    actions: found.sort((a, b) => a.index - b.index).map(f => f.action),
+    errors,
+    text
+  };
+}
+
+// Hide action blocks and tags from a partial answer while it streams in
+export function hideActions(text) {
+  return text
+    .replace(/```jinn-action[\s\S]*?(```|$)/g, '')
+    .replace(/\s*\[SEND_FILE:[^\]]*\]?\s*/g, ' ');
+}
+
+// The protocol as explained to the AI, generated from the schemas
+export function describeActions() {
+  const lines = Object.entries(ACTION_SCHEMAS).map(([name, schema]) => {
+    const fields = Object.entries(schema.fields).map(([key, field]) => {
+      const type = field.type === 'action' ? 'action object' : field.type;
+      return `${key} (${type}${field.required ? ', required' : ''}${field.description ? `, ${field.description}` : ''})`;
+    });
+    const oneOf = schema.oneOf ? ` Give exactly one of ${schema.oneOf.join(' or ')}.` : '';
+    return `- ${name}: ${schema.description}. Fields: ${fields.join(', ')}.${oneOf}`;
+  });
+  return lines.join('\n');
+}
@@ -0,0 +1,143 @@
+import fs from 'fs';
+import path from 'path';
+import { resolveSafePath, isPathAllowed } from './file-sandbox.js';
+import { runProcess } from './process-runner.js';
+
+// Files the AI sends (send_file and send_image actions, see ai-actions.js). A folder is
+// zipped first, leaving out whatever the sandbox refuses, images from the web are
+// downloaded, and anything over the size cap is refused with its size.
+
+const TAG = /\[SEND_FILE:([^\]|]+)(?:\|([^\]]*))?\]/g;
+const MAX_ZIP_FILES = 1000;
+const MAX_ZIP_DEPTH = 10;
+const IMAGE_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp' };
+const DOWNLOAD_TIMEOUT_MS = 30000;
+const ZIP_TIMEOUT_MS = 5 * 60 * 1000;
+
+function megabytes(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// { tags: [{ path, caption, source }], text } with the tags taken out of the text
+export function parseFileTags(response) {
+  const tags = [...response.matchAll(TAG)].map(match => ({
+    source: match[0],
+    path: match[1].trim(),
+    caption: (match[2] || '').trim()
+  }));
+  // A tag on its own line (or at an edge, or before punctuation) goes with its spaces;
+  // a tag between two words leaves one space
+  const text = response
+    .replace(/[ \t]*\[SEND_FILE:[^\]]*\][ \t]*/g, (match, offset, whole) => {
+      const before = whole[offset - 1];
+      const after = whole[offset + match.length];
+      return before === undefined || before === '\n' || after === undefined || /[\n.,;:!?)]/.test(after) ? '' : ' ';
+    })
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return { tags, text };
+}
+
+// macOS screenshot names have a narrow no-break space (U+202F) before AM/PM,
+// but the AI writes a regular space
+function fixScreenshotName(filePath) {
+  if (fs.existsSync(filePath)) return filePath;
+  const fixedPath = filePath.replace(/ (AM|PM)\./g, '\u202f$1.');
+  if (fs.existsSync(fixedPath)) {
+    console.log('Fixed path with narrow no-break space:', fixedPath);
+    return fixedPath;
+  }
+  return filePath;
+}
+
+// Paths of the files below folder that may be sent, relative to the folder's parent
+function zipContents(folder, allowOutside) {
+  const parent = path.dirname(folder);
+  const files = [];
+  const visit = (dir, depth) => {
+    for (const name of fs.readdirSync(dir)) {
+      const fullPath = path.join(dir, name);
+      if (!isPathAllowed(fullPath, { type: 'any', allowOutside })) continue;
+      const stat = fs.statSync(fullPath);
+      if (stat.isDirectory()) {
+        if (depth < MAX_ZIP_DEPTH) visit(fullPath, depth + 1);
+      } else if (stat.isFile()) {
+        if (files.length >= MAX_ZIP_FILES) throw new Error(`more than ${MAX_ZIP_FILES} files to zip`);
+        files.push(path.relative(parent, fullPath));
+      }
+    }
+  };
+  visit(folder, 0);
+  return files;
+}
+
+// Zip a folder into a temporary folder in workDir with the system zip tool, which reads the
+// file list from stdin (see process-runner.js); resolves to { zipPath, zipDir, count }.
+// The temporary folder is removed again if zipping fails.
+async function zipFolder(folder, workDir, allowOutside) {
+  const files = zipContents(folder, allowOutside);
+  if (files.length === 0) throw new Error('folder has no files that can be sent');
+
+  const zipDir = fs.mkdtempSync(path.join(workDir, 'zip-'));
+  const zipPath = path.join(zipDir, `${path.basename(folder)}.zip`);
+  try {
+    await runProcess('zip', ['-q', '-X', zipPath, '-@'], {
+      cwd: path.dirname(folder),
+      input: files.join('\n') + '\n',
+      timeoutMs: ZIP_TIMEOUT_MS
+    });
+  } catch (err) {
+    fs.rmSync(zipDir, { recursive: true, force: true });
+    throw err;
+  }
+  return { zipPath, zipDir, count: files.length };
+}
+
+// Check a requested path and get it ready to send: { filePath, name, size, note, cleanup }.
+// cleanup() removes what was made for sending (a zipped folder) and is for after the send.
+// Throws a SandboxError when refused, or an Error saying why it can't be sent.
+export async function prepareAttachment(requested, { maxBytes, workDir, allowOutside = false }) {
+  const resolved = resolveSafePath(fixScreenshotName(requested), { type: 'any', allowOutside });
+
+  let filePath = resolved;
+  let note = '';
+  let cleanup = () => {};
+  if (fs.statSync(resolved).isDirectory()) {
+    const { zipPath, zipDir, count } = await zipFolder(resolved, workDir, allowOutside);
+    console.log(`Zipped ${count} files from ${resolved} to ${zipPath}`);
+    filePath = zipPath;
+    note = `${count} files zipped`;
+    cleanup = () => fs.rmSync(zipDir, { recursive: true, force: true });
+  }
+
+  const { size } = fs.statSync(filePath);
+  if (size > maxBytes) {
+    cleanup();
+    throw new Error(`too large to send (${megabytes(size)}, the limit is ${megabytes(maxBytes)})`);
+  }
+  return { filePath, name: path.basename(filePath), size, note, cleanup };
+}
+
+// Download an image into workDir: { filePath, name, size, note, cleanup }
+export async function downloadImage(url, { maxBytes, workDir }) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`download failed: HTTP ${response.status}`);
+  }
+  const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+  if (!IMAGE_TYPES[type]) {
+    throw new Error(`not an image (${type || 'unknown type'})`);
+  }
+  if (Number(response.headers.get('content-length')) > maxBytes) {
+    throw new Error(`too large to send (${megabytes(Number(response.headers.get('content-length')))}, the limit is ${megabytes(maxBytes)})`);
+  }
+
+  const data = Buffer.from(await response.arrayBuffer());
+  if (data.length > maxBytes) {
+    throw new Error(`too large to send (${megabytes(data.length)}, the limit is ${megabytes(maxBytes)})`);
+  }
+  const name = `image-${Date.now()}.${IMAGE_TYPES[type]}`;
+  const filePath = path.join(workDir, name);
+  fs.writeFileSync(filePath, data);
+  return { filePath, name, size: data.length, note: new URL(url).hostname, cleanup: () => fs.rmSync(filePath, { force: true }) };
+}
@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Dashboard login. DASHBOARD_PASSWORD grants the admin role and DASHBOARD_VIEWER_PASSWORD
+// (optional) a read-only viewer role. Without DASHBOARD_PASSWORD an admin password is
+// generated on first start, kept in the auth file and printed to the console.
+// Logging in returns a signed session token "<payload>.<signature>" with { role, exp },
+// which the dashboard stores and sends instead of the password when it reconnects.
+
+const TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_FAILURES = 5;
+const FAILURE_WINDOW_MS = 10 * 60 * 1000;
+const LOOPBACK = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+let state = { secret: null, adminPassword: null };
+const failures = new Map(); // address -> [timestamps of failed logins]
+
+function hash(text) {
+  return crypto.createHash('sha256').update(String(text)).digest();
+}
+
+function samePassword(a, b) {
+  return Boolean(a && b) && crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', state.secret).update(payload).digest('base64url');
+}
+
+// Load or create the signing secret (and generated password) in filePath
+export function initAuth(filePath) {
+  try {
+    if (fs.existsSync(filePath)) {
+      state = { ...state, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    }
+  } catch (err) {
+    console.error('Could not read auth file, creating a new one:', err.message);
+  }
+
+  let changed = false;
+  if (!state.secret) {
+    state.secret = crypto.randomBytes(32).toString('hex');
+    changed = true;
+  }
+  if (!process.env.DASHBOARD_PASSWORD && !state.adminPassword) {
+    state.adminPassword = crypto.randomBytes(9).toString('base64url');
+    changed = true;
+  }
+  if (changed) {
+    fs.writeFileSync(filePath, JSON.stringify(state, null, 2), { mode: 0o600 });
+  }
+
+  if (process.env.DASHBOARD_PASSWORD) {
+    console.log('Dashboard login: using DASHBOARD_PASSWORD');
+  } else {
+    console.log(`Dashboard password: ${state.adminPassword} (set DASHBOARD_PASSWORD to choose your own)`);
+  }
+}
+
+export function issueToken(role) {
+  const payload = Buffer.from(JSON.stringify({ role, exp: Date.now() + TOKEN_TTL_MS })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// Role of a valid, unexpired token, or null
+export function verifyToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = sign(payload);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+  try {
+    const { role, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return exp > Date.now() ? role : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function roleForPassword(password) {
+  if (samePassword(password, process.env.DASHBOARD_PASSWORD || state.adminPassword)) return 'admin';
+  if (samePassword(password, process.env.DASHBOARD_VIEWER_PASSWORD)) return 'viewer';
+  return null;
+}
+
+// Address a dashboard client connects from, which failed logins are counted by. Through the
+// Vite dev server's proxy every client arrives from this machine, so for a loopback peer the
+// address the proxy added to X-Forwarded-For is used instead. That is the last entry: the
+// ones before it come from the client, which can put anything there.
+export function clientAddress({ address, headers = {} }) {
+  const forwarded = String(headers['x-forwarded-for'] || '').split(',').pop().trim();
+  return forwarded && LOOPBACK.includes(address) ? forwarded : address;
+}
+
+// Check a socket handshake's { token } or { password }.
+// Returns { role, token } or { error } ('unauthorized', 'invalid-password', 'too-many-attempts').
+export function authenticate({ token, password } = {}, address = 'unknown') {
+  if (token) {
+    const role = verifyToken(token);
+    if (role) return { role, token };
+  }
+  if (!password) return { error: 'unauthorized' };
+
+  const recent = (failures.get(address) || []).filter(t => Date.now() - t < FAILURE_WINDOW_MS);
+  if (recent.length >= MAX_FAILURES) {
+    return { error: 'too-many-attempts' };
+  }
+
+  const role = roleForPassword(password);
+  if (!role) {
+    failures.set(address, [...recent, Date.now()]);
+    console.log(`Failed dashboard login from ${address}`);
+    return { error: 'invalid-password' };
+  }
+
+  failures.delete(address);
+  console.log(`Dashboard login from ${address} as ${role}`);
+  return { role, token: issueToken(role) };
+}
@@ -0,0 +1,87 @@
+import fs from 'fs';
+
+// Allow-list of WhatsApp chats (contacts and groups) that Jinn answers besides
+// Notes to Self, persisted as JSON:
+// { mentionTrigger: '@jinn', chats: { [chatId]: { name, isGroup, requireMention, provider } } }
+
+let configPath = null;
+let config = { mentionTrigger: '@jinn', chats: {} };
+
+function save() {
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+}
+
+// mentionTrigger applies until one is saved; allowedChats (chat IDs) are added if missing
+export function initChatAccess(filePath, { mentionTrigger, allowedChats = [] } = {}) {
+  configPath = filePath;
+  if (mentionTrigger) config.mentionTrigger = mentionTrigger;
+  try {
+    if (fs.existsSync(configPath)) {
+      config = { ...config, ...JSON.parse(fs.readFileSync(configPath, 'utf8')) };
+    }
+  } catch (err) {
+    console.error('Could not read chat allow-list, starting empty:', err.message);
+  }
+  for (const chatId of allowedChats.filter(id => !config.chats[id])) {
+    allowChat(chatId);
+    console.log('Allowed chat from settings:', chatId);
+  }
+  console.log('Allowed chats:', Object.keys(config.chats).length);
+}
+
+export function getMentionTrigger() {
+  return config.mentionTrigger;
+}
+
+export function setMentionTrigger(trigger) {
+  config.mentionTrigger = trigger.trim();
+  save();
+}
+
+export function getAllowedChat(chatId) {
+  return config.chats[chatId] || null;
+}
+
+export function listAllowedChats() {
+  return Object.entries(config.chats).map(([id, chat]) => ({ id, ...chat }));
+}
+
+// Add a chat to the allow-list or update its settings
+export function allowChat(chatId, { name, isGroup, requireMention, provider } = {}) {
+  const existing = config.chats[chatId] || {};
+  config.chats[chatId] = {
+    name: name ?? existing.name ?? chatId,
+    isGroup: isGroup ?? existing.isGroup ?? chatId.endsWith('@g.us'),
+    // Groups only respond to the mention trigger unless told otherwise
+    requireMention: requireMention ?? existing.requireMention ?? chatId.endsWith('@g.us'),
+    provider: provider ?? existing.provider ?? null
+  };
+  save();
+  return config.chats[chatId];
+}
+
+export function revokeChat(chatId) {
+  delete config.chats[chatId];
+  save();
+}
+
+// Per-chat provider choice (null means the global default)
+export function setChatProvider(chatId, provider) {
+  if (!config.chats[chatId]) return;
+  config.chats[chatId].provider = provider;
+  save();
+}
+
+// Strip the mention trigger from a message. Returns the remaining text, or null
+// if the chat requires a mention and the message does not contain one.
+export function extractMention(chat, text) {
+  const trigger = config.mentionTrigger;
+  if (!trigger) return text;
+
+  const escaped = trigger.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`(^|\\s)${escaped}(?=$|[\\s,.:;!?])[,:]?`, 'i');
+  if (pattern.test(text)) {
+    return text.replace(pattern, '').trim();
+  }
+  return chat.requireMention ? null : text;
+}
@@ -0,0 +1,42 @@
+import fs from 'fs';
+
+// Per-chat preferences set with commands (such as /lang), persisted as
+// { [chatKey]: { [name]: value } } where chatKey is 'self' or a WhatsApp chat ID
+
+let prefsPath = null;
+let prefs = {};
+
+function save() {
+  fs.writeFileSync(prefsPath, JSON.stringify(prefs, null, 2));
+}
+
+export function initChatPrefs(filePath) {
+  prefsPath = filePath;
+  try {
+    if (fs.existsSync(prefsPath)) {
+      prefs = JSON.parse(fs.readFileSync(prefsPath, 'utf8'));
+    }
+  } catch (err) {
+    console.error('Could not read chat preferences, starting empty:', err.message);
+  }
+}
+
+export function getChatPref(chatKey, name, fallback = null) {
+  return prefs[chatKey]?.[name] ?? fallback;
+}
+
+// A null value removes the preference, so the default applies again
+export function setChatPref(chatKey, name, value) {
+  const chat = { ...prefs[chatKey] };
+  if (value === null || value === undefined) {
+    delete chat[name];
+  } else {
+    chat[name] = value;
+  }
+  if (Object.keys(chat).length) {
+    prefs[chatKey] = chat;
+  } else {
+    delete prefs[chatKey];
+  }
+  save();
+}
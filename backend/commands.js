@@ -0,0 +1,200 @@
+// Slash-command registry shared by WhatsApp chats and the dashboard terminal.
+// Each command declares its name, aliases, argument schema and handler:
+//   registerCommand({
+//     name: 'queue', aliases: ['q'], ownerOnly: true,
+//     description: 'Send every file in a folder, one per interval',
+//     args: [{ name: 'folder', rest: true }, { name: 'interval', type: 'number', optional: true }],
+//     examples: ['/queue ~/Movies 60'],
+//     handler: async (ctx, args) => { ... }
+//   });
+// Argument types are 'string' (default), 'number' and 'choice' (with `choices`).
+// Options are declared as flags: [{ name: 'sort', type: 'choice', choices: [...], description }]
+// and given anywhere as --sort=mtime; boolean flags are just --recursive.
+// A `rest` argument takes the remaining words, so paths with spaces work unquoted;
+// optional arguments after it are only taken from the end when they match their type.
+// Handlers get a context { reply, replyMedia, chatId, chatKey, isSelfChat, source, ... }
+// and can throw UsageError to have the command's usage sent back.
+
+const commands = new Map();  // name -> command
+const aliases = new Map();   // alias -> name
+
+export class UsageError extends Error {}
+
+export function registerCommand(command) {
+  const entry = { aliases: [], args: [], flags: [], examples: [], ownerOnly: false, ...command };
+  commands.set(entry.name, entry);
+  for (const alias of entry.aliases) {
+    aliases.set(alias, entry.name);
+  }
+  return entry;
+}
+
+export function findCommand(name) {
+  const key = (name || '').replace(/^\//, '').toLowerCase();
+  return commands.get(key) || commands.get(aliases.get(key)) || null;
+}
+
+// Commands available to a chat, in registration order
+export function listCommands({ isSelfChat = true } = {}) {
+  return [...commands.values()].filter(cmd => isSelfChat || !cmd.ownerOnly);
+}
+
+// e.g. "/queue <folder> [interval]", plus the options unless flags is false
+export function formatUsage(command, { flags: withFlags = true } = {}) {
+  const args = command.args.map(arg => {
+    const label = arg.type === 'choice' ? arg.choices.join('|') : arg.name;
+    return arg.optional ? `[${label}]` : `<${label}>`;
+  });
+  const flags = withFlags ? command.flags.map(flag => `[${formatFlag(flag)}]`) : [];
+  return [`/${command.name}`, ...args, ...flags].join(' ');
+}
+
+// e.g. "--sort=name|mtime" or "--recursive"
+function formatFlag(flag) {
+  if (flag.type === 'boolean') return `--${flag.name}`;
+  return `--${flag.name}=${flag.type === 'choice' ? flag.choices.join('|') : flag.placeholder || flag.type || 'value'}`;
+}
+
+// Split on whitespace, keeping "quoted strings" together (also inside a token: --to="My Group")
+function tokenize(input) {
+  const pattern = /(?:[^\s"']+|"[^"]*"|'[^']*'|["'])+/g;
+  return (input.match(pattern) || []).map(token => token.replace(/"([^"]*)"|'([^']*)'/g, '$1$2'));
+}
+
+function matchesType(arg, token) {
+  if (arg.type === 'number') return /^-?\d+(\.\d+)?$/.test(token);
+  if (arg.type === 'choice') return arg.choices.includes(token.toLowerCase());
+  return true;
+}
+
+function convert(arg, token) {
+  if (!matchesType(arg, token)) {
+    const expected = arg.type === 'choice' ? `one of ${arg.choices.join(', ')}` : `a ${arg.type}`;
+    throw new UsageError(`${arg.name} must be ${expected}, got "${token}"`);
+  }
+  if (arg.type === 'number') return Number(token);
+  if (arg.type === 'choice') return token.toLowerCase();
+  return token;
+}
+
+// Take --name[=value] options out of the tokens
+function parseFlags(command, tokens) {
+  const values = {};
+  const positional = [];
+  for (const token of tokens) {
+    const match = token.match(/^--([a-z][\w-]*)(?:=(.*))?$/i);
+    if (!match) {
+      positional.push(token);
+      continue;
+    }
+    const flag = command.flags.find(f => f.name === match[1].toLowerCase());
+    if (!flag) {
+      throw new UsageError(`Unknown option --${match[1]}`);
+    }
+    if (flag.type === 'boolean') {
+      values[flag.name] = match[2] === undefined || !/^(false|no|0|off)$/i.test(match[2]);
+    } else if (match[2] === undefined || match[2] === '') {
+      throw new UsageError(`--${flag.name} needs a value, e.g. ${formatFlag(flag)}`);
+    } else {
+      values[flag.name] = convert({ ...flag, name: `--${flag.name}` }, match[2]);
+    }
+  }
+  for (const flag of command.flags) {
+    if (values[flag.name] === undefined && flag.default !== undefined) values[flag.name] = flag.default;
+  }
+  return { values, positional };
+}
+
+// Turn the text after the command name into { [arg.name]: value }
+export function parseArgs(command, input) {
+  const { values, positional: tokens } = parseFlags(command, tokenize(input || ''));
+  const restIndex = command.args.findIndex(arg => arg.rest);
+  const leading = restIndex === -1 ? command.args : command.args.slice(0, restIndex);
+  const trailing = restIndex === -1 ? [] : command.args.slice(restIndex + 1);
+
+  for (const arg of leading) {
+    if (tokens.length === 0) break;
+    values[arg.name] = convert(arg, tokens.shift());
+  }
+
+  if (restIndex !== -1) {
+    const rest = command.args[restIndex];
+    // Trailing arguments come off the end while they match, leaving the rest argument at least one word
+    for (const arg of [...trailing].reverse()) {
+      const minRest = rest.optional ? 0 : 1;
+      if (tokens.length > minRest && matchesType(arg, tokens[tokens.length - 1])) {
+        values[arg.name] = convert(arg, tokens.pop());
+      }
+    }
+    if (tokens.length > 0) {
+      values[rest.name] = tokens.join(' ');
+      tokens.length = 0;
+    }
+  }
+
+  if (tokens.length > 0) {
+    throw new UsageError(`Too many arguments: ${tokens.join(' ')}`);
+  }
+
+  for (const arg of command.args) {
+    if (values[arg.name] === undefined) {
+      if (!arg.optional) throw new UsageError(`Missing ${arg.name}`);
+      if (arg.default !== undefined) values[arg.name] = arg.default;
+    }
+  }
+  return values;
+}
+
+// Full help for one command
+export function describeCommand(command) {
+  let text = `${formatUsage(command)}\n${command.description}`;
+  if (command.aliases.length) {
+    text += `\nAliases: ${command.aliases.map(a => `/${a}`).join(', ')}`;
+  }
+  if (command.flags.length) {
+    text += `\n\nOptions:\n${command.flags.map(flag => `${formatFlag(flag)} - ${flag.description}`).join('\n')}`;
+  }
+  if (command.ownerOnly) {
+    text += '\nOnly available in Notes to Self.';
+  }
+  if (command.examples.length) {
+    text += `\n\nExamples:\n${command.examples.join('\n')}`;
+  }
+  return text;
+}
+
+// Short list of every command a chat can use
+export function describeCommands({ isSelfChat = true } = {}) {
+  const lines = listCommands({ isSelfChat }).map(cmd => `${formatUsage(cmd, { flags: false })} - ${cmd.description}`);
+  return `🧞 Commands:\n\n${lines.join('\n')}\n\nSend /help <command> for details.`;
+}
+
+// Run a slash command. Returns false if the text is not a command, so it can go to the AI.
+export async function runCommand(text, ctx) {
+  const match = text.trim().match(/^\/([a-z][\w-]*)(?:\s+([\s\S]*))?$/i);
+  if (!match) return false;
+
+  const command = findCommand(match[1]);
+  if (!command) {
+    await ctx.reply(`Unknown command: /${match[1]}\nSend /help for the list of commands.`);
+    return true;
+  }
+
+  if (command.ownerOnly && !ctx.isSelfChat) {
+    await ctx.reply(`/${command.name} is only available in Notes to Self.`);
+    return true;
+  }
+
+  try {
+    const args = parseArgs(command, match[2]);
+    await command.handler(ctx, args);
+  } catch (err) {
+    if (err instanceof UsageError) {
+      await ctx.reply(`❌ ${err.message}\nUsage: ${formatUsage(command)}\nSend /help ${command.name} for details.`);
+    } else {
+      console.error(`Command /${command.name} failed:`, err);
+      await ctx.reply(`❌ /${command.name} failed: ${err.message}`);
+    }
+  }
+  return true;
+}
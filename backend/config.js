@@ -0,0 +1,177 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Settings, from (lowest to highest priority) the defaults below, config.json and environment
+// variables (a .env file next to this one is loaded first). Every value is checked at startup,
+// and a bad one stops Jinn with a ConfigError naming the key and where it came from.
+// Secrets such as API keys and dashboard passwords stay in the environment only.
+
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// key -> { env, type, default, group, description, ...checks }
+// Types: 'string' (choices, pattern), 'number' (min, max, integer), 'boolean',
+// 'list' (of strings, pattern), 'path' (~ expands to the home folder)
+export const SETTINGS = {
+  port: { env: 'PORT', type: 'number', integer: true, min: 1, max: 65535, default: 3001, group: 'Server', description: 'Port for the dashboard connection' },
+  corsOrigins: { env: 'CORS_ORIGINS', type: 'list', pattern: /^https?:\/\/[^/]+$/, default: ['http://localhost:5173', 'http://localhost:5174'], group: 'Server', description: 'Dashboard addresses allowed to connect from another origin' },
+  mediaDir: { env: 'MEDIA_DIR', type: 'path', default: path.join(os.tmpdir(), 'whatsapp-media'), group: 'Server', description: 'Folder for received media, screenshots and exports' },
+
+  claudeBin: { env: 'CLAUDE_BIN', type: 'string', default: 'claude', group: 'Programs', description: 'Claude Code CLI (also manages MCP servers)' },
+  qwenBin: { env: 'QWEN_BIN', type: 'string', default: 'qwen', group: 'Programs', description: 'Qwen Code CLI' },
+  whisperBin: { env: 'WHISPER_BIN', type: 'string', default: 'whisper', group: 'Programs', description: 'openai-whisper CLI' },
+  whisperCppBin: { env: 'WHISPER_CPP_BIN', type: 'string', default: 'whisper-cli', group: 'Programs', description: 'whisper.cpp CLI' },
+  pythonBin: { env: 'PYTHON_BIN', type: 'string', default: 'python3', group: 'Programs', description: 'Python with faster-whisper installed' },
+  ffmpegBin: { env: 'FFMPEG_BIN', type: 'string', default: 'ffmpeg', group: 'Programs', description: 'ffmpeg, for converting audio' },
+  piperBin: { env: 'PIPER_BIN', type: 'string', default: 'piper', group: 'Programs', description: 'Piper text to speech CLI' },
+  espeakBin: { env: 'ESPEAK_BIN', type: 'string', default: 'espeak-ng', group: 'Programs', description: 'espeak-ng text to speech CLI' },
+
+  transcribeEngine: { env: 'TRANSCRIBE_ENGINE', type: 'string', choices: ['openai-whisper', 'whisper-cpp', 'faster-whisper'], default: 'openai-whisper', group: 'Voice', description: 'Speech to text engine for voice messages' },
+  whisperModel: { env: 'WHISPER_MODEL', type: 'string', default: 'base', group: 'Voice', description: 'Speech to text model (tiny, base, small, medium, large-v3, or a whisper.cpp model file)' },
+  whisperCppModelDir: { env: 'WHISPER_CPP_MODEL_DIR', type: 'path', default: path.join(os.homedir(), 'whisper.cpp', 'models'), group: 'Voice', description: 'Where whisper.cpp ggml-<model>.bin files are' },
+  whisperLanguage: { env: 'WHISPER_LANGUAGE', type: 'string', pattern: /^([a-z]{2,3}|auto)$/, default: 'auto', group: 'Voice', description: 'Language of voice messages, or auto to detect it (/lang changes it per chat)' },
+  voiceReplies: { env: 'VOICE_REPLIES', type: 'string', choices: ['off', 'on', 'auto'], default: 'off', group: 'Voice', description: 'Answer with voice notes: never, always, or when sent one (/voice changes it per chat)' },
+  ttsEngine: { env: 'TTS_ENGINE', type: 'string', choices: ['espeak-ng', 'piper'], default: 'espeak-ng', group: 'Voice', description: 'Text to speech engine for voice replies' },
+  piperVoice: { env: 'PIPER_VOICE', type: 'path', default: path.join(os.homedir(), 'piper', 'voices'), group: 'Voice', description: 'Piper voice (.onnx), or a folder of voices picked by language' },
+  voiceMaxChars: { env: 'VOICE_MAX_CHARS', type: 'number', integer: true, min: 50, default: 1200, group: 'Voice', description: 'Longer answers are sent as text instead of a voice note' },
+
+  defaultAI: { env: 'DEFAULT_AI', type: 'string', default: null, group: 'AI', description: 'Provider used at startup (overrides providers.json)' },
+  aiTimeoutSeconds: { env: 'AI_TIMEOUT_SECONDS', type: 'number', min: 10, default: 600, group: 'AI', description: 'How long a Claude or Qwen CLI run may take' },
+  streamReplies: { env: 'STREAM_REPLIES', type: 'boolean', default: true, group: 'AI', description: 'Post replies while they are written' },
+  streamFlushMs: { env: 'STREAM_FLUSH_MS', type: 'number', integer: true, min: 200, default: 1500, group: 'AI', description: 'How often a streamed reply is edited' },
+
+  allowedChats: { env: 'ALLOWED_CHATS', type: 'list', pattern: /^[\w.-]+@(c\.us|g\.us|lid)$/, default: [], group: 'Chats', description: 'Chat IDs added to the allow-list at startup' },
+  mentionTrigger: { env: 'MENTION_TRIGGER', type: 'string', default: '@jinn', group: 'Chats', description: 'Group mention trigger until one is set in the dashboard' },
+
+  formatReplies: { env: 'FORMAT_REPLIES', type: 'boolean', default: true, group: 'Replies', description: 'Convert AI Markdown to WhatsApp formatting' },
+  renderBlockImages: { env: 'RENDER_BLOCK_IMAGES', type: 'boolean', default: false, group: 'Replies', description: 'Send long code blocks and tables as images' },
+  replyMaxParts: { env: 'REPLY_MAX_PARTS', type: 'number', integer: true, min: 1, max: 50, default: 5, group: 'Replies', description: 'Messages a reply may be split into before it becomes a document' },
+
+  sendFileMaxMb: { env: 'SEND_FILE_MAX_MB', type: 'number', min: 1, max: 2048, default: 64, group: 'Limits', description: 'Largest file the AI may send' },
+  sendPerMinute: { env: 'SEND_PER_MINUTE', type: 'number', integer: true, min: 1, default: 30, group: 'Limits', description: 'Messages sent per minute in total' },
+  sendPerChatPerMinute: { env: 'SEND_PER_CHAT_PER_MINUTE', type: 'number', integer: true, min: 1, default: 15, group: 'Limits', description: 'Messages sent per minute to one chat' },
+  sendMinGapMs: { env: 'SEND_MIN_GAP_MS', type: 'number', integer: true, min: 0, default: 1000, group: 'Limits', description: 'Least time between two messages' },
+  sendMaxAttempts: { env: 'SEND_MAX_ATTEMPTS', type: 'number', integer: true, min: 1, max: 20, default: 4, group: 'Limits', description: 'Attempts before a send is given up' },
+  sendRetryDelayMs: { env: 'SEND_RETRY_DELAY_MS', type: 'number', integer: true, min: 100, default: 2000, group: 'Limits', description: 'First delay before a retry' },
+  confirmTimeoutSeconds: { env: 'CONFIRM_TIMEOUT_SECONDS', type: 'number', integer: true, min: 10, default: 300, group: 'Limits', description: 'How long a confirmation waits for /yes' },
+  confirmQueueFiles: { env: 'CONFIRM_QUEUE_FILES', type: 'number', integer: true, min: 0, default: 100, group: 'Limits', description: 'Largest queue started without asking (0: never ask)' },
+  confirmRiskyPrompts: { env: 'CONFIRM_RISKY_PROMPTS', type: 'boolean', default: true, group: 'Limits', description: 'Ask before risky prompts reach Claude or Qwen' }
+};
+
+const BOOLEANS = { true: true, false: false, 1: true, 0: false, yes: true, no: false, on: true, off: false };
+
+let values = null;
+let sources = {}; // key -> 'default' | 'config.json' | 'environment'
+
+// Check one value; returns it converted, or throws a ConfigError
+function parseValue(key, raw, fromEnv, baseDir) {
+  const setting = SETTINGS[key];
+  const where = fromEnv ? `${setting.env} (environment)` : `${key} (config.json)`;
+  const fail = (problem) => {
+    throw new ConfigError(`Invalid setting ${where}: ${problem}`);
+  };
+
+  switch (setting.type) {
+    case 'number': {
+      const value = fromEnv ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) fail(`${JSON.stringify(raw)} is not a number`);
+      if (setting.integer && !Number.isInteger(value)) fail(`${value} is not a whole number`);
+      if (setting.min !== undefined && value < setting.min) fail(`${value} is less than ${setting.min}`);
+      if (setting.max !== undefined && value > setting.max) fail(`${value} is more than ${setting.max}`);
+      return value;
+    }
+
+    case 'boolean': {
+      const value = fromEnv ? BOOLEANS[raw.trim().toLowerCase()] : raw;
+      if (typeof value !== 'boolean') fail(`${JSON.stringify(raw)} is not true or false`);
+      return value;
+    }
+
+    case 'list': {
+      const value = fromEnv ? raw.split(',').map(item => item.trim()).filter(Boolean) : raw;
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) fail('expected a list of strings');
+      const bad = setting.pattern && value.find(item => !setting.pattern.test(item));
+      if (bad) fail(`${JSON.stringify(bad)} is not valid`);
+      return value;
+    }
+
+    case 'path': {
+      if (typeof raw !== 'string' || !raw.trim()) fail('expected a path');
+      const expanded = raw.trim().replace(/^~(?=$|\/)/, os.homedir());
+      return path.resolve(baseDir, expanded);
+    }
+
+    default: {
+      if (typeof raw !== 'string' || !raw.trim()) fail('expected a non-empty string');
+      const value = raw.trim();
+      if (setting.choices && !setting.choices.includes(value)) fail(`${JSON.stringify(value)} is not one of ${setting.choices.join(', ')}`);
+      if (setting.pattern && !setting.pattern.test(value)) fail(`${JSON.stringify(value)} is not valid`);
+      return value;
+    }
+  }
+}
+
+// Read .env, config.json and the environment; throws a ConfigError on the first bad value
+export function loadConfig(configPath) {
+  const baseDir = path.dirname(configPath);
+  dotenv.config({ path: path.join(baseDir, '.env') });
+
+  let file = {};
+  if (fs.existsSync(configPath)) {
+    try {
+      file = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (err) {
+      throw new ConfigError(`Could not read ${path.basename(configPath)}: ${err.message}`);
+    }
+    if (!file || typeof file !== 'object' || Array.isArray(file)) {
+      throw new ConfigError(`${path.basename(configPath)} must hold a JSON object`);
+    }
+    const unknown = Object.keys(file).find(key => !SETTINGS[key]);
+    if (unknown) {
+      throw new ConfigError(`Unknown setting ${unknown} (config.json)`);
+    }
+  }
+
+  values = {};
+  sources = {};
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    const fromEnv = process.env[setting.env];
+    if (fromEnv !== undefined && fromEnv !== '') {
+      values[key] = parseValue(key, fromEnv, true, baseDir);
+      sources[key] = 'environment';
+    } else if (file[key] !== undefined && file[key] !== null) {
+      values[key] = parseValue(key, file[key], false, baseDir);
+      sources[key] = 'config.json';
+    } else {
+      values[key] = setting.default;
+      sources[key] = 'default';
+    }
+  }
+
+  console.log('Settings loaded:', Object.entries(sources).filter(([, source]) => source !== 'default').map(([key]) => key).join(', ') || 'defaults only');
+  values = Object.freeze(values);
+  return values;
+}
+
+export function getConfig() {
+  if (!values) throw new Error('loadConfig() has not been called');
+  return values;
+}
+
+// For the dashboard's read-only view: [{ key, env, group, description, value, source }]
+export function describeConfig() {
+  return Object.entries(SETTINGS).map(([key, setting]) => ({
+    key,
+    env: setting.env,
+    group: setting.group,
+    description: setting.description,
+    value: getConfig()[key],
+    source: sources[key]
+  }));
+}
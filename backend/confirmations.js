@@ -0,0 +1,94 @@
+// Actions waiting for a go-ahead. Each gets a short code; "/yes <code>" runs it before it
+// expires and "/no <code>" drops it. Two kinds:
+//   - questions the AI asks (ask_confirmation), which the chat they were asked in may answer
+//   - risky actions (ownerOnly: deleting files or running commands through the AI, sending
+//     from outside the allowed folders, large queues), which only the owner may approve,
+//     from Notes to Self or the dashboard
+// Pending confirmations only live in memory, so a restart cancels them.
+
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I lookalikes
+const CODE_LENGTH = 4;
+
+const pending = new Map(); // code -> { code, chatId, question, risk, ownerOnly, createdAt, expiresAt, run, timer }
+let settings = { timeoutMs: 5 * 60 * 1000 };
+let handlers = {
+  onChange: () => {},  // (list)
+  onExpire: () => {}   // (entry)
+};
+
+export function initConfirmations({ timeoutMs, ...newHandlers } = {}) {
+  if (timeoutMs > 0) settings.timeoutMs = timeoutMs;
+  handlers = { ...handlers, ...Object.fromEntries(Object.entries(newHandlers).filter(([, fn]) => fn)) };
+}
+
+export function getConfirmTimeoutMs() {
+  return settings.timeoutMs;
+}
+
+function newCode() {
+  let code;
+  do {
+    code = Array.from({ length: CODE_LENGTH }, () => CODE_CHARS[Math.floor(Math.random() * CODE_CHARS.length)]).join('');
+  } while (pending.has(code));
+  return code;
+}
+
+// Hold run() until confirmed; returns the pending entry with its code.
+// run resolves to a line saying what happened, for whoever approved it.
+export function requestConfirmation({ chatId, question, risk = null, ownerOnly = false, run }) {
+  const code = newCode();
+  const entry = { code, chatId, question, risk, ownerOnly, createdAt: Date.now(), expiresAt: Date.now() + settings.timeoutMs, run };
+  entry.timer = setTimeout(() => {
+    pending.delete(code);
+    console.log(`Confirmation ${code} expired`);
+    handlers.onChange(listPending());
+    handlers.onExpire(describe(entry));
+  }, settings.timeoutMs);
+  pending.set(code, entry);
+  console.log(`Confirmation ${code} requested${risk ? ` (${risk})` : ''}: ${question}`);
+  handlers.onChange(listPending());
+  return describe(entry);
+}
+
+// owner: Notes to Self or the dashboard, which may answer anything
+function take(code, { chatId, owner }) {
+  const entry = pending.get((code || '').toUpperCase());
+  if (!entry) return { error: `No pending confirmation ${code} (it may have expired)` };
+  if (!owner && entry.ownerOnly) return { error: `${entry.code} can only be approved from Notes to Self or the dashboard` };
+  if (!owner && entry.chatId !== chatId) return { error: `No pending confirmation ${code} in this chat` };
+
+  clearTimeout(entry.timer);
+  pending.delete(entry.code);
+  handlers.onChange(listPending());
+  return { entry };
+}
+
+// Run a pending action: { success, question, result } or { success: false, error }
+export async function confirm(code, { chatId = null, owner = false } = {}) {
+  const { entry, error } = take(code, { chatId, owner });
+  if (error) return { success: false, error };
+  console.log(`Confirmation ${entry.code} approved`);
+  try {
+    return { success: true, question: entry.question, chatId: entry.chatId, result: await entry.run() };
+  } catch (err) {
+    console.error(`Confirmed action ${entry.code} failed:`, err);
+    return { success: false, error: `${entry.question} failed: ${err.message}` };
+  }
+}
+
+// Drop a pending action: { success, question } or { success: false, error }
+export function reject(code, { chatId = null, owner = false } = {}) {
+  const { entry, error } = take(code, { chatId, owner });
+  if (error) return { success: false, error };
+  console.log(`Confirmation ${entry.code} rejected`);
+  return { success: true, question: entry.question, chatId: entry.chatId };
+}
+
+function describe({ run, timer, ...entry }) {
+  return entry;
+}
+
+// Oldest first, without the actions themselves
+export function listPending() {
+  return [...pending.values()].map(describe);
+}
@@ -0,0 +1,54 @@
+// Token budgeting for conversation history. Token counts are estimates
+// (about 4 characters per token), which is close enough for trimming.
+
+export const SUMMARY_INSTRUCTIONS = 'You maintain a running summary of a chat between a user and an AI assistant. ' +
+  'Keep facts, decisions, file paths, names and open questions. Drop small talk. ' +
+  'Reply with the updated summary only, in plain text, under 300 words.';
+
+export function estimateTokens(text = '') {
+  return Math.ceil(text.length / 4);
+}
+
+// Shorten one oversized message, keeping its start and end
+export function clipMessage(content, maxTokens) {
+  const tokens = estimateTokens(content);
+  if (tokens <= maxTokens) return content;
+  const keep = maxTokens * 4;
+  const head = content.slice(0, Math.floor(keep * 0.7));
+  const tail = content.slice(-Math.floor(keep * 0.3));
+  return `${head}\n\n[... about ${tokens - maxTokens} tokens omitted ...]\n\n${tail}`;
+}
+
+// Pick the newest messages that fit in `budget` minus the `reserved` tokens used by
+// the system prompt and current message. Any single message is clipped to a
+// quarter of the budget so one pasted log cannot crowd out everything else.
+// Returns { included, dropped, tokens } with dropped being the older messages left out.
+export function fitHistory(history, { budget, reserved = 0 }) {
+  const maxPerMessage = Math.max(200, Math.floor(budget / 4));
+  const available = budget - reserved;
+  const included = [];
+  let used = 0;
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const content = clipMessage(history[i].content, maxPerMessage);
+    const tokens = estimateTokens(content);
+    if (used + tokens > available) {
+      return { included, dropped: history.slice(0, i + 1), tokens: used };
+    }
+    included.unshift({ ...history[i], content });
+    used += tokens;
+  }
+
+  return { included, dropped: [], tokens: used };
+}
+
+// Prompt asking the AI to fold older messages into the running summary
+export function buildSummaryPrompt(previousSummary, messages) {
+  let prompt = previousSummary
+    ? `Current summary:\n${previousSummary}\n\nUpdate it with these later messages:\n`
+    : 'Summarize these messages:\n';
+  messages.forEach(msg => {
+    prompt += `${msg.role === 'user' ? 'User' : 'Assistant'}: ${clipMessage(msg.content, 1000)}\n`;
+  });
+  return prompt;
+}
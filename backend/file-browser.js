@@ -0,0 +1,173 @@
+import fs from 'fs';
+import path from 'path';
+import { isPathAllowed, globToRegExp, listAllowedRoots, resolveSafePath } from './file-sandbox.js';
+
+// Browsing the allowed folders from WhatsApp (/ls, /tree, /find, /stat). Every listing is
+// numbered and remembered per chat, so later commands can refer to an entry by number
+// ("/send 3") and /more pages through long results.
+
+const PAGE_SIZE = 25;
+const MAX_ENTRIES = 500;
+const MAX_FIND_DEPTH = 8;
+
+const listings = new Map(); // chatKey -> { title, entries, page }
+
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let size = bytes / 1024;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size.toFixed(size < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+// Local time as "2024-05-01 14:30"
+function formatDate(ms) {
+  const d = new Date(ms);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// One entry for a path, or null if it is refused or unreadable
+function entryFor(fullPath, depth = 0) {
+  if (!isPathAllowed(fullPath, { type: 'any' })) return null;
+  try {
+    const stat = fs.statSync(fullPath);
+    return {
+      path: fullPath,
+      name: path.basename(fullPath),
+      isDir: stat.isDirectory(),
+      size: stat.size,
+      mtime: stat.mtimeMs,
+      depth
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+function readEntries(dir, depth = 0) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (err) {
+    console.log(`Cannot read ${dir}:`, err.message);
+    return [];
+  }
+  return names
+    .map(name => entryFor(path.join(dir, name), depth))
+    .filter(Boolean)
+    .sort((a, b) => (b.isDir - a.isDir) || a.name.localeCompare(b.name));
+}
+
+// The allowed root folders themselves, for /ls without a folder
+export function listRoots() {
+  return listAllowedRoots()
+    .map(root => entryFor(resolveSafePath(root, { type: 'any' })))
+    .filter(Boolean);
+}
+
+// Entries of a folder, folders first
+export function listDirectory(dir) {
+  return readEntries(dir).slice(0, MAX_ENTRIES);
+}
+
+// Folder contents down to maxDepth levels, in display order
+export function walkTree(dir, maxDepth = 2) {
+  const entries = [];
+  const visit = (current, depth) => {
+    for (const entry of readEntries(current, depth)) {
+      if (entries.length >= MAX_ENTRIES) return;
+      entries.push(entry);
+      if (entry.isDir && depth + 1 < maxDepth) visit(entry.path, depth + 1);
+    }
+  };
+  visit(dir, 0);
+  return entries;
+}
+
+// Files and folders below dir whose name matches a glob ("*.pdf"); a plain word matches anywhere in the name
+export function findFiles(dir, glob) {
+  const regex = globToRegExp(/[*?]/.test(glob) ? glob : `*${glob}*`);
+  const entries = [];
+  let truncated = false;
+  const visit = (current, depth) => {
+    for (const entry of readEntries(current)) {
+      if (entries.length >= MAX_ENTRIES) {
+        truncated = true;
+        return;
+      }
+      // Matches show their path below the searched folder
+      if (regex.test(entry.name)) entries.push({ ...entry, name: path.relative(dir, entry.path) });
+      if (entry.isDir && depth < MAX_FIND_DEPTH) visit(entry.path, depth + 1);
+    }
+  };
+  visit(dir, 0);
+  return { entries, truncated };
+}
+
+// Details of a single file or folder
+export function describePath(p) {
+  const stat = fs.statSync(p);
+  const lines = [
+    `${stat.isDirectory() ? '📁' : '📄'} ${p}`,
+    `Type: ${stat.isDirectory() ? 'folder' : 'file'}`,
+    `Size: ${formatSize(stat.size)}${stat.isDirectory() ? '' : ` (${stat.size} bytes)`}`,
+    `Modified: ${formatDate(stat.mtimeMs)}`,
+    `Created: ${formatDate(stat.birthtimeMs || stat.ctimeMs)}`,
+    `Permissions: ${(stat.mode & 0o777).toString(8)}`
+  ];
+  if (stat.isDirectory()) {
+    lines.push(`Entries: ${listDirectory(p).length}`);
+  }
+  return lines.join('\n');
+}
+
+function formatEntry(entry, number, { tree = false } = {}) {
+  const indent = tree ? '  '.repeat(entry.depth) : '';
+  const icon = entry.isDir ? '📁' : '📄';
+  const details = entry.isDir ? '' : ` · ${formatSize(entry.size)}`;
+  return `${indent}${number}. ${icon} ${entry.name}${entry.isDir ? '/' : ''}${details} · ${formatDate(entry.mtime)}`;
+}
+
+// One page of the chat's last listing, or null if there is none
+export function formatListingPage(chatKey, page) {
+  const listing = listings.get(chatKey);
+  if (!listing) return null;
+
+  const pages = Math.max(1, Math.ceil(listing.entries.length / PAGE_SIZE));
+  listing.page = Math.min(Math.max(1, page ?? listing.page), pages);
+
+  const start = (listing.page - 1) * PAGE_SIZE;
+  const lines = listing.entries
+    .slice(start, start + PAGE_SIZE)
+    .map((entry, i) => formatEntry(entry, start + i + 1, { tree: listing.tree }));
+
+  let text = `${listing.title}\n\n${lines.join('\n') || '(empty)'}`;
+  if (listing.note) text += `\n\n${listing.note}`;
+  if (pages > 1) {
+    text += `\n\nPage ${listing.page}/${pages}${listing.page < pages ? ' - /more for the next page' : ''}`;
+  }
+  return text + '\n\n/send <number> sends a file, /ls <number> opens a folder';
+}
+
+// Remember a listing for the chat and return its first page
+export function setListing(chatKey, { title, entries, tree = false, note = '' }) {
+  listings.set(chatKey, { title, entries, tree, note, page: 1 });
+  return formatListingPage(chatKey, 1);
+}
+
+export function nextListingPage(chatKey) {
+  const listing = listings.get(chatKey);
+  if (!listing) return null;
+  if (listing.page * PAGE_SIZE >= listing.entries.length) return 'End of listing.';
+  return formatListingPage(chatKey, listing.page + 1);
+}
+
+// Entry n (1-based) of the chat's last listing
+export function getListingEntry(chatKey, number) {
+  return listings.get(chatKey)?.entries[number - 1] || null;
+}
@@ -0,0 +1,323 @@
+import fs from 'fs';
+import path from 'path';
+import { isPathAllowed, globToRegExp } from './file-sandbox.js';
+
+// Named file queues: each sends the files of a folder to a WhatsApp chat one at a time,
+// every intervalMs, independently of the others. All queues are persisted after every
+// change so they survive restarts: { queues: { [name]: queue } } where a queue is
+// { name, folder, chatId, intervalMs, options, status, files, totalFiles, sentFiles, sentList, failedList, nextAt }
+// status is 'active', 'paused', 'stopped' or 'done'; files are the remaining full paths and
+// sentList the full paths already sent, which are skipped when the same queue is started again.
+// Retrying a failed send is up to the outbox: a file it gives up on goes to failedList
+// (and the outbox's dead letters) and the queue moves on to the next one.
+
+const QUEUE_NAME = /^[\w-]{1,30}$/;
+const MAX_SCAN_DEPTH = 10;
+export const SORT_ORDERS = ['name', 'mtime', 'size', 'random'];
+
+let statePath = null;
+const queues = new Map();   // name -> queue
+const timers = new Map();   // name -> timeout
+const sending = new Set();  // names with a send in flight
+let handlers = {
+  send: async () => false,   // (filePath, caption, chatId) => sent?
+  notify: async () => {},     // (text, chatId)
+  onProgress: () => {},       // (status of one queue)
+  isReady: () => true         // can send right now? if not, restoreFileQueues picks up later
+};
+
+function save() {
+  fs.writeFileSync(statePath, JSON.stringify({ queues: Object.fromEntries(queues) }, null, 2));
+}
+
+function clearTimer(name) {
+  if (timers.has(name)) {
+    clearTimeout(timers.get(name));
+    timers.delete(name);
+  }
+}
+
+function schedule(queue, delayMs) {
+  clearTimer(queue.name);
+  queue.nextAt = Date.now() + delayMs;
+  save();
+  timers.set(queue.name, setTimeout(() => sendNext(queue.name), delayMs));
+}
+
+function progress(queue) {
+  handlers.onProgress(describeQueue(queue));
+}
+
+// Load the persisted queues; call restoreFileQueues once WhatsApp is ready
+export function initFileQueue(filePath, newHandlers = {}) {
+  statePath = filePath;
+  handlers = { ...handlers, ...Object.fromEntries(Object.entries(newHandlers).filter(([, fn]) => fn)) };
+  try {
+    if (fs.existsSync(statePath)) {
+      const saved = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      // Single-queue files from before queues had names
+      const entries = saved.queues || (saved.folder ? { default: { ...saved, name: 'default', options: {} } } : {});
+      for (const [name, queue] of Object.entries(entries)) {
+        queues.set(name, { failedList: [], ...queue });
+      }
+      console.log(`File queues restored: ${[...queues.values()].map(q => `${q.name} (${q.status})`).join(', ') || 'none'}`);
+    }
+  } catch (err) {
+    console.error('Could not read file queue state:', err.message);
+  }
+}
+
+// Continue active queues, keeping to their intervals across restarts
+export function restoreFileQueues() {
+  for (const queue of queues.values()) {
+    if (queue.status !== 'active' || timers.has(queue.name) || sending.has(queue.name)) continue;
+    const delay = Math.max(0, (queue.nextAt || 0) - Date.now());
+    console.log(`Resuming queue ${queue.name}: ${queue.files.length} files left, next in ${Math.round(delay / 1000)}s`);
+    schedule(queue, delay);
+  }
+}
+
+async function sendNext(name) {
+  timers.delete(name);
+  const queue = queues.get(name);
+  if (!queue || queue.status !== 'active' || sending.has(name)) return;
+  if (!handlers.isReady()) {
+    console.log(`Queue ${name}: WhatsApp not ready, waiting to reconnect`);
+    return;
+  }
+
+  // Files that vanished or are no longer allowed since the folder was queued
+  while (queue.files.length > 0 && !isPathAllowed(queue.files[0], { type: 'file' })) {
+    console.log(`Queue ${name}: Skipping ${path.basename(queue.files[0])}, no longer allowed or missing`);
+    queue.files.shift();
+    queue.totalFiles--;
+  }
+
+  if (queue.files.length === 0) {
+    queue.status = 'done';
+    queue.nextAt = null;
+    save();
+    progress(queue);
+    const failedNote = queue.failedList.length ? `, ${queue.failedList.length} failed (see /failed)` : '';
+    await handlers.notify(`✅ Queue "${name}" complete! Sent ${queue.sentFiles} files${failedNote}.`, queue.chatId);
+    return;
+  }
+
+  const filePath = queue.files[0];
+  const fileName = path.basename(filePath);
+  sending.add(name);
+  try {
+    const position = queue.sentFiles + queue.failedList.length + 1;
+    const sent = await handlers.send(filePath, `📁 [${position}/${queue.totalFiles}] ${fileName}`, queue.chatId);
+    queue.files.shift();
+    if (sent) {
+      queue.sentFiles++;
+      queue.sentList.push(filePath);
+      console.log(`Queue ${name}: Sent ${position}/${queue.totalFiles} - ${fileName}`);
+    } else {
+      queue.failedList.push(filePath);
+      console.log(`Queue ${name}: Gave up on ${fileName}, moving on`);
+    }
+    progress(queue);
+  } catch (err) {
+    console.error(`Queue ${name} error sending ${fileName}:`, err);
+  } finally {
+    sending.delete(name);
+  }
+
+  // Paused, stopped or replaced while sending
+  if (queues.get(name) !== queue) return;
+  if (queue.status === 'active') {
+    schedule(queue, queue.files.length > 0 ? queue.intervalMs : 0);
+  } else {
+    save();
+  }
+}
+
+// Files of a folder (already checked by the sandbox) that pass the queue's filters, in order
+export function collectFiles(folderPath, { match = [], ext = [], recursive = false, sort = 'name', max = 0 } = {}) {
+  const patterns = match.map(glob => globToRegExp(glob));
+  const extensions = ext.map(e => e.replace(/^\./, '').toLowerCase());
+  const wanted = (name) => {
+    if (patterns.length && !patterns.some(regex => regex.test(name))) return false;
+    if (extensions.length && !extensions.includes(path.extname(name).slice(1).toLowerCase())) return false;
+    return true;
+  };
+
+  const files = [];
+  const visit = (dir, depth) => {
+    for (const name of fs.readdirSync(dir)) {
+      const fullPath = path.join(dir, name);
+      // Files the sandbox refuses (e.g. .env, symlinks leading elsewhere) are left out
+      if (!isPathAllowed(fullPath, { type: 'any' })) continue;
+      const stat = fs.statSync(fullPath);
+      if (stat.isDirectory()) {
+        if (recursive && depth < MAX_SCAN_DEPTH) visit(fullPath, depth + 1);
+      } else if (stat.isFile() && wanted(name)) {
+        files.push({ path: fullPath, mtime: stat.mtimeMs, size: stat.size });
+      }
+    }
+  };
+  visit(folderPath, 0);
+
+  switch (sort) {
+    case 'mtime':
+      files.sort((a, b) => a.mtime - b.mtime);
+      break;
+    case 'size':
+      files.sort((a, b) => a.size - b.size);
+      break;
+    case 'random':
+      for (let i = files.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [files[i], files[j]] = [files[j], files[i]];
+      }
+      break;
+    default:
+      files.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+  }
+
+  const paths = files.map(f => f.path);
+  return max > 0 ? paths.slice(0, max) : paths;
+}
+
+// Queue name from a folder, e.g. "/Users/me/Movies/Theodora" -> "Theodora"
+export function defaultQueueName(folderPath) {
+  const base = path.basename(folderPath).replace(/[^\w-]/g, '_').slice(0, 27) || 'queue';
+  let name = base;
+  for (let i = 2; queues.has(name) && ['active', 'paused'].includes(queues.get(name).status); i++) {
+    name = `${base}-${i}`;
+  }
+  return name;
+}
+
+// Start (or restart) the named queue for chatId. options: { match, ext, recursive, sort, max }
+export function startFileQueue(name, folderPath, intervalMs = 60000, chatId = null, options = {}) {
+  if (!QUEUE_NAME.test(name || '')) {
+    return { success: false, message: 'Queue names may only use letters, numbers, - and _ (max 30)' };
+  }
+  const existing = queues.get(name);
+  if (existing && ['active', 'paused'].includes(existing.status)) {
+    return { success: false, message: `Queue "${name}" is already ${existing.status}, stop it first or pick another --name` };
+  }
+
+  let files;
+  try {
+    files = collectFiles(folderPath, options);
+  } catch (err) {
+    return { success: false, message: `Error: ${err.message}` };
+  }
+
+  // Skip what an earlier run of the same queue and folder already sent
+  const alreadySent = existing && existing.folder === folderPath ? existing.sentList : [];
+  const remaining = files.filter(f => !alreadySent.includes(f));
+  const skipped = files.length - remaining.length;
+
+  if (remaining.length === 0) {
+    return {
+      success: false,
+      message: skipped
+        ? `All ${skipped} matching files were already sent by "${name}" (/queue-reset ${name} to send them again)`
+        : 'No matching files found in folder'
+    };
+  }
+
+  const queue = {
+    name,
+    folder: folderPath,
+    chatId,
+    intervalMs,
+    options,
+    status: 'active',
+    files: remaining,
+    totalFiles: remaining.length,
+    sentFiles: 0,
+    sentList: [...alreadySent],
+    failedList: [],
+    startedAt: Date.now(),
+    nextAt: null
+  };
+  queues.set(name, queue);
+  console.log(`File queue ${name} started: ${remaining.length} files, interval: ${intervalMs}ms`);
+
+  // Send first file immediately
+  schedule(queue, 0);
+  progress(queue);
+
+  const skippedNote = skipped ? ` (${skipped} already sent, skipped)` : '';
+  return { success: true, message: `Queue "${name}": ${remaining.length} files, one every ${intervalMs / 1000} seconds${skippedNote}` };
+}
+
+export function pauseFileQueue(name) {
+  const queue = queues.get(name);
+  if (!queue || queue.status !== 'active') return false;
+  clearTimer(name);
+  queue.status = 'paused';
+  queue.nextAt = null;
+  save();
+  progress(queue);
+  return true;
+}
+
+export function resumeFileQueue(name) {
+  const queue = queues.get(name);
+  if (!queue || queue.status !== 'paused') return false;
+  queue.status = 'active';
+  schedule(queue, 0);
+  progress(queue);
+  return true;
+}
+
+export function stopFileQueue(name) {
+  const queue = queues.get(name);
+  if (!queue || !['active', 'paused'].includes(queue.status)) return false;
+  clearTimer(name);
+  queue.status = 'stopped';
+  queue.nextAt = null;
+  save();
+  progress(queue);
+  console.log(`File queue ${name} stopped`);
+  return true;
+}
+
+// Forget a finished or stopped queue and which files it sent
+export function resetFileQueue(name) {
+  const queue = queues.get(name);
+  if (!queue || ['active', 'paused'].includes(queue.status)) return false;
+  queues.delete(name);
+  save();
+  handlers.onProgress({ name, status: 'removed' });
+  return true;
+}
+
+function describeQueue(queue) {
+  return {
+    name: queue.name,
+    folder: queue.folder,
+    chatId: queue.chatId,
+    status: queue.status,
+    active: queue.status === 'active',
+    intervalMs: queue.intervalMs,
+    options: queue.options,
+    totalFiles: queue.totalFiles,
+    sentFiles: queue.sentFiles,
+    failedFiles: queue.failedList.length,
+    remaining: queue.files.length,
+    nextAt: queue.nextAt,
+    sentList: queue.sentList.map(f => path.basename(f)),
+    remainingFiles: queue.files.map(f => path.basename(f))
+  };
+}
+
+export function getFileQueueStatus(name) {
+  const queue = queues.get(name);
+  return queue ? describeQueue(queue) : null;
+}
+
+// Every queue, running ones first
+export function listFileQueues() {
+  const order = { active: 0, paused: 1, stopped: 2, done: 3 };
+  return [...queues.values()]
+    .map(describeQueue)
+    .sort((a, b) => order[a.status] - order[b.status] || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,163 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Filesystem sandbox for everything that sends files from this machine (/send, /queue,
+// the AI's [SEND_FILE:...] tag and the dashboard). A path is only accepted when it is
+// inside an allowed root and matches no deny pattern, checked both as written and
+// after resolving symlinks. Configured in sandbox.json:
+// { allowedRoots: ['~/Desktop', ...], denyPatterns: ['*.sqlite', ...] }
+// allowedRoots replaces the default roots; denyPatterns are added to the built-in ones.
+
+const DEFAULT_ROOTS = ['~/Desktop', '~/Documents', '~/Downloads', '~/Pictures', '~/Movies', '~/Music'];
+
+// Patterns containing a slash match that path and everything below it,
+// bare patterns match any file or folder name along the path
+const BUILTIN_DENY = [
+  '~/.ssh',
+  '~/.aws',
+  '~/.gnupg',
+  '~/.config',
+  '~/.claude',
+  '~/.claude.json',
+  '~/Library/Keychains',
+  '.env',
+  '.env.*',
+  '*.pem',
+  '*.key',
+  'id_rsa*',
+  'id_ed25519*',
+  '.wwebjs_auth'
+];
+
+let roots = [];  // [{ label, path, real }]
+let deny = [];   // [{ pattern, test(path) }]
+
+export class SandboxError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.reason = reason; // 'invalid' | 'not-found' | 'outside' | 'denied' | 'type'
+  }
+}
+
+function expandHome(p) {
+  return p === '~' || p.startsWith('~/') ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+function tildify(p) {
+  const home = os.homedir();
+  return p === home || p.startsWith(home + path.sep) ? '~' + p.slice(home.length) : p;
+}
+
+export function globToRegExp(glob, suffix = '') {
+  const source = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*/g, '\u0000')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\u0000/g, '.*');
+  return new RegExp(`^${source}${suffix}$`, 'i');
+}
+
+function compileDeny(pattern) {
+  if (pattern.includes('/')) {
+    // The path itself or anything inside it
+    const regex = globToRegExp(path.resolve(expandHome(pattern)), '(/.*)?');
+    return { pattern, test: p => regex.test(p) };
+  }
+  const regex = globToRegExp(pattern);
+  return { pattern, test: p => p.split(path.sep).some(segment => regex.test(segment)) };
+}
+
+function insideRoot(p, useReal) {
+  return roots.some(root => {
+    const base = useReal ? root.real : root.path;
+    return p === base || p.startsWith(base + path.sep);
+  });
+}
+
+function checkDeny(p, input) {
+  const match = deny.find(d => d.test(p));
+  if (match) {
+    throw new SandboxError(`🚫 Refused: ${input} is blocked by the deny pattern "${match.pattern}"`, 'denied');
+  }
+}
+
+// Load sandbox.json (if present). alwaysAllow roots (e.g. the media folder) cannot be configured away.
+export function loadSandbox(configPath, { alwaysAllow = [] } = {}) {
+  let config = {};
+  try {
+    if (fs.existsSync(configPath)) {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    }
+  } catch (err) {
+    console.error('Could not read sandbox config, using defaults:', err.message);
+  }
+
+  const rootList = [...(Array.isArray(config.allowedRoots) ? config.allowedRoots : DEFAULT_ROOTS), ...alwaysAllow];
+  roots = [];
+  for (const root of rootList) {
+    const resolved = path.resolve(expandHome(root));
+    try {
+      roots.push({ label: tildify(resolved), path: resolved, real: fs.realpathSync(resolved) });
+    } catch (err) {
+      console.log(`Sandbox: skipping missing root ${root}`);
+    }
+  }
+
+  deny = [...BUILTIN_DENY, ...(Array.isArray(config.denyPatterns) ? config.denyPatterns : [])].map(compileDeny);
+
+  console.log('Sandbox roots:', roots.map(r => r.label).join(', ') || '(none)');
+  return roots.map(r => r.label);
+}
+
+export function listAllowedRoots() {
+  return roots.map(r => r.label);
+}
+
+// Resolve a user- or AI-supplied path to a real path that may be sent, or throw a SandboxError.
+// type is 'file', 'directory' or 'any'. allowOutside (after the owner confirmed it) lifts the
+// allowed folders, but never the deny list.
+export function resolveSafePath(input, { type = 'file', allowOutside = false } = {}) {
+  const raw = (input || '').trim();
+  if (!raw) {
+    throw new SandboxError('No path given', 'invalid');
+  }
+
+  const requested = path.resolve(expandHome(raw));
+  const outside = new SandboxError(`🚫 Refused: ${raw} is outside the allowed folders (${listAllowedRoots().join(', ') || 'none configured'})`, 'outside');
+
+  checkDeny(requested, raw);
+
+  let real;
+  try {
+    real = fs.realpathSync(requested);
+  } catch (err) {
+    // Only admit that a path does not exist when it would have been allowed
+    if (!allowOutside && !insideRoot(requested, false) && !insideRoot(requested, true)) throw outside;
+    throw new SandboxError(`${type === 'directory' ? 'Folder' : 'File'} not found: ${raw}`, 'not-found');
+  }
+
+  // Symlinks must not lead out of the sandbox either
+  checkDeny(real, raw);
+  if (!allowOutside && !insideRoot(real, true)) throw outside;
+
+  const stat = fs.statSync(real);
+  if (type === 'file' && !stat.isFile()) {
+    throw new SandboxError(`Not a file: ${raw}`, 'type');
+  }
+  if (type === 'directory' && !stat.isDirectory()) {
+    throw new SandboxError(`Not a directory: ${raw}`, 'type');
+  }
+  return real;
+}
+
+// Boolean form for filtering, e.g. files found inside a queued folder
+export function isPathAllowed(p, options) {
+  try {
+    resolveSafePath(p, options);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
@@ -0,0 +1,90 @@
+import { PNG } from 'pngjs';
+
+// Pixel comparison of two PNG screenshots for /watch. The result image is the new capture
+// faded to grey with every changed pixel in red and a box around the changed area, so a
+// small change on a long page is easy to find. Large captures (a full mobile page is taken
+// at 3x) are compared on a grid of every few pixels, so a check stays quick.
+
+const PIXEL_TOLERANCE = 40; // summed RGB difference below which two pixels count as equal
+const HIGHLIGHT = [230, 30, 30];
+const BOX_WIDTH = 3;
+const MAX_DIFF_PIXELS = 2000000; // compared per check; larger captures are sampled
+
+function setPixel(png, x, y, [r, g, b]) {
+  const i = (y * png.width + x) * 4;
+  png.data[i] = r;
+  png.data[i + 1] = g;
+  png.data[i + 2] = b;
+  png.data[i + 3] = 255;
+}
+
+// Compare two PNG buffers: { changedPixels, changedPercent, box, image }, where box is
+// { left, top, right, bottom } around the changes (null if none) and image a PNG buffer.
+// Where the sizes differ, the part only one image has counts as changed. Captures above
+// MAX_DIFF_PIXELS are sampled every step pixels: the image is then that much smaller, and
+// changedPixels and box are in its pixels.
+export function diffImages(beforeBuffer, afterBuffer) {
+  const before = PNG.sync.read(beforeBuffer);
+  const after = PNG.sync.read(afterBuffer);
+  const fullWidth = Math.max(before.width, after.width);
+  const fullHeight = Math.max(before.height, after.height);
+  const step = Math.max(1, Math.ceil(Math.sqrt((fullWidth * fullHeight) / MAX_DIFF_PIXELS)));
+  const width = Math.ceil(fullWidth / step);
+  const height = Math.ceil(fullHeight / step);
+  const out = new PNG({ width, height });
+
+  let changedPixels = 0;
+  let box = null;
+  for (let outY = 0; outY < height; outY++) {
+    for (let outX = 0; outX < width; outX++) {
+      const x = outX * step;
+      const y = outY * step;
+      const inBefore = x < before.width && y < before.height;
+      const inAfter = x < after.width && y < after.height;
+      const a = (y * before.width + x) * 4;
+      const b = (y * after.width + x) * 4;
+      const changed = !inBefore || !inAfter ||
+        Math.abs(before.data[a] - after.data[b]) +
+        Math.abs(before.data[a + 1] - after.data[b + 1]) +
+        Math.abs(before.data[a + 2] - after.data[b + 2]) > PIXEL_TOLERANCE;
+
+      if (changed) {
+        changedPixels++;
+        box = box
+          ? { left: Math.min(box.left, outX), top: Math.min(box.top, outY), right: Math.max(box.right, outX), bottom: Math.max(box.bottom, outY) }
+          : { left: outX, top: outY, right: outX, bottom: outY };
+        setPixel(out, outX, outY, HIGHLIGHT);
+      } else {
+        // Unchanged: a light grey version of the new capture
+        const grey = 0.3 * after.data[b] + 0.59 * after.data[b + 1] + 0.11 * after.data[b + 2];
+        const light = Math.round(170 + grey / 3);
+        setPixel(out, outX, outY, [light, light, light]);
+      }
+    }
+  }
+
+  if (box) drawBox(out, box);
+
+  return {
+    changedPixels,
+    changedPercent: (changedPixels / (width * height)) * 100,
+    box,
+    image: PNG.sync.write(out)
+  };
+}
+
+function drawBox(png, { left, top, right, bottom }) {
+  const paint = (x, y) => {
+    if (x >= 0 && y >= 0 && x < png.width && y < png.height) setPixel(png, x, y, HIGHLIGHT);
+  };
+  for (let d = 1; d <= BOX_WIDTH; d++) {
+    for (let x = left - d; x <= right + d; x++) {
+      paint(x, top - d);
+      paint(x, bottom + d);
+    }
+    for (let y = top - d; y <= bottom + d; y++) {
+      paint(left - d, y);
+      paint(right + d, y);
+    }
+  }
+}
@@ -0,0 +1,116 @@
+// Fitting long text into WhatsApp messages. splitMessage() breaks text into parts of at
+// most maxLength characters, cutting between paragraphs and never inside a ``` code block
+// unless the block alone is too long, in which case it is split by lines and every piece
+// gets its own fences. Text that would take too many parts is better sent as a document.
+
+export const MAX_MESSAGE_LENGTH = 4000;
+export const CAPTION_LIMIT = 1000;
+const PART_LABEL_ROOM = 12; // "(12/12) " and the like
+
+// Paragraphs and whole code blocks, in order
+function splitBlocks(text) {
+  const blocks = [];
+  let current = [];
+  let inCode = false;
+
+  const close = () => {
+    if (current.length) blocks.push({ text: current.join('\n'), code: inCode });
+    current = [];
+  };
+
+  for (const line of text.split('\n')) {
+    if (/^\s*```/.test(line)) {
+      if (!inCode) {
+        close();
+        inCode = true;
+        current.push(line);
+      } else {
+        current.push(line);
+        close();
+        inCode = false;
+      }
+    } else if (!inCode && !line.trim()) {
+      close();
+    } else {
+      current.push(line);
+    }
+  }
+  close();
+  return blocks;
+}
+
+// Cut a long piece of prose, preferring line breaks, then sentence ends, then spaces
+function cutText(text, maxLength) {
+  const pieces = [];
+  let rest = text;
+  while (rest.length > maxLength) {
+    const window = rest.slice(0, maxLength);
+    let cut = window.lastIndexOf('\n');
+    if (cut < maxLength / 2) cut = Math.max(window.lastIndexOf('. '), window.lastIndexOf('! '), window.lastIndexOf('? ')) + 1;
+    if (cut < maxLength / 2) cut = window.lastIndexOf(' ');
+    if (cut < maxLength / 2) cut = maxLength;
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+// Split an oversized code block by lines, reopening the fence in every piece
+function cutCode(block, maxLength) {
+  const lines = block.split('\n');
+  const fence = lines[0].trim();
+  const body = lines.slice(1, /^\s*```\s*$/.test(lines[lines.length - 1]) ? -1 : undefined);
+  const room = maxLength - fence.length - 5;
+
+  const pieces = [];
+  let current = [];
+  let size = 0;
+  for (const line of body.flatMap(l => (l.length > room ? cutText(l, room) : [l]))) {
+    if (size + line.length + 1 > room && current.length) {
+      pieces.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(line);
+    size += line.length + 1;
+  }
+  if (current.length) pieces.push(current);
+  return pieces.map(piece => `${fence}\n${piece.join('\n')}\n\`\`\``);
+}
+
+// Parts of at most maxLength characters (with room left for a part label)
+export function splitMessage(text, maxLength = MAX_MESSAGE_LENGTH) {
+  const limit = maxLength - PART_LABEL_ROOM;
+  if (text.length <= maxLength) return [text];
+
+  const parts = [];
+  let current = '';
+  for (const block of splitBlocks(text)) {
+    const pieces = block.text.length <= limit
+      ? [block.text]
+      : block.code ? cutCode(block.text, limit) : cutText(block.text, limit);
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 2 > limit) {
+        parts.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+// "(1/3) ..." labels, only when there is more than one part
+export function numberParts(parts) {
+  if (parts.length < 2) return parts;
+  // A code fence has to start its own line
+  return parts.map((part, i) => `(${i + 1}/${parts.length})${part.startsWith('```') ? '\n' : ' '}${part}`);
+}
+
+// File name and extension for text sent as a document: Markdown when it looks like it
+export function documentName(text, base = 'reply') {
+  const markdown = /^#{1,6}\s|^\s*```|^\s*[-*]\s|\*\*[^*]+\*\*|^\|.*\|\s*$/m.test(text);
+  return `${base}-${Date.now()}.${markdown ? 'md' : 'txt'}`;
+}
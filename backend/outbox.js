@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { enqueue, acquireSlot } from './send-queue.js';
+
+// Outbound delivery to WhatsApp. Every send goes through deliver(job), which waits its
+// turn in the send queue (per-chat order and rate limits, see send-queue.js) and retries
+// failures with exponential backoff (baseDelayMs, then 2x, 4x ... up to maxDelayMs) and
+// after maxAttempts moves the job to a persisted dead-letter list, { failed: [...] },
+// where it can be retried by hand. Errors marked permanent (e.g. a missing file) are
+// dead-lettered straight away. Jobs look like:
+//   { kind: 'text', chatId, text }
+//   { kind: 'media', chatId, filePath, caption }
+//   { kind: 'image', chatId, base64, mimetype, caption }
+
+const MAX_FAILED = 200;
+const MAX_STORED_BASE64 = 5 * 1024 * 1024; // larger images are kept without their data
+
+let statePath = null;
+let failed = [];
+let settings = { maxAttempts: 4, baseDelayMs: 2000, maxDelayMs: 60000 };
+let transport = async () => {
+  throw new Error('Outbox not initialized');
+};
+let onChange = () => {};
+
+function save() {
+  fs.writeFileSync(statePath, JSON.stringify({ failed }, null, 2));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// send(job) performs one attempt and resolves to the sent message, or throws
+export function initOutbox(filePath, { send, onChange: changed, ...options } = {}) {
+  statePath = filePath;
+  transport = send || transport;
+  onChange = changed || onChange;
+  settings = { ...settings, ...Object.fromEntries(Object.entries(options).filter(([, v]) => v > 0)) };
+  try {
+    if (fs.existsSync(statePath)) {
+      failed = JSON.parse(fs.readFileSync(statePath, 'utf8')).failed || [];
+    }
+  } catch (err) {
+    console.error('Could not read failed deliveries:', err.message);
+  }
+  if (failed.length) {
+    console.log(`${failed.length} failed deliveries waiting for retry (/failed)`);
+  }
+}
+
+// An error that retrying cannot fix
+export function permanentError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+function summarize(job) {
+  switch (job.kind) {
+    case 'text':
+      return job.text.length > 60 ? `${job.text.slice(0, 60)}...` : job.text;
+    case 'media':
+      return `📎 ${path.basename(job.filePath)}${job.caption ? ` - ${job.caption.slice(0, 40)}` : ''}`;
+    default:
+      return `🖼️ ${job.mimetype || 'image'}${job.caption ? ` - ${job.caption.slice(0, 40)}` : ''}`;
+  }
+}
+
+function deadLetter(job, err, attempts) {
+  const storable = job.kind === 'image' && job.base64.length > MAX_STORED_BASE64
+    ? { ...job, base64: null }
+    : job;
+  failed.push({
+    id: crypto.randomBytes(4).toString('hex'),
+    job: storable,
+    summary: summarize(job),
+    error: err.message,
+    attempts,
+    failedAt: Date.now()
+  });
+  failed = failed.slice(-MAX_FAILED);
+  save();
+  onChange(listFailed());
+}
+
+// Deliver a job, retrying with backoff. Resolves to the sent message, or null once dead-lettered.
+export function deliver(job) {
+  return enqueue(job.chatId, () => attemptDelivery(job));
+}
+
+async function attemptDelivery(job) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await acquireSlot(job.chatId);
+      return await transport(job);
+    } catch (err) {
+      console.error(`Delivery of ${job.kind} to ${job.chatId} failed (attempt ${attempt}/${settings.maxAttempts}):`, err.message);
+      if (err.permanent || attempt >= settings.maxAttempts) {
+        deadLetter(job, err, attempt);
+        return null;
+      }
+      await sleep(Math.min(settings.baseDelayMs * 2 ** (attempt - 1), settings.maxDelayMs));
+    }
+  }
+}
+
+// Dead letters without their payloads, oldest first
+export function listFailed() {
+  return failed.map(({ job, ...entry }) => ({
+    ...entry,
+    kind: job.kind,
+    chatId: job.chatId,
+    retryable: job.kind !== 'image' || Boolean(job.base64)
+  }));
+}
+
+// Send a dead letter again; if it fails again it goes back on the list
+export async function retryFailed(id) {
+  const entry = failed.find(e => e.id === id);
+  if (!entry) return { success: false, error: 'Not found' };
+  if (entry.job.kind === 'image' && !entry.job.base64) {
+    return { success: false, error: 'Image was too large to keep for retrying' };
+  }
+
+  failed = failed.filter(e => e !== entry);
+  save();
+  onChange(listFailed());
+
+  const sent = await deliver(entry.job);
+  return sent ? { success: true } : { success: false, error: 'Failed again' };
+}
+
+export function discardFailed(id) {
+  const before = failed.length;
+  failed = failed.filter(e => e.id !== id);
+  if (failed.length === before) return false;
+  save();
+  onChange(listFailed());
+  return true;
+}
+
+export function clearFailed() {
+  const count = failed.length;
+  failed = [];
+  save();
+  onChange(listFailed());
+  return count;
+}
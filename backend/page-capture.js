@@ -0,0 +1,148 @@
+// Web page captures for /screenshot and /watch: PNG screenshots (the visible part, the full
+// page or one element) and PDF printouts; reply images (see whatsapp-format.js) are rendered
+// in the same way. One headless browser is shared by all captures and closed after
+// a few idle minutes; at most MAX_PAGES captures run at once, the others wait their turn.
+
+const MAX_PAGES = 2;
+const IDLE_CLOSE_MS = 5 * 60 * 1000;
+const NAVIGATION_TIMEOUT_MS = 30000;
+
+export const MAX_WAIT_MS = 30000;
+export const MIN_WIDTH = 320;
+export const MAX_WIDTH = 3840;
+
+const DESKTOP = { width: 1280, height: 800 };
+const MOBILE = {
+  viewport: { width: 390, height: 844, deviceScaleFactor: 3, isMobile: true, hasTouch: true },
+  userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1'
+};
+
+let browserPromise = null;
+let activeBrowser = null;
+let idleTimer = null;
+let openPages = 0;
+const waiting = [];
+
+async function launchBrowser() {
+  const puppeteer = await import('puppeteer');
+  const browser = await puppeteer.default.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  });
+  console.log('Capture browser started, PID:', browser.process()?.pid);
+  activeBrowser = browser;
+  // A crashed or closed browser is launched again on the next capture
+  browser.on('disconnected', () => {
+    console.log('Capture browser closed');
+    if (activeBrowser === browser) {
+      activeBrowser = null;
+      browserPromise = null;
+    }
+  });
+  return browser;
+}
+
+function getBrowser() {
+  if (!browserPromise) {
+    browserPromise = launchBrowser().catch((err) => {
+      browserPromise = null;
+      throw err;
+    });
+  }
+  return browserPromise;
+}
+
+// Wait for a free page slot; resolves to a function that gives it back.
+// A slot given back goes straight to the next capture waiting, if any.
+async function acquirePage() {
+  clearTimeout(idleTimer);
+  if (openPages < MAX_PAGES) {
+    openPages++;
+  } else {
+    await new Promise(resolve => waiting.push(resolve));
+  }
+  return () => {
+    const next = waiting.shift();
+    if (next) {
+      next();
+      return;
+    }
+    openPages--;
+    if (openPages === 0) {
+      idleTimer = setTimeout(closeBrowser, IDLE_CLOSE_MS);
+    }
+  };
+}
+
+export async function closeBrowser() {
+  clearTimeout(idleTimer);
+  const pending = browserPromise;
+  browserPromise = null;
+  activeBrowser = null;
+  if (!pending) return;
+  try {
+    await (await pending).close();
+  } catch (err) {
+    console.error('Could not close the capture browser:', err.message);
+  }
+}
+
+// Open a page as asked and run fn(page) on it; the page is closed either way.
+// Without a url the page is left blank (for page.setContent); scale is the device pixel ratio.
+export async function withPage(url, { mobile = false, width, scale, dark = false, waitMs = 0 } = {}, fn) {
+  const release = await acquirePage();
+  let page = null;
+  try {
+    const browser = await getBrowser();
+    page = await browser.newPage();
+    if (mobile) {
+      await page.setUserAgent(MOBILE.userAgent);
+      await page.setViewport({ ...MOBILE.viewport, ...(width ? { width } : {}) });
+    } else {
+      await page.setViewport({ ...DESKTOP, ...(width ? { width } : {}), ...(scale ? { deviceScaleFactor: scale } : {}) });
+    }
+    if (dark) {
+      await page.emulateMediaFeatures([{ name: 'prefers-color-scheme', value: 'dark' }]);
+    }
+    if (url) {
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: NAVIGATION_TIMEOUT_MS });
+    }
+    if (waitMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+    return await fn(page);
+  } finally {
+    if (page) {
+      await page.close().catch(err => console.error('Could not close a capture page:', err.message));
+    }
+    release();
+  }
+}
+
+// Capture a page to filePath: a PNG screenshot, or with pdf a printout. Options:
+//   full     - the whole page instead of the visible part
+//   selector - only the first element matching this CSS selector
+//   withText - also read the page's (or the element's) visible text
+//   mobile, width, dark, waitMs - see withPage
+// Resolves to { filePath, title, text }.
+export function capturePage(url, filePath, { full = false, selector, pdf = false, withText = false, ...pageOptions } = {}) {
+  return withPage(url, pageOptions, async (page) => {
+    const title = await page.title();
+    let text = null;
+    if (pdf) {
+      await page.pdf({ path: filePath, format: 'A4', printBackground: true });
+    } else if (selector) {
+      const element = await page.$(selector);
+      if (!element) {
+        throw new Error(`Nothing on the page matches "${selector}"`);
+      }
+      await element.screenshot({ path: filePath });
+      if (withText) text = await element.evaluate(el => el.innerText);
+    } else {
+      await page.screenshot({ path: filePath, fullPage: full });
+    }
+    if (withText && text === null) text = await page.evaluate(() => document.body?.innerText || '');
+    console.log('Capture saved to:', filePath);
+    return { filePath, title, text };
+  });
+}
@@ -0,0 +1,240 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { diffImages } from './image-diff.js';
+
+// Pages checked on a schedule (/watch). Every check captures the page and compares it with
+// the previous capture, by pixels (changed share of the page above a threshold) or by its
+// visible text (lines added or removed). Only a change sends a message: the new capture, with
+// the changed pixels highlighted in pixel mode. Persisted as { watches: [{ id, chatId, url, intervalMs, mode,
+// threshold, selector, full, mobile, createdAt, lastCheckAt, lastChangeAt, checks, changes,
+// failures, lastError }] }; the previous capture of each is kept next to it as <id>.png/.txt.
+
+export const MIN_INTERVAL_MS = 60 * 1000;
+export const MAX_INTERVAL_MS = 30 * 24 * 60 * 60 * 1000;
+export const MAX_WATCHES = 20;
+export const DEFAULT_THRESHOLD = 0.5; // percent of the page's pixels
+
+const MAX_TIMER_MS = 2 ** 31 - 1; // setTimeout's limit, about 24 days
+const MAX_TEXT_LINES = 10; // changed lines listed in a message
+
+const UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+let statePath = null;
+let captureDir = null;
+let watches = [];
+const timers = new Map(); // id -> timeout
+const running = new Set(); // ids being checked
+let handlers = {
+  capture: async () => ({}),     // (url, filePath, options) => { title, text }
+  send: async () => null,        // (text, chatId)
+  sendImage: async () => false,  // (filePath, caption, chatId)
+  outputDir: null                // where highlighted images are written for sending
+};
+
+function save() {
+  fs.writeFileSync(statePath, JSON.stringify({ watches }, null, 2));
+}
+
+export function initWatches(filePath, newHandlers = {}) {
+  statePath = filePath;
+  captureDir = path.join(path.dirname(filePath), 'watches');
+  fs.mkdirSync(captureDir, { recursive: true });
+  handlers = { ...handlers, ...Object.fromEntries(Object.entries(newHandlers).filter(([, v]) => v)) };
+  try {
+    if (fs.existsSync(statePath)) {
+      watches = JSON.parse(fs.readFileSync(statePath, 'utf8')).watches || [];
+      console.log(`Page watches restored: ${watches.length}`);
+    }
+  } catch (err) {
+    console.error('Could not read page watches:', err.message);
+  }
+}
+
+// "every 30m", "every 2 hours", "daily", "15 min" -> milliseconds, or null
+export function parseInterval(text) {
+  const input = text.trim().toLowerCase();
+  if (input === 'hourly') return UNITS.h;
+  if (input === 'daily') return UNITS.d;
+  const match = input.match(/^(?:every\s+)?(\d+(?:\.\d+)?)?\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?)$/);
+  if (!match) return null;
+  return Math.round(Number(match[1] || 1) * UNITS[match[2][0]]);
+}
+
+export function formatInterval(ms) {
+  for (const [unit, label] of [['d', 'day'], ['h', 'hour'], ['m', 'minute']]) {
+    const count = ms / UNITS[unit];
+    if (count >= 1 && Number.isInteger(count)) return count === 1 ? label : `${count} ${label}s`;
+  }
+  return `${Math.round(ms / UNITS.m)} minutes`;
+}
+
+function capturePaths(id) {
+  return { png: path.join(captureDir, `${id}.png`), text: path.join(captureDir, `${id}.txt`) };
+}
+
+function removeCaptures(id) {
+  const paths = capturePaths(id);
+  fs.rmSync(paths.png, { force: true });
+  fs.rmSync(paths.text, { force: true });
+}
+
+function arm(watch) {
+  clearTimeout(timers.get(watch.id));
+  const dueAt = watch.lastCheckAt ? watch.lastCheckAt + watch.intervalMs : Date.now();
+  const delay = Math.max(0, dueAt - Date.now());
+  // Long waits are done in steps, since setTimeout can't wait that long at once
+  timers.set(watch.id, setTimeout(() => (delay > MAX_TIMER_MS ? arm(watch) : runCheck(watch.id)), Math.min(delay, MAX_TIMER_MS)));
+}
+
+// Lines only in one of the texts, ignoring blank lines and surrounding spaces
+function diffText(before, after) {
+  const lines = text => new Set(text.split('\n').map(line => line.trim()).filter(Boolean));
+  const old = lines(before);
+  const now = lines(after);
+  return {
+    added: [...now].filter(line => !old.has(line)),
+    removed: [...old].filter(line => !now.has(line))
+  };
+}
+
+function describeTextChange({ added, removed }) {
+  const clip = line => (line.length > 80 ? `${line.slice(0, 80)}...` : line);
+  const shown = [...added.map(line => `+ ${clip(line)}`), ...removed.map(line => `- ${clip(line)}`)];
+  const more = shown.length - MAX_TEXT_LINES;
+  return `${added.length} line${added.length === 1 ? '' : 's'} added, ${removed.length} removed\n` +
+    shown.slice(0, MAX_TEXT_LINES).join('\n') + (more > 0 ? `\n...and ${more} more` : '');
+}
+
+// Capture the page and compare it with the previous capture; resolves to a summary line
+async function check(watch) {
+  const paths = capturePaths(watch.id);
+  const newPng = path.join(captureDir, `${watch.id}-new.png`);
+  let title;
+  let change = null;
+  let first;
+  // A failed capture or comparison leaves the previous capture as it was
+  try {
+    let text;
+    ({ title, text } = await handlers.capture(watch.url, newPng, {
+      full: watch.full,
+      mobile: watch.mobile,
+      selector: watch.selector,
+      withText: watch.mode === 'text'
+    }));
+
+    first = !fs.existsSync(paths.png) || (watch.mode === 'text' && !fs.existsSync(paths.text));
+    if (!first && watch.mode === 'text') {
+      // The text says what changed; a page that grew or shrank would be all red in a pixel diff
+      const lines = diffText(fs.readFileSync(paths.text, 'utf8'), text);
+      if (lines.added.length || lines.removed.length) change = { image: fs.readFileSync(newPng), summary: describeTextChange(lines) };
+    } else if (!first) {
+      const pixels = diffImages(fs.readFileSync(paths.png), fs.readFileSync(newPng));
+      if (pixels.changedPercent >= watch.threshold) {
+        change = { image: pixels.image, summary: `${pixels.changedPercent.toFixed(1)}% of the page changed` };
+      }
+    }
+
+    // The new capture is what the next check compares with
+    fs.renameSync(newPng, paths.png);
+    if (watch.mode === 'text') fs.writeFileSync(paths.text, text);
+  } finally {
+    fs.rmSync(newPng, { force: true });
+  }
+
+  if (!change) return first ? 'first capture saved' : 'no change';
+
+  watch.lastChangeAt = Date.now();
+  watch.changes = (watch.changes || 0) + 1;
+  const imagePath = path.join(handlers.outputDir || captureDir, `watch-${watch.id}-${Date.now()}.png`);
+  fs.writeFileSync(imagePath, change.image);
+  const caption = `👀 Watch ${watch.id}: ${(title || watch.url).slice(0, 100)} changed\n${watch.url}\n${change.summary}`;
+  // Kept when the send failed, for retrying it from /failed
+  if (await handlers.sendImage(imagePath, caption, watch.chatId)) fs.rmSync(imagePath, { force: true });
+  return 'changed';
+}
+
+async function runCheck(id) {
+  timers.delete(id);
+  const watch = watches.find(w => w.id === id);
+  if (!watch || running.has(id)) return;
+  running.add(id);
+  try {
+    const outcome = await check(watch);
+    console.log(`Watch ${id} (${watch.url}): ${outcome}`);
+    watch.failures = 0;
+    watch.lastError = null;
+  } catch (err) {
+    console.error(`Watch ${id} (${watch.url}) failed:`, err.message);
+    watch.failures = (watch.failures || 0) + 1;
+    watch.lastError = err.message;
+    // Said once per run of failures, not at every check
+    if (watch.failures === 1) {
+      await handlers.send(`⚠️ Watch ${id} could not check ${watch.url}: ${err.message}\nIt keeps trying; /watch stop ${id} to end it.`, watch.chatId);
+    }
+  } finally {
+    running.delete(id);
+  }
+  watch.lastCheckAt = Date.now();
+  watch.checks = (watch.checks || 0) + 1;
+  // Stopped while it was being checked
+  if (!watches.includes(watch)) {
+    removeCaptures(id);
+    return;
+  }
+  save();
+  arm(watch);
+}
+
+// Arm timers for every watch; call when WhatsApp is ready
+export function startWatches() {
+  for (const watch of watches) {
+    if (!timers.has(watch.id) && !running.has(watch.id)) arm(watch);
+  }
+}
+
+// Start watching a page; the first check runs straight away and saves the capture to compare with
+export function addWatch({ chatId, url, intervalMs, mode = 'pixels', threshold = DEFAULT_THRESHOLD, selector = null, full = false, mobile = false }) {
+  if (watches.length >= MAX_WATCHES) {
+    throw new Error(`At most ${MAX_WATCHES} pages can be watched, stop one first`);
+  }
+  const watch = {
+    id: crypto.randomBytes(3).toString('hex'),
+    chatId,
+    url,
+    intervalMs,
+    mode,
+    threshold,
+    selector,
+    full,
+    mobile,
+    createdAt: Date.now(),
+    lastCheckAt: null,
+    lastChangeAt: null,
+    checks: 0,
+    changes: 0,
+    failures: 0,
+    lastError: null
+  };
+  watches.push(watch);
+  save();
+  arm(watch);
+  console.log(`Watching ${url} every ${formatInterval(intervalMs)} (${watch.id})`);
+  return { ...watch };
+}
+
+export function stopWatch(id) {
+  const watch = watches.find(w => w.id === id);
+  if (!watch) return false;
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+  watches = watches.filter(w => w !== watch);
+  save();
+  removeCaptures(id);
+  return true;
+}
+
+// Oldest first, optionally only one chat's
+export function listWatches(chatId = null) {
+  return watches.filter(w => !chatId || w.chatId === chatId).map(w => ({ ...w }));
+}
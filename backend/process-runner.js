@@ -0,0 +1,172 @@
+import { spawn } from 'child_process';
+import path from 'path';
+
+// Every external program Jinn runs (the AI command line tools, `claude mcp`, zip, speech) goes
+// through runProcess. Arguments are passed as an array and never through a shell, so nothing
+// in a prompt, a path or an MCP command is read as shell syntax. A run is stopped when it
+// takes too long, prints too much or is cancelled through an AbortSignal.
+
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_OUTPUT = 10 * 1024 * 1024;
+const KILL_GRACE_MS = 5000; // between SIGTERM and SIGKILL
+
+export class ProcessError extends Error {
+  constructor(message, reason, { code = null, stdout = '', stderr = '' } = {}) {
+    super(message);
+    this.name = 'ProcessError';
+    this.reason = reason; // 'spawn' | 'exit' | 'timeout' | 'output' | 'cancelled'
+    this.code = code;
+    this.stdout = stdout;
+    this.stderr = stderr;
+  }
+}
+
+function lastLine(text) {
+  return text.trim().split('\n').pop() || '';
+}
+
+// Run a program and resolve to { stdout, stderr, code }, or reject with a ProcessError.
+// Options:
+//   cwd, env      - as for spawn (env defaults to process.env)
+//   input         - text for stdin, which is closed either way
+//   timeoutMs     - stop the run after this long (0 for no limit)
+//   maxOutputBytes - stop the run when stdout or stderr grows past this
+//   onStdout      - called with each piece of output as it arrives
+//   signal        - AbortSignal that cancels the run
+//   allowFailure  - resolve on a non-zero exit code instead of rejecting
+//   label         - name for logs and errors (default: the program's file name)
+export function runProcess(command, args = [], {
+  cwd,
+  env = process.env,
+  input = '',
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxOutputBytes = DEFAULT_MAX_OUTPUT,
+  onStdout,
+  signal,
+  allowFailure = false,
+  label = path.basename(command)
+} = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new ProcessError(`${label} was cancelled`, 'cancelled'));
+      return;
+    }
+
+    const child = spawn(command, args, { cwd, env });
+    console.log(`${label} started, PID:`, child.pid);
+
+    const output = { stdout: '', stderr: '' };
+    const bytes = { stdout: 0, stderr: 0 };
+    let stopReason = null;
+    let killTimer = null;
+    let settled = false;
+
+    const stop = (reason) => {
+      if (stopReason || child.exitCode !== null) return;
+      stopReason = reason;
+      console.log(`Stopping ${label} (${reason}), PID:`, child.pid);
+      child.kill('SIGTERM');
+      killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+    };
+    const timer = timeoutMs > 0 ? setTimeout(() => stop('timeout'), timeoutMs) : null;
+    const onAbort = () => stop('cancelled');
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const collect = (stream) => (text) => {
+      bytes[stream] += Buffer.byteLength(text);
+      if (bytes[stream] > maxOutputBytes) {
+        stop('output');
+        return;
+      }
+      output[stream] += text;
+      if (stream === 'stdout') onStdout?.(text);
+    };
+    child.stdout.setEncoding('utf8').on('data', collect('stdout'));
+    child.stderr.setEncoding('utf8').on('data', collect('stderr'));
+
+    const finish = (err, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      signal?.removeEventListener('abort', onAbort);
+      if (err) reject(err);
+      else resolve(result);
+    };
+
+    child.on('error', (err) => {
+      finish(new ProcessError(`Could not run ${label}: ${err.message}`, 'spawn'));
+    });
+
+    // A process the program started may still hold the output open after a stop
+    child.on('exit', () => {
+      if (stopReason) {
+        child.stdout.destroy();
+        child.stderr.destroy();
+      }
+    });
+
+    child.on('close', (code, killSignal) => {
+      const result = { code, ...output };
+      console.log(`${label} finished with code:`, code ?? killSignal);
+      const messages = {
+        timeout: `${label} took longer than ${Math.ceil(timeoutMs / 1000)}s and was stopped`,
+        output: `${label} printed more than ${Math.round(maxOutputBytes / 1024 / 1024)} MB and was stopped`,
+        cancelled: `${label} was cancelled`
+      };
+      if (stopReason) {
+        finish(new ProcessError(messages[stopReason], stopReason, result));
+      } else if (code !== 0 && !allowFailure) {
+        const detail = lastLine(output.stderr) || lastLine(output.stdout) || `exit code ${code ?? killSignal}`;
+        finish(new ProcessError(`${label} failed: ${detail}`, 'exit', result));
+      } else {
+        finish(null, result);
+      }
+    });
+
+    // A program that exits without reading its input would otherwise fail the write
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+// Split a command line typed by the user (e.g. an MCP server command) into arguments the
+// way a shell would for quotes and backslashes, without expanding anything
+export function splitCommandLine(line) {
+  const args = [];
+  let current = '';
+  let inArg = false;
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && ['"', '\\'].includes(line[i + 1])) {
+        current += line[++i];
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      inArg = true;
+    } else if (char === '\\' && i + 1 < line.length) {
+      current += line[++i];
+      inArg = true;
+    } else if (/\s/.test(char)) {
+      if (inArg) args.push(current);
+      current = '';
+      inArg = false;
+    } else {
+      current += char;
+      inArg = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unclosed ${quote} in: ${line}`);
+  }
+  if (inArg) args.push(current);
+  return args;
+}
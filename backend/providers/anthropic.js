@@ -0,0 +1,80 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { toChatMessages } from './chat.js';
+
+// Image types the Messages API accepts as base64 image blocks
+const SUPPORTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Attach images to the last (current) user turn as content blocks
+function withImages(messages, images = []) {
+  const usable = images.filter(img => SUPPORTED_IMAGE_TYPES.includes(img.mimetype?.split(';')[0]));
+  if (usable.length === 0) return messages;
+
+  const current = messages[messages.length - 1];
+  current.content = [
+    ...usable.map(img => ({
+      type: 'image',
+      source: {
+        type: 'base64',
+        media_type: img.mimetype.split(';')[0],
+        data: img.data.replace(/^data:[^;]+;base64,/, '')
+      }
+    })),
+    { type: 'text', text: current.content }
+  ];
+  return messages;
+}
+
+// Anthropic Messages API through the official SDK, with real multi-turn messages
+export function createAnthropicProvider({ name, label = 'Claude API', model = 'claude-3-5-sonnet-latest', maxTokens = 4096, apiKeyEnv = 'ANTHROPIC_API_KEY' }) {
+  let anthropic = null;
+
+  return {
+    name,
+    label,
+    type: 'anthropic',
+    supportsImages: true,
+
+    async send({ prompt, history, system, images }, { onChunk, onUsage } = {}) {
+      if (!anthropic) {
+        const apiKey = process.env[apiKeyEnv];
+        if (!apiKey) {
+          throw new Error(`${label}: ${apiKeyEnv} is not set`);
+        }
+        anthropic = new Anthropic({ apiKey });
+      }
+
+      const params = {
+        model,
+        max_tokens: maxTokens,
+        system: system || undefined,
+        messages: withImages(toChatMessages(history, prompt), images)
+      };
+
+      let response;
+      if (onChunk) {
+        const stream = anthropic.messages.stream(params);
+        stream.on('text', (text) => onChunk(text));
+        response = await stream.finalMessage();
+      } else {
+        response = await anthropic.messages.create(params);
+      }
+
+      console.log(`${label} usage: ${response.usage.input_tokens} in, ${response.usage.output_tokens} out (${response.stop_reason})`);
+      onUsage?.({
+        inputTokens: response.usage.input_tokens,
+        outputTokens: response.usage.output_tokens,
+        model: response.model
+      });
+
+      let text = response.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('')
+        .trim();
+      if (response.stop_reason === 'max_tokens') {
+        text += '\n\n[Reply truncated: max tokens reached]';
+      }
+      return text || `No response from ${label}`;
+    }
+  };
+}
@@ -0,0 +1,53 @@
+// Shared helpers for providers that take a native list of chat messages
+
+// Build a role-alternating message list starting with a user turn
+export function toChatMessages(history = [], prompt) {
+  const messages = [];
+  for (const msg of [...history, { role: 'user', content: prompt }]) {
+    const last = messages[messages.length - 1];
+    if (messages.length === 0 && msg.role !== 'user') continue;
+    if (last && last.role === msg.role) {
+      last.content += '\n\n' + msg.content;
+    } else {
+      messages.push({ role: msg.role, content: msg.content });
+    }
+  }
+  return messages;
+}
+
+// POST JSON and return the response, throwing with the server's message on failure
+async function post(url, body, headers) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    throw new Error(`${res.status} ${res.statusText}${text ? ` - ${text.substring(0, 200)}` : ''}`);
+  }
+  return res;
+}
+
+// POST JSON and return the parsed body
+export async function postJson(url, body, headers = {}) {
+  const res = await post(url, body, headers);
+  return res.json();
+}
+
+// POST JSON and yield the non-empty lines of a streamed (SSE or NDJSON) response
+export async function* postStream(url, body, headers = {}) {
+  const res = await post(url, body, headers);
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield line.trim();
+    }
+  }
+  if (buffer.trim()) yield buffer.trim();
+}
@@ -0,0 +1,32 @@
+import { runProcess } from '../process-runner.js';
+import { buildTranscript, formatCliResult } from './cli.js';
+
+// Claude Code CLI, run in print mode with the conversation flattened into the prompt.
+// The prompt goes in on stdin: as an argument a long chat would pass the kernel's
+// limit on one argument's size (128 KB on Linux) and fail to start.
+export function createClaudeCliProvider({ name, label = 'Claude', bin = 'claude', addDirs = [], cwd = process.env.HOME, timeoutSeconds = 600 }) {
+  return {
+    name,
+    label,
+    type: 'claude-cli',
+
+    async send(request, { signal } = {}) {
+      const args = [
+        '--dangerously-skip-permissions',
+        ...addDirs.flatMap(dir => ['--add-dir', dir]),
+        '-p'
+      ];
+
+      const { stdout, stderr, code } = await runProcess(bin, args, {
+        cwd,
+        label,
+        signal,
+        input: buildTranscript(request),
+        timeoutMs: timeoutSeconds * 1000,
+        allowFailure: true
+      });
+      console.log(`${label} finished, stdout length:`, stdout.length, 'stderr length:', stderr.length);
+      return formatCliResult(label, { stdout, stderr, error: code ? new Error(`exit code ${code}`) : null });
+    }
+  };
+}
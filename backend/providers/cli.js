@@ -0,0 +1,34 @@
+// Shared helpers for providers that wrap a local AI command line tool
+
+// Flatten system instructions, history and the current prompt into one text prompt
+export function buildTranscript({ prompt, history = [], system = '' }) {
+  let fullPrompt = system ? `${system}\n\n` : '';
+  if (history.length > 0) {
+    fullPrompt += 'Previous conversation:\n';
+    history.forEach(msg => {
+      fullPrompt += `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}\n`;
+    });
+    fullPrompt += '\nCurrent message:\n' + prompt;
+  } else {
+    fullPrompt += prompt;
+  }
+  return fullPrompt;
+}
+
+// Turn the captured output of a CLI run into a reply for the user
+export function formatCliResult(label, { stdout, stderr, error }) {
+  if (stdout && stdout.trim()) {
+    return stdout.trim();
+  }
+  if (stderr && (stderr.includes('authorize') || stderr.includes('login'))) {
+    const authUrl = stderr.match(/https:\/\/[^\s\]]+/)?.[0];
+    return `Please authorize ${label} first: ${authUrl || 'Check terminal for auth URL'}`;
+  }
+  if (stderr && stderr.trim()) {
+    return `${label}: ${stderr.trim()}`;
+  }
+  if (error) {
+    return `${label} error: ${error.message}`;
+  }
+  return `No response from ${label}`;
+}
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import { createClaudeCliProvider } from './claude-cli.js';
+import { createQwenCliProvider } from './qwen-cli.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createOpenAIProvider } from './openai.js';
+import { createOllamaProvider } from './ollama.js';
+
+// Provider factories by config "type". Each factory returns
+// { name, label, type, supportsImages?, send(request, callbacks) => Promise<string> }
+// (the registry adds contextTokens, the history budget for the provider)
+// where request is { prompt, history, system, images } and callbacks are
+// optional { onChunk(text), onUsage({ inputTokens, outputTokens, model }), signal }
+// (signal is an AbortSignal that cancels a command line provider's run)
+const providerTypes = {
+  'claude-cli': createClaudeCliProvider,
+  'qwen-cli': createQwenCliProvider,
+  anthropic: createAnthropicProvider,
+  openai: createOpenAIProvider,
+  ollama: createOllamaProvider
+};
+
+// Default history budget in (estimated) tokens per provider type; override with "contextTokens".
+// The Qwen CLI gets its prompt as one argument, which Linux caps at 128 KB, so its budget
+// leaves room for the system prompt and text that takes more than a byte per character.
+const defaultContextTokens = {
+  'claude-cli': 50000,
+  'qwen-cli': 20000,
+  anthropic: 100000,
+  openai: 16000,
+  ollama: 4000
+};
+
+// Providers available without any config file
+const defaultProviders = {
+  claude: { type: 'claude-cli', label: 'Claude' },
+  qwen: { type: 'qwen-cli', label: 'Qwen' },
+  'claude-api': { type: 'anthropic', label: 'Claude API' }
+};
+
+const providers = new Map();
+let defaultProvider = 'claude';
+
+// Build the registry from the defaults merged with an optional providers.json.
+// An entry with "enabled": false removes a default provider. bins gives the program for
+// each command line type (e.g. { 'claude-cli': '/usr/local/bin/claude' }) unless an entry
+// sets its own "bin", and preferred (if set) is the default provider.
+export function loadProviders(configPath, shared = {}, { bins = {}, preferred = null } = {}) {
+  let config = {};
+  if (configPath && fs.existsSync(configPath)) {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  }
+
+  const entries = { ...defaultProviders };
+  for (const [name, entry] of Object.entries(config.providers || {})) {
+    entries[name] = { ...(defaultProviders[name] || {}), ...entry };
+  }
+
+  providers.clear();
+  for (const [name, entry] of Object.entries(entries)) {
+    if (entry.enabled === false) continue;
+
+    const factory = providerTypes[entry.type];
+    if (!factory) {
+      console.error(`Skipping AI provider "${name}": unknown type "${entry.type}"`);
+      continue;
+    }
+    try {
+      const provider = factory({ ...shared, ...(bins[entry.type] && { bin: bins[entry.type] }), ...entry, name });
+      provider.contextTokens = entry.contextTokens || defaultContextTokens[entry.type] || 8000;
+      providers.set(name, provider);
+    } catch (err) {
+      console.error(`Skipping AI provider "${name}":`, err.message);
+    }
+  }
+
+  if (providers.size === 0) {
+    throw new Error('no AI provider is enabled (see providers.json)');
+  }
+  if (preferred && !providers.has(preferred.toLowerCase())) {
+    throw new Error(`DEFAULT_AI: no AI provider named "${preferred}" (available: ${[...providers.keys()].join(', ')})`);
+  }
+  if (config.default && !providers.has(config.default.toLowerCase())) {
+    console.error(`Default AI provider "${config.default}" in providers.json is not available, using another one`);
+  }
+
+  // Prefer the SDK provider when an API key is available and no default is configured
+  if (preferred) {
+    defaultProvider = preferred.toLowerCase();
+  } else if (config.default && providers.has(config.default.toLowerCase())) {
+    defaultProvider = config.default.toLowerCase();
+  } else if (providers.has('claude-api') && process.env.ANTHROPIC_API_KEY) {
+    defaultProvider = 'claude-api';
+  } else {
+    defaultProvider = providers.keys().next().value;
+  }
+  console.log('AI providers loaded:', [...providers.keys()].join(', '), '- default:', defaultProvider);
+  return defaultProvider;
+}
+
+export function getProvider(name) {
+  return providers.get(name?.toLowerCase());
+}
+
+export function hasProvider(name) {
+  return providers.has(name?.toLowerCase());
+}
+
+export function listProviders() {
+  return [...providers.values()].map(({ name, label, type }) => ({ name, label, type }));
+}
+
+export function getDefaultProvider() {
+  return defaultProvider;
+}
@@ -0,0 +1,42 @@
+import { toChatMessages, postJson, postStream } from './chat.js';
+
+// Local Ollama-style server using its /api/chat endpoint
+export function createOllamaProvider({ name, label = name, baseUrl = 'http://localhost:11434', model }) {
+  if (!model) {
+    throw new Error(`Provider "${name}": model is required`);
+  }
+
+  return {
+    name,
+    label,
+    type: 'ollama',
+
+    async send({ prompt, history, system }, { onChunk } = {}) {
+      const messages = toChatMessages(history, prompt);
+      if (system) {
+        messages.unshift({ role: 'system', content: system });
+      }
+
+      const url = `${baseUrl.replace(/\/$/, '')}/api/chat`;
+
+      let text = '';
+      if (onChunk) {
+        // Newline-delimited JSON objects, the last one has "done": true
+        for await (const line of postStream(url, { model, messages, stream: true })) {
+          const data = JSON.parse(line);
+          const delta = data.message?.content;
+          if (delta) {
+            text += delta;
+            onChunk(delta);
+          }
+          if (data.done) break;
+        }
+      } else {
+        const data = await postJson(url, { model, messages, stream: false });
+        text = data.message?.content || '';
+      }
+
+      return text.trim() || `No response from ${label}`;
+    }
+  };
+}
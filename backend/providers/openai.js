@@ -0,0 +1,45 @@
+import { toChatMessages, postJson, postStream } from './chat.js';
+
+// Any server speaking the OpenAI chat completions API (OpenAI, OpenRouter, LM Studio, vLLM...)
+export function createOpenAIProvider({ name, label = name, baseUrl = 'https://api.openai.com/v1', model, apiKeyEnv = 'OPENAI_API_KEY' }) {
+  if (!model) {
+    throw new Error(`Provider "${name}": model is required`);
+  }
+
+  return {
+    name,
+    label,
+    type: 'openai',
+
+    async send({ prompt, history, system }, { onChunk } = {}) {
+      const messages = toChatMessages(history, prompt);
+      if (system) {
+        messages.unshift({ role: 'system', content: system });
+      }
+
+      const apiKey = apiKeyEnv ? process.env[apiKeyEnv] : null;
+      const url = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+      const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+      let text = '';
+      if (onChunk) {
+        // Server-sent events: "data: {...}" lines ending with "data: [DONE]"
+        for await (const line of postStream(url, { model, messages, stream: true }, headers)) {
+          if (!line.startsWith('data:')) continue;
+          const data = line.slice(5).trim();
+          if (data === '[DONE]') break;
+          const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (delta) {
+            text += delta;
+            onChunk(delta);
+          }
+        }
+      } else {
+        const data = await postJson(url, { model, messages }, headers);
+        text = data.choices?.[0]?.message?.content || '';
+      }
+
+      return text.trim() || `No response from ${label}`;
+    }
+  };
+}
@@ -0,0 +1,23 @@
+import { runProcess } from '../process-runner.js';
+import { buildTranscript, formatCliResult } from './cli.js';
+
+// Qwen Code CLI, run with the prompt as an argument so output can be streamed
+export function createQwenCliProvider({ name, label = 'Qwen', bin = 'qwen', authType = 'qwen-oauth', cwd = process.env.HOME, timeoutSeconds = 600 }) {
+  return {
+    name,
+    label,
+    type: 'qwen-cli',
+
+    async send(request, { onChunk, signal } = {}) {
+      const { stdout, stderr, code } = await runProcess(bin, ['--auth-type', authType, buildTranscript(request)], {
+        cwd,
+        label,
+        signal,
+        timeoutMs: timeoutSeconds * 1000,
+        onStdout: onChunk,
+        allowFailure: true
+      });
+      return formatCliResult(label, { stdout, stderr, error: code ? new Error(`exit code ${code}`) : null });
+    }
+  };
+}
@@ -0,0 +1,110 @@
+// Progressive WhatsApp replies: post the first chunk of a streamed AI answer quickly,
+// then edit that message as more text arrives. Edits are batched to one per flushMs and
+// go out through edit(message, body), which the caller points at the send queue so they
+// count toward the same rate limits as sends. A message that grows past maxLength is
+// closed and continued in a new one.
+
+const CURSOR = ' ▍';
+
+export function createReplyStream({ send, edit = (message, body) => message.edit(body), transform = text => text, flushMs = 1500, minChars = 80, maxLength = 4000 }) {
+  let raw = '';
+  let timer = null;
+  let chain = Promise.resolve();
+  let message = null;     // WhatsApp message currently being edited
+  let shownText = '';     // text that message shows, without the cursor
+  let shownBody = '';     // exactly what that message shows
+  let segmentStart = 0;   // offset in the display text where that message begins
+  let canEdit = true;
+  let posted = false;
+
+  // Show text in the current message, sending or editing as needed
+  async function show(text, complete) {
+    // Without edit support only complete text is posted
+    if (!text || (!complete && !canEdit)) return;
+
+    const body = complete ? text : text + CURSOR;
+    if (body === shownBody) return;
+
+    if (!message) {
+      message = await send(body);
+      if (message) {
+        posted = true;
+        shownText = text;
+        shownBody = body;
+      }
+      return;
+    }
+
+    if (canEdit) {
+      try {
+        await edit(message, body);
+        shownText = text;
+        shownBody = body;
+        return;
+      } catch (err) {
+        console.log('Message edit failed, falling back to follow-up messages:', err.message);
+        canEdit = false;
+        if (!complete) return;
+      }
+    }
+
+    // Post whatever the message is missing as a follow-up
+    const rest = text.startsWith(shownText) ? text.slice(shownText.length).trim() : text;
+    if (rest) {
+      message = (await send(rest)) || message;
+    }
+    shownText = text;
+    shownBody = body;
+  }
+
+  async function flush(final = false) {
+    const display = transform(raw);
+    let tail = display.slice(segmentStart);
+    if (!final && !message && tail.trim().length < minChars) return;
+
+    // Roll over to a new message once the current one gets too long
+    while (tail.length > maxLength) {
+      // Prefer a line break, then a space, over cutting mid-word
+      let cut = tail.lastIndexOf('\n', maxLength);
+      if (cut < maxLength / 2) cut = tail.lastIndexOf(' ', maxLength);
+      if (cut < maxLength / 2) cut = maxLength;
+      await show(tail.slice(0, cut).trim(), true);
+      message = null;
+      shownText = '';
+      shownBody = '';
+      segmentStart += cut;
+      tail = display.slice(segmentStart);
+    }
+
+    await show(tail.trim(), final);
+  }
+
+  function schedule() {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      chain = chain.then(() => flush()).catch(err => console.error('Reply stream flush failed:', err.message));
+    }, flushMs);
+  }
+
+  return {
+    push(text) {
+      raw += text;
+      schedule();
+    },
+
+    // Flush the final text (defaults to everything pushed) without the cursor.
+    // Resolves to true if anything was posted to WhatsApp.
+    async finish(finalText) {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      if (!raw && !posted) return false;
+      if (finalText !== undefined) raw = finalText;
+      chain = chain.then(() => flush(true)).catch(err => console.error('Reply stream flush failed:', err.message));
+      await chain;
+      return posted;
+    }
+  };
+}
@@ -0,0 +1,42 @@
+// What counts as risky enough to need the owner's confirmation (see confirmations.js).
+// Prompts are only checked for providers that can act on this machine (the Claude and
+// Qwen CLIs run tools without asking), since an API model can only answer.
+
+const PROMPT_RISKS = [
+  {
+    label: 'delete files',
+    pattern: /\b(delete|remove|erase|wipe|trash|overwrite|empty)\b[^.?!\n]*\b(files?|folders?|director(y|ies)|photos?|pictures|documents?|downloads|desktop|everything)\b|\brm\s+-?\w/i
+  },
+  {
+    label: 'run shell commands',
+    pattern: /\b(run|execute|exec)\b[^.?!\n]*\b(commands?|scripts?|shell|terminal|bash|zsh)\b|\b(sudo|chmod|chown|killall|shutdown|reboot|mkfs)\s+\S|\bkill\s+-?\d/i
+  },
+  {
+    label: 'change MCP servers',
+    pattern: /\b(add|remove|install|uninstall|edit|change|delete)\b[^.?!\n]*\bmcp\b|\bmcp\b[^.?!\n]*\b(add|remove|install|uninstall)\b/i
+  }
+];
+
+const ACTING_PROVIDER_TYPES = ['claude-cli', 'qwen-cli'];
+
+let settings = { prompts: true, queueFiles: 100 };
+
+// { prompts: false } turns off prompt checks; queueFiles is the largest queue started without asking
+export function configureRiskPolicy(options = {}) {
+  settings = { ...settings, ...Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined && !Number.isNaN(v))) };
+}
+
+// Whether a provider of this type runs tools on this machine (and so is kept to Notes to Self)
+export function canActOnMachine(providerType) {
+  return ACTING_PROVIDER_TYPES.includes(providerType);
+}
+
+// What a prompt asks the provider to do that needs confirming, or null
+export function promptRisk(text, providerType) {
+  if (!settings.prompts || !canActOnMachine(providerType)) return null;
+  return PROMPT_RISKS.find(risk => risk.pattern.test(text))?.label || null;
+}
+
+export function isLargeQueue(fileCount) {
+  return settings.queueFiles > 0 && fileCount > settings.queueFiles;
+}
@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Messages to send later (the AI's schedule_message action). Persisted after every change
+// as { scheduled: [{ id, chatId, text, sendAt, createdAt }] } so they survive restarts;
+// timers are armed by startScheduler() once WhatsApp is ready, and anything that came due
+// while offline is sent then.
+
+const MAX_TIMER_MS = 2 ** 31 - 1; // setTimeout's limit, about 24 days
+
+let statePath = null;
+let scheduled = [];
+const timers = new Map(); // id -> timeout
+let handlers = {
+  send: async () => null,  // (text, chatId) => sent message
+  onChange: () => {}       // (list)
+};
+
+function save() {
+  fs.writeFileSync(statePath, JSON.stringify({ scheduled }, null, 2));
+  handlers.onChange(listScheduled());
+}
+
+export function initScheduler(filePath, newHandlers = {}) {
+  statePath = filePath;
+  handlers = { ...handlers, ...Object.fromEntries(Object.entries(newHandlers).filter(([, fn]) => fn)) };
+  try {
+    if (fs.existsSync(statePath)) {
+      scheduled = JSON.parse(fs.readFileSync(statePath, 'utf8')).scheduled || [];
+      console.log(`Scheduled messages restored: ${scheduled.length}`);
+    }
+  } catch (err) {
+    console.error('Could not read scheduled messages:', err.message);
+  }
+}
+
+function arm(entry) {
+  clearTimeout(timers.get(entry.id));
+  const delay = Math.max(0, entry.sendAt - Date.now());
+  // Long waits are done in steps, since setTimeout can't wait that long at once
+  timers.set(entry.id, setTimeout(() => (delay > MAX_TIMER_MS ? arm(entry) : fire(entry.id)), Math.min(delay, MAX_TIMER_MS)));
+}
+
+async function fire(id) {
+  timers.delete(id);
+  const entry = scheduled.find(e => e.id === id);
+  if (!entry) return;
+  scheduled = scheduled.filter(e => e !== entry);
+  save();
+  console.log(`Sending scheduled message ${id} to ${entry.chatId}`);
+  // Failures end up with the outbox's failed deliveries
+  await handlers.send(entry.text, entry.chatId);
+}
+
+// Arm timers for everything scheduled; call when WhatsApp is ready
+export function startScheduler() {
+  for (const entry of scheduled) {
+    if (!timers.has(entry.id)) arm(entry);
+  }
+}
+
+export function scheduleMessage({ chatId, text, sendAt }) {
+  const entry = { id: crypto.randomBytes(3).toString('hex'), chatId, text, sendAt, createdAt: Date.now() };
+  scheduled.push(entry);
+  scheduled.sort((a, b) => a.sendAt - b.sendAt);
+  save();
+  arm(entry);
+  console.log(`Scheduled message ${entry.id} for ${new Date(sendAt).toISOString()}`);
+  return entry;
+}
+
+export function cancelScheduled(id) {
+  const entry = scheduled.find(e => e.id === id);
+  if (!entry) return false;
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+  scheduled = scheduled.filter(e => e !== entry);
+  save();
+  return true;
+}
+
+// Soonest first, optionally only one chat's
+export function listScheduled(chatId = null) {
+  return scheduled.filter(e => !chatId || e.chatId === chatId).map(e => ({ ...e }));
+}
@@ -0,0 +1,86 @@
+// Outbound send queue in front of WhatsApp, to stay clear of its spam detection.
+// Jobs for the same chat run one after another in the order they were queued (a job
+// includes its retries), while different chats proceed side by side. Every single
+// send first takes a slot, which enforces:
+//   perMinute         sends per rolling minute across all chats
+//   perChatPerMinute  sends per rolling minute to one chat
+//   minGapMs          spacing between any two sends, so bursts go out one by one
+
+const WINDOW_MS = 60000;
+
+let limits = { perMinute: 30, perChatPerMinute: 15, minGapMs: 1000 };
+const chains = new Map();  // chatId -> tail of its queue
+const pending = new Map(); // chatId -> jobs queued or in flight
+const recent = [];         // { at, chatId } of sends in the last minute
+let lastSendAt = 0;
+let waitingForSlot = 0;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function configureSendQueue(options = {}) {
+  limits = { ...limits, ...Object.fromEntries(Object.entries(options).filter(([, v]) => v > 0)) };
+  console.log(`Send limits: ${limits.perMinute}/min, ${limits.perChatPerMinute}/min per chat, ${limits.minGapMs}ms apart`);
+}
+
+// Run task after everything queued earlier for the same chat; resolves to its result
+export function enqueue(chatId, task) {
+  const run = (chains.get(chatId) || Promise.resolve()).then(task);
+  const tail = run.catch(() => {});
+  chains.set(chatId, tail);
+  pending.set(chatId, (pending.get(chatId) || 0) + 1);
+
+  tail.then(() => {
+    const left = pending.get(chatId) - 1;
+    if (left > 0) {
+      pending.set(chatId, left);
+    } else {
+      pending.delete(chatId);
+      chains.delete(chatId);
+    }
+  });
+  return run;
+}
+
+// Wait until one more send to chatId stays within the limits, and count it
+export async function acquireSlot(chatId) {
+  waitingForSlot++;
+  try {
+    for (;;) {
+      const now = Date.now();
+      while (recent.length && now - recent[0].at >= WINDOW_MS) recent.shift();
+
+      const waits = [lastSendAt + limits.minGapMs - now];
+      if (recent.length >= limits.perMinute) {
+        waits.push(recent[recent.length - limits.perMinute].at + WINDOW_MS - now);
+      }
+      const chatSends = recent.filter(s => s.chatId === chatId);
+      if (chatSends.length >= limits.perChatPerMinute) {
+        waits.push(chatSends[chatSends.length - limits.perChatPerMinute].at + WINDOW_MS - now);
+      }
+
+      const wait = Math.max(...waits);
+      if (wait <= 0) {
+        lastSendAt = now;
+        recent.push({ at: now, chatId });
+        return;
+      }
+      await sleep(wait);
+    }
+  } finally {
+    waitingForSlot--;
+  }
+}
+
+// Depth of the queue for /status
+export function getSendQueueStatus() {
+  const now = Date.now();
+  return {
+    queued: [...pending.values()].reduce((sum, n) => sum + n, 0),
+    chats: pending.size,
+    waitingForSlot,
+    sentLastMinute: recent.filter(s => now - s.at < WINDOW_MS).length,
+    limits: { ...limits }
+  };
+}
@@ -3,32 +3,96 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import pkg from 'whatsapp-web.js';
 import qrcode from 'qrcode';
-import { spawn, exec } from 'child_process';
 import fs from 'fs';
 import path from 'path';
-import os from 'os';
 import { fileURLToPath } from 'url';
+import { loadConfig, describeConfig, ConfigError } from './config.js';
+import { loadProviders, getProvider, hasProvider, listProviders } from './providers/index.js';
+import { createReplyStream } from './reply-stream.js';
+import * as sessions from './session-store.js';
+import * as chatAccess from './chat-access.js';
+import { loadSandbox, listAllowedRoots, resolveSafePath, SandboxError } from './file-sandbox.js';
+import { initAuth, authenticate, clientAddress } from './auth.js';
+import * as fileQueue from './file-queue.js';
+import * as outbox from './outbox.js';
+import * as sendQueue from './send-queue.js';
+import { MAX_MESSAGE_LENGTH, CAPTION_LIMIT, splitMessage, numberParts, documentName } from './message-parts.js';
+import { formatForWhatsApp, renderBlockImages } from './whatsapp-format.js';
+import { prepareAttachment, downloadImage } from './attachments.js';
+import { parseActions, hideActions, describeActions, MAX_SCHEDULE_MINUTES } from './ai-actions.js';
+import * as scheduler from './scheduler.js';
+import * as confirmations from './confirmations.js';
+import { promptRisk, isLargeQueue, configureRiskPolicy, canActOnMachine } from './risk-policy.js';
+import { runProcess, splitCommandLine, ProcessError } from './process-runner.js';
+import { initTranscription, transcribe, getTranscriptionSettings, setTranscriptionEngine, setTranscriptionModel, ENGINES as TRANSCRIBE_ENGINES } from './transcription.js';
+import { initChatPrefs, getChatPref, setChatPref } from './chat-prefs.js';
+import { initTextToSpeech, synthesize, unspeakableReason } from './text-to-speech.js';
+import { capturePage, closeBrowser, MIN_WIDTH as MIN_CAPTURE_WIDTH, MAX_WIDTH as MAX_CAPTURE_WIDTH, MAX_WAIT_MS as MAX_CAPTURE_WAIT_MS } from './page-capture.js';
+import * as pageWatch from './page-watch.js';
+import { listRoots, listDirectory, walkTree, findFiles, describePath, setListing, nextListingPage, getListingEntry, formatSize } from './file-browser.js';
+import { registerCommand, findCommand, listCommands, formatUsage, describeCommand, describeCommands, runCommand, UsageError } from './commands.js';
+import { estimateTokens, clipMessage, fitHistory, buildSummaryPrompt, SUMMARY_INSTRUCTIONS } from './context-window.js';
 
 // ESM equivalent of __dirname
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Create temp directory for media files
-const mediaDir = path.join(os.tmpdir(), 'whatsapp-media');
+// A setting that can't be used stops Jinn before it connects to anything
+function exitWithConfigError(message) {
+  console.error(`❌ ${message}`);
+  console.error('Fix it in backend/.env, the environment or backend/config.json (see config.example.json).');
+  process.exit(1);
+}
+
+// Settings from .env, config.json and the environment (see config.js)
+let config;
+try {
+  config = loadConfig(path.join(__dirname, 'config.json'));
+} catch (err) {
+  if (!(err instanceof ConfigError)) throw err;
+  exitWithConfigError(err.message);
+}
+
+// Create directory for media files
+const mediaDir = config.mediaDir;
 if (!fs.existsSync(mediaDir)) {
   fs.mkdirSync(mediaDir, { recursive: true });
 }
 
 const { Client, LocalAuth } = pkg;
 
-// Store Claude CLI processes per socket
-const claudeProcesses = new Map();
+// Folders files may be sent from (sandbox.json); the media folder always is
+loadSandbox(path.join(__dirname, 'sandbox.json'), { alwaysAllow: [mediaDir] });
+
+// AI providers from the built-in defaults plus providers.json (if present)
+let defaultAI;
+try {
+  defaultAI = loadProviders(path.join(__dirname, 'providers.json'), {
+    addDirs: [mediaDir],
+    timeoutSeconds: config.aiTimeoutSeconds
+  }, {
+    bins: { 'claude-cli': config.claudeBin, 'qwen-cli': config.qwenBin },
+    preferred: config.defaultAI
+  });
+} catch (err) {
+  exitWithConfigError(`Could not load the AI providers: ${err.message}`);
+}
+
+// AI requests in progress, so they can be cancelled: chat key -> Set of AbortControllers
+// (/stop), socket id -> Set of AbortControllers (terminal prompts, cancelled on disconnect)
+const aiRuns = new Map();
+const terminalRuns = new Map();
+
+// The Claude CLI that manages MCP servers
+const CLAUDE_BIN = config.claudeBin;
+const MCP_NAME = /^[A-Za-z0-9][\w.-]{0,63}$/; // never mistaken for an option
+const ENV_KEY = /^[A-Za-z_][A-Za-z0-9_]*$/;
 
 const app = express();
 const server = createServer(app);
 const io = new Server(server, {
   cors: {
-    origin: ['http://localhost:5173', 'http://localhost:5174'],
+    origin: config.corsOrigins,
     methods: ['GET', 'POST']
   }
 });
@@ -45,136 +109,153 @@ const client = new Client({
 let isReady = false;
 let myNumber = null;
 let selfChatId = null;
-let currentAI = 'claude'; // 'claude' or 'qwen'
-
-// Conversation history for Claude (to maintain context)
-let conversationHistory = [];
-const MAX_HISTORY = 20; // Keep last 20 messages for context
-
-// Scheduled file queue system
-let fileQueue = [];
-let queueInterval = null;
-let queueStatus = {
-  active: false,
-  folder: null,
-  intervalMs: 60000, // default 1 minute
-  totalFiles: 0,
-  sentFiles: 0,
-  sentList: []
-};
-
-// Function to start sending files from queue
-function startFileQueue(folderPath, intervalMs = 60000) {
-  if (queueInterval) {
-    clearInterval(queueInterval);
-  }
-
-  // Get all files from folder
-  try {
-    const files = fs.readdirSync(folderPath)
-      .filter(f => {
-        const fullPath = path.join(folderPath, f);
-        return fs.statSync(fullPath).isFile();
-      })
-      .map(f => path.join(folderPath, f));
+let currentAI = defaultAI; // name of a provider in the registry
+
+// Streaming replies: how often a streamed WhatsApp message is edited with new text
+const STREAM_REPLIES = config.streamReplies;
+const STREAM_FLUSH_MS = config.streamFlushMs;
+// Replies needing more messages than this are sent as a document instead
+const REPLY_MAX_PARTS = config.replyMaxParts;
+// AI Markdown is converted to WhatsApp formatting; long code blocks and tables can be sent as images
+const FORMAT_REPLIES = config.formatReplies;
+const RENDER_BLOCK_IMAGES = config.renderBlockImages;
+// Largest file the AI may send; folders are zipped and checked after zipping
+const SEND_FILE_MAX_BYTES = config.sendFileMaxMb * 1024 * 1024;
+
+// Conversation history for Claude (to maintain context), persisted per named session.
+// What is actually sent is budgeted by tokens per provider (see buildContextWindow).
+const MAX_HISTORY = 200; // Messages kept in memory as candidates for the context window
+sessions.initSessionStore(path.join(__dirname, 'data', 'sessions'));
+
+// Recent history per chat key ('self' for Notes to Self, otherwise the WhatsApp chat ID)
+const conversationHistories = new Map();
+
+function getHistory(chatKey) {
+  if (!conversationHistories.has(chatKey)) {
+    conversationHistories.set(chatKey, sessions.loadMessages(sessions.getActiveSession(chatKey), MAX_HISTORY));
+  }
+  return conversationHistories.get(chatKey);
+}
 
-    if (files.length === 0) {
-      return { success: false, message: 'No files found in folder' };
-    }
+// Contacts and groups Jinn answers besides Notes to Self
+chatAccess.initChatAccess(path.join(__dirname, 'data', 'chats.json'), {
+  mentionTrigger: config.mentionTrigger,
+  allowedChats: config.allowedChats
+});
 
-    fileQueue = [...files];
-    queueStatus = {
-      active: true,
-      folder: folderPath,
-      intervalMs,
-      totalFiles: files.length,
-      sentFiles: 0,
-      sentList: []
-    };
+// Per-chat preferences such as /lang (see chat-prefs.js)
+initChatPrefs(path.join(__dirname, 'data', 'chat-prefs.json'));
+
+// Speech to text for voice messages (see transcription.js)
+initTranscription(path.join(__dirname, 'data', 'transcription.json'), {
+  engine: config.transcribeEngine,
+  model: config.whisperModel,
+  language: config.whisperLanguage,
+  whisperBin: config.whisperBin,
+  whisperCppBin: config.whisperCppBin,
+  whisperCppModelDir: config.whisperCppModelDir,
+  pythonBin: config.pythonBin,
+  ffmpegBin: config.ffmpegBin
+});
 
-    console.log(`File queue started: ${files.length} files, interval: ${intervalMs}ms`);
+// Voice replies (see text-to-speech.js and /voice)
+initTextToSpeech({
+  engine: config.ttsEngine,
+  piperBin: config.piperBin,
+  piperVoice: config.piperVoice,
+  espeakBin: config.espeakBin,
+  ffmpegBin: config.ffmpegBin,
+  maxChars: config.voiceMaxChars,
+  outputDir: mediaDir
+});
 
-    // Send first file immediately
-    sendNextQueuedFile();
+// Dashboard login (see auth.js)
+initAuth(path.join(__dirname, 'data', 'auth.json'));
 
-    // Set interval for remaining files
-    queueInterval = setInterval(() => {
-      sendNextQueuedFile();
-    }, intervalMs);
+// Outbound rate limits (see send-queue.js)
+sendQueue.configureSendQueue({
+  perMinute: config.sendPerMinute,
+  perChatPerMinute: config.sendPerChatPerMinute,
+  minGapMs: config.sendMinGapMs
+});
 
-    return { success: true, message: `Queued ${files.length} files to send every ${intervalMs / 1000} seconds` };
-  } catch (err) {
-    return { success: false, message: `Error: ${err.message}` };
-  }
-}
+// Every outgoing message goes through the outbox, which retries with backoff and keeps
+// what still failed for /failed and the dashboard (see outbox.js)
+outbox.initOutbox(path.join(__dirname, 'data', 'failed.json'), {
+  send: deliverToWhatsApp,
+  onChange: (failed) => io.emit('failed-updated', { failed }),
+  maxAttempts: config.sendMaxAttempts,
+  baseDelayMs: config.sendRetryDelayMs
+});
 
-// Function to send next file from queue
-async function sendNextQueuedFile() {
-  if (fileQueue.length === 0) {
-    stopFileQueue();
-    sendWhatsAppReply(`✅ Queue complete! Sent all ${queueStatus.totalFiles} files.`);
-    return;
-  }
+// Messages the AI scheduled for later (see scheduler.js)
+scheduler.initScheduler(path.join(__dirname, 'data', 'scheduled.json'), {
+  send: (text, chatId) => sendWhatsAppReply(text, chatId)
+});
 
-  const filePath = fileQueue.shift();
-  const fileName = path.basename(filePath);
+// Pages checked on a schedule with /watch (see page-watch.js)
+pageWatch.initWatches(path.join(__dirname, 'data', 'watches.json'), {
+  capture: capturePage,
+  // Watches started from the dashboard before Notes to Self was found have no chat ID
+  send: (text, chatId) => sendWhatsAppReply(text, chatId || selfChatId),
+  sendImage: (filePath, caption, chatId) => sendWhatsAppMedia(filePath, caption, chatId || selfChatId),
+  outputDir: mediaDir
+});
 
-  try {
-    const sent = await sendWhatsAppMedia(filePath, `📁 [${queueStatus.sentFiles + 1}/${queueStatus.totalFiles}] ${fileName}`);
-    if (sent) {
-      queueStatus.sentFiles++;
-      queueStatus.sentList.push(fileName);
-      console.log(`Queue: Sent ${queueStatus.sentFiles}/${queueStatus.totalFiles} - ${fileName}`);
-      io.emit('queue-progress', queueStatus);
-    } else {
-      // Put back in queue and try next
-      fileQueue.unshift(filePath);
-      console.log(`Queue: Failed to send ${fileName}, will retry`);
-    }
-  } catch (err) {
-    console.error(`Queue error sending ${fileName}:`, err);
-  }
-}
+// Risky actions wait for the owner's /yes (see confirmations.js and risk-policy.js)
+configureRiskPolicy({
+  prompts: config.confirmRiskyPrompts,
+  queueFiles: config.confirmQueueFiles
+});
+confirmations.initConfirmations({
+  timeoutMs: config.confirmTimeoutSeconds * 1000,
+  onChange: (pending) => io.emit('confirmations-updated', { pending }),
+  onExpire: (entry) => sendWhatsAppReply(`⌛ ${entry.code} expired, nothing was done: ${entry.question}`, entry.ownerOnly ? selfChatId : entry.chatId)
+});
 
-// Function to stop file queue
-function stopFileQueue() {
-  if (queueInterval) {
-    clearInterval(queueInterval);
-    queueInterval = null;
-  }
-  queueStatus.active = false;
-  fileQueue = [];
-  console.log('File queue stopped');
+// Named file queues, persisted so they resume after a restart (see file-queue.js)
+fileQueue.initFileQueue(path.join(__dirname, 'data', 'queue.json'), {
+  send: (filePath, caption, chatId) => sendWhatsAppMedia(filePath, caption, chatId || selfChatId),
+  notify: (text, chatId) => sendWhatsAppReply(text, chatId || selfChatId),
+  onProgress: (status) => io.emit('queue-progress', status),
+  isReady: () => isReady
+});
+
+function chatKeyFor(chatId) {
+  return !chatId || chatId === selfChatId ? sessions.SELF_CHAT : chatId;
 }
 
-// Function to get queue status
-function getQueueStatus() {
-  return {
-    ...queueStatus,
-    remaining: fileQueue.length,
-    remainingFiles: fileQueue.map(f => path.basename(f))
-  };
+// Provider for a chat: its own choice if set, otherwise the global one. Other chats never get
+// one that acts on this machine (the Claude and Qwen CLIs run tools without asking): they fall
+// back to the first provider that can only answer, or null if there is none.
+function providerFor(chatKey) {
+  if (chatKey === sessions.SELF_CHAT) return currentAI;
+  const chosen = chatAccess.getAllowedChat(chatKey)?.provider;
+  const candidates = [chosen, currentAI, ...listProviders().map(p => p.name)];
+  return candidates.find(name => name && getProvider(name) && !canActOnMachine(getProvider(name).type)) || null;
 }
 
-// Typing indicator management
-let typingInterval = null;
+const NO_SHARED_PROVIDER = 'No AI is available in this chat: only an API provider (such as claude-api) can answer chats other than Notes to Self.';
 
-async function startTyping() {
-  if (!isReady || !selfChatId) return;
+// Typing indicator management, one interval per chat
+const typingIntervals = new Map();
+
+async function startTyping(chatId = selfChatId) {
+  if (!isReady || !chatId || typingIntervals.has(chatId)) return;
 
   try {
-    const chat = await client.getChatById(selfChatId);
+    const chat = await client.getChatById(chatId);
     // Send typing state immediately
     await chat.sendStateTyping();
 
     // Keep sending typing state every 5 seconds (WhatsApp typing expires after ~25s)
-    typingInterval = setInterval(async () => {
+    typingIntervals.set(chatId, setInterval(async () => {
       try {
         await chat.sendStateTyping();
       } catch (err) {
         // Ignore errors during typing
       }
-    }, 5000);
+    }, 5000));
 
     console.log('Started typing indicator');
   } catch (err) {
@@ -182,10 +263,10 @@ async function startTyping() {
   }
 }
 
-function stopTyping() {
-  if (typingInterval) {
-    clearInterval(typingInterval);
-    typingInterval = null;
+function stopTyping(chatId = selfChatId) {
+  if (typingIntervals.has(chatId)) {
+    clearInterval(typingIntervals.get(chatId));
+    typingIntervals.delete(chatId);
     console.log('Stopped typing indicator');
   }
 }
@@ -224,6 +305,11 @@ client.on('ready', async () => {
   }
 
   io.emit('ready', { myNumber, selfChatId });
+
+  // Pick up file queues interrupted by a restart or disconnect
+  fileQueue.restoreFileQueues();
+  scheduler.startScheduler();
+  pageWatch.startWatches();
 });
 
 client.on('disconnected', (reason) => {
@@ -237,107 +323,422 @@ client.on('message', (message) => {
   console.log('message event:', message.from, '->', message.to, ':', message.body?.substring(0, 30));
 });
 
-// Function to send message to AI (Claude or Qwen) and get response
-async function sendToAI(prompt, provider = currentAI) {
-  return new Promise((resolve, reject) => {
-    console.log(`Sending to ${provider}:`, prompt);
+// System instructions for file sharing and other actions, sent to every provider
+const SYSTEM_INSTRUCTIONS = `IMPORTANT: You can act in the WhatsApp chat, not just answer. To send a file, send an image, schedule a message, react or ask the user before doing something, put a JSON action (or an array of actions) in a fenced block marked jinn-action, for example:
+\`\`\`jinn-action
+{"action": "send_file", "path": "/Users/basim/Desktop/image.png", "caption": "The screenshot"}
+\`\`\`
 
-    if (provider === 'claude') {
-      // Add to conversation history
-      conversationHistory.push({ role: 'user', content: prompt });
+Available actions:
+${describeActions()}
 
-      // System instructions for file sharing
-      const systemInstructions = `IMPORTANT: When asked to share, attach, or send a file, you MUST output the FULL absolute file path on a separate line in this exact format:
-[SEND_FILE:/full/path/to/file.ext]
+Actions run in the order they appear and are checked before they run; anything else in your answer, such as a path you mention, does nothing. When asked to share, attach or send a file you MUST use send_file - describing the file does not send it. [SEND_FILE:/full/path|optional caption] on its own line also sends a file.
 
-For example:
-[SEND_FILE:/Users/basim/Desktop/image.png]
+A folder path is sent as a zip of its contents. Files over ${SEND_FILE_MAX_BYTES / 1024 / 1024} MB cannot be sent. Files can only be sent from these folders: ${listAllowedRoots().join(', ')}. Secrets such as SSH keys and .env files are always refused.`;
 
-After outputting the file path, you can add a brief description. Do NOT just describe the file - you must include the [SEND_FILE:path] tag for the file to actually be sent.
+// Token usage per provider since startup (only providers that report it)
+const tokenUsage = {};
 
-`;
+// Function to record token usage reported by a provider
+function recordUsage(providerName, usage) {
+  const totals = tokenUsage[providerName] || { inputTokens: 0, outputTokens: 0, requests: 0 };
+  totals.inputTokens += usage.inputTokens;
+  totals.outputTokens += usage.outputTokens;
+  totals.requests++;
+  tokenUsage[providerName] = totals;
+  io.emit('ai-usage', { provider: providerName, usage, totals });
+}
 
-      // Build full prompt with conversation history
-      let fullPrompt = systemInstructions;
-      if (conversationHistory.length > 1) {
-        fullPrompt += 'Previous conversation:\n';
-        conversationHistory.slice(0, -1).forEach(msg => {
-          fullPrompt += `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}\n`;
-        });
-        fullPrompt += '\nCurrent message:\n' + prompt;
-      } else {
-        fullPrompt += prompt;
-      }
+// Function to send message to the selected AI provider and get response.
+// images: [{ mimetype, data }] (base64) for providers that accept image input
+// onChunk: called with partial text by providers that stream
+// chatKey: whose history and session to use (Notes to Self by default)
+// signal: AbortSignal that cancels the request (command line providers)
+async function sendToAI(prompt, providerName = currentAI, { images, onChunk, signal, chatKey = sessions.SELF_CHAT } = {}) {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${providerName}`);
+  }
+
+  console.log(`Sending to ${provider.name}:`, prompt);
+
+  const sessionName = sessions.getActiveSession(chatKey);
+  const history = getHistory(chatKey);
+  const context = buildContextWindow(provider, prompt, chatKey);
+  console.log(`Context: ${context.included.length} messages (~${context.tokens} tokens), ${context.dropped.length} awaiting summary`);
+  const question = { role: 'user', content: prompt, timestamp: Date.now() };
+
+  const response = await provider.send({ prompt: context.prompt, history: context.included, system: context.system, images }, {
+    onChunk,
+    signal,
+    onUsage: (usage) => recordUsage(provider.name, usage)
+  });
+
+  // The turn is only kept once it has an answer, so a failed request leaves no unanswered question
+  // behind; then trim the history if too long
+  history.push(sessions.appendMessage(question, sessionName));
+  history.push(sessions.appendMessage({ role: 'assistant', content: response, provider: provider.name }, sessionName));
+  if (history.length > MAX_HISTORY) {
+    history.splice(0, history.length - MAX_HISTORY);
+  }
+  if (chatKey === sessions.SELF_CHAT) {
+    emitSessionInfo();
+  }
+
+  // Fold turns that no longer fit into the running summary, without delaying the reply
+  summarizeOverflow(provider, chatKey);
+
+  return response;
+}
+
+// Function to work out what history goes with a prompt: the running summary
+// (in the system prompt) plus the newest unsummarized messages that fit the
+// provider's token budget
+function buildContextWindow(provider, prompt, chatKey = sessions.SELF_CHAT) {
+  const budget = provider.contextTokens;
+  const { summary, coveredUntil } = sessions.loadSummary(sessions.getActiveSession(chatKey));
+  const pending = getHistory(chatKey).filter(msg => msg.timestamp > coveredUntil);
+
+  let system = SYSTEM_INSTRUCTIONS;
+  if (summary) {
+    system += `\n\nSummary of the earlier conversation:\n${summary}`;
+  }
+  const clippedPrompt = clipMessage(prompt, Math.floor(budget / 2));
+  const reserved = estimateTokens(system) + estimateTokens(clippedPrompt);
 
-      // Trim history if too long
-      if (conversationHistory.length > MAX_HISTORY) {
-        conversationHistory = conversationHistory.slice(-MAX_HISTORY);
+  return {
+    budget,
+    system,
+    summary,
+    prompt: clippedPrompt,
+    systemTokens: estimateTokens(system),
+    ...fitHistory(pending, { budget, reserved })
+  };
+}
+
+// Function to roll messages that fell out of the context window into the session summary.
+// Only the newest 75% of the budget is kept verbatim so the next prompt has room.
+const summarizing = new Set(); // session names being summarized
+async function summarizeOverflow(provider, chatKey = sessions.SELF_CHAT) {
+  const sessionName = sessions.getActiveSession(chatKey);
+  if (summarizing.has(sessionName)) return;
+
+  const { summary, coveredUntil } = sessions.loadSummary(sessionName);
+  const pending = getHistory(chatKey).filter(msg => msg.timestamp > coveredUntil);
+  const reserved = estimateTokens(SYSTEM_INSTRUCTIONS) + estimateTokens(summary);
+  const { dropped } = fitHistory(pending, { budget: Math.floor(provider.contextTokens * 0.75), reserved });
+  if (dropped.length === 0) return;
+
+  summarizing.add(sessionName);
+  console.log(`Summarizing ${dropped.length} older messages in session ${sessionName}...`);
+  try {
+    const newSummary = await provider.send({
+      prompt: buildSummaryPrompt(summary, dropped),
+      history: [],
+      system: SUMMARY_INSTRUCTIONS
+    }, {
+      onUsage: (usage) => recordUsage(provider.name, usage)
+    });
+    sessions.saveSummary({ summary: newSummary.trim(), coveredUntil: dropped[dropped.length - 1].timestamp }, sessionName);
+    console.log('Session summary updated:', newSummary.substring(0, 100));
+  } catch (err) {
+    console.error('Failed to summarize conversation:', err.message);
+  } finally {
+    summarizing.delete(sessionName);
+  }
+}
+
+// Function to describe the current context window for /context
+function describeContext(chatKey = sessions.SELF_CHAT) {
+  const provider = getProvider(providerFor(chatKey));
+  if (!provider) return NO_SHARED_PROVIDER;
+  const context = buildContextWindow(provider, '', chatKey);
+  const preview = (text, length) => text.length > length ? text.substring(0, length) + '...' : text;
+
+  let msg = `🧠 Context for ${provider.label} (budget ~${context.budget} tokens)\n\n` +
+    `📋 System prompt: ~${context.systemTokens} tokens${context.summary ? ' (includes summary)' : ''}\n` +
+    `💬 Sent verbatim: ${context.included.length} messages, ~${context.tokens} tokens\n` +
+    `⏳ Left out, awaiting summary: ${context.dropped.length} messages`;
+
+  if (context.summary) {
+    msg += `\n\n📝 Summary:\n${preview(context.summary, 1000)}`;
+  }
+  if (context.included.length > 0) {
+    msg += '\n\n🕘 Recent:\n' + context.included.slice(-10)
+      .map(m => `${m.role === 'user' ? '👤' : '🤖'} ${preview(m.content.replace(/\s+/g, ' '), 80)}`)
+      .join('\n');
+  }
+  return msg;
+}
+
+// Function to tell dashboards which session is active
+function emitSessionInfo(target = io) {
+  const active = sessions.getActiveSession();
+  const info = sessions.listSessions().find(s => s.name === active);
+  target.emit('session-info', { name: active, messages: info?.messages || 0 });
+}
+
+// Function to make a session active for a chat and load its recent history
+function activateSession(name, chatKey = sessions.SELF_CHAT) {
+  sessions.switchSession(name, chatKey);
+  conversationHistories.set(chatKey, sessions.loadMessages(name, MAX_HISTORY));
+  if (chatKey === sessions.SELF_CHAT) {
+    emitSessionInfo();
+  }
+}
+
+// Function to get an AI response while streaming partial output to WhatsApp
+// (as a progressively edited message) and to the terminal.
+// Returns { response, streamed }, where streamed means the text is already in WhatsApp.
+async function streamFromAI(prompt, { chatId = selfChatId, stream = true, ...options } = {}) {
+  const chatKey = chatKeyFor(chatId);
+  const replyStream = STREAM_REPLIES && stream
+    ? createReplyStream({
+        send: async (text) => {
+          stopTyping(chatId);
+          return sendWhatsAppReply(text, chatId);
+        },
+        edit: (message, text) => editWhatsAppMessage(message, text, chatId),
+        // Hide actions while the answer is still coming in
+        transform: text => formatReply(hideActions(text)),
+        flushMs: STREAM_FLUSH_MS
+      })
+    : null;
+
+  // A newer request in the same chat doesn't cancel this one, but /stop cancels both
+  const controller = new AbortController();
+  const runs = aiRuns.get(chatKey) || new Set();
+  aiRuns.set(chatKey, runs.add(controller));
+
+  let response;
+  try {
+    response = await sendToAI(prompt, providerFor(chatKey), {
+      ...options,
+      chatKey,
+      signal: controller.signal,
+      onChunk: (text) => {
+        replyStream?.push(text);
+        io.emit('claude-stream', { text, done: false });
       }
+    });
+  } finally {
+    runs.delete(controller);
+    if (runs.size === 0) aiRuns.delete(chatKey);
+  }
 
-      // Use exec for Claude - redirect stdin from /dev/null, add media directory access
-      const escapedPrompt = fullPrompt.replace(/"/g, '\\"').replace(/`/g, '\\`').replace(/\$/g, '\\$').replace(/\n/g, '\\n');
-      const cmd = `/home/basim/.npm-global/bin/claude --dangerously-skip-permissions --add-dir "${mediaDir}" -p "${escapedPrompt}" < /dev/null`;
-      console.log('Claude command length:', cmd.length);
-
-      exec(cmd, { cwd: process.env.HOME, env: process.env, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
-        console.log('Claude exec finished, stdout length:', stdout?.length, 'stderr length:', stderr?.length);
-        let response = '';
-        if (stdout && stdout.trim()) {
-          response = stdout.trim();
-        } else if (stderr && (stderr.includes('authorize') || stderr.includes('login'))) {
-          const authUrl = stderr.match(/https:\/\/[^\s\]]+/)?.[0];
-          response = `Please authorize Claude first: ${authUrl || 'Check terminal for auth URL'}`;
-        } else if (stderr && stderr.trim()) {
-          response = `Claude: ${stderr.trim()}`;
-        } else if (error) {
-          response = `Claude error: ${error.message}`;
-        } else {
-          response = 'No response from Claude';
-        }
+  const streamed = replyStream ? await replyStream.finish(response) : false;
+  return { response, streamed };
+}
 
-        // Add response to history
-        conversationHistory.push({ role: 'assistant', content: response });
-        resolve(response);
-      });
-    } else {
-      // Use spawn for Qwen
-      const ai = spawn('/opt/homebrew/bin/qwen', ['--auth-type', 'qwen-oauth', prompt], {
-        cwd: process.env.HOME,
-        env: process.env
-      });
+// AI Markdown in WhatsApp formatting
+function formatReply(text) {
+  return FORMAT_REPLIES ? formatForWhatsApp(text).text : text;
+}
 
-      console.log(`${provider} process spawned, PID:`, ai.pid);
+// Function to send an AI answer: formatted for WhatsApp, with long code blocks and
+// tables as images after the text if RENDER_BLOCK_IMAGES is on
+async function sendAIReply(response, chatId = selfChatId) {
+  if (!FORMAT_REPLIES) return sendWhatsAppReply(response, chatId);
 
-      let output = '';
-      let errorOutput = '';
+  const { text, images } = formatForWhatsApp(response, { images: RENDER_BLOCK_IMAGES });
+  const files = await renderBlockImages(images, mediaDir);
+  if (files.length < images.length) {
+    // The text points at the images, so without all of them it goes out as plain formatting
+    return sendWhatsAppReply(formatReply(response), chatId);
+  }
 
-      ai.stdout.on('data', (data) => {
-        output += data.toString();
-      });
+  const sentMessage = await sendWhatsAppReply(text, chatId);
+  for (const [i, file] of files.entries()) {
+    await sendWhatsAppMedia(file, `🖼️ Image ${i + 1}`, chatId);
+  }
+  return sentMessage;
+}
 
-      ai.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
+function confirmMinutes() {
+  const minutes = Math.round(confirmations.getConfirmTimeoutMs() / 60000);
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
 
-      ai.on('close', (code) => {
-        console.log(`${provider} finished with code:`, code);
-        if (output.trim()) {
-          resolve(output.trim());
-        } else if (errorOutput.includes('authorize') || errorOutput.includes('login')) {
-          const authUrl = errorOutput.match(/https:\/\/[^\s\]]+/)?.[0];
-          resolve(`Please authorize ${provider} first: ${authUrl || 'Check terminal for auth URL'}`);
-        } else if (errorOutput.trim()) {
-          resolve(`${provider}: ${errorOutput.trim()}`);
-        } else {
-          resolve(`No response from ${provider}`);
+// Hold a risky action until the owner approves it with /yes (or from the dashboard).
+// The prompt goes to Notes to Self; another chat is only told it is waiting.
+async function askOwner(ctx, { question, risk, run }) {
+  const entry = confirmations.requestConfirmation({ chatId: ctx.chatId, question, risk, ownerOnly: true, run });
+  const where = ctx.isSelfChat ? '' : `\nAsked in ${chatLabel(ctx.chatId)}.`;
+  const prompt = `⚠️ Confirm (${risk}): ${question}${where}\nReply /yes ${entry.code} to go ahead or /no ${entry.code} to cancel (expires in ${confirmMinutes()}).`;
+  if (ctx.isSelfChat) {
+    await ctx.reply(prompt);
+  } else {
+    await sendWhatsAppReply(prompt, selfChatId);
+    await ctx.reply("⏳ This needs the owner's approval first.");
+  }
+  return entry;
+}
+
+// Run the actions from an AI answer in order (see ai-actions.js). Resolves to one
+// result per action: { ok, line, usedCaption, always }, where line is a status line for
+// the chat and always means it should be shown even for a lone successful action.
+async function runAIActions(actions, ctx) {
+  const results = [];
+  for (const action of actions) {
+    try {
+      results.push(await runAIAction(action, ctx));
+    } catch (err) {
+      console.log(`AI action ${action.action} failed:`, err.message);
+      const subject = action.path ? path.basename(action.path) : action.action;
+      results.push({ ok: false, line: err instanceof SandboxError ? err.message : `❌ ${subject}: ${err.message}` });
+    }
+  }
+  return results;
+}
+
+// Hold a send_file or send_image action until the owner says /yes, then run it again as approved
+async function holdSendForOwner(action, ctx, risk) {
+  const subject = action.url || action.path;
+  const entry = await askOwner(ctx, {
+    question: `Send ${subject} to ${chatLabel(ctx.chatId)}`,
+    risk,
+    run: async () => {
+      const [result] = await runAIActions([action], { ...ctx, answerCaption: null, ownerApproved: true, allowOutside: true });
+      return result.line || '✅ Done.';
+    }
+  });
+  const name = action.url ? subject : path.basename(subject);
+  return { ok: true, always: !ctx.isSelfChat, line: ctx.isSelfChat ? null : `⏳ ${name} is waiting for the owner's approval (${entry.code})` };
+}
+
+async function runAIAction(action, ctx) {
+  switch (action.action) {
+    case 'send_file':
+    case 'send_image': {
+      if (action.action === 'send_image' && action.path && !/\.(png|jpe?g|gif|webp)$/i.test(action.path)) {
+        throw new Error('not an image (.png, .jpg, .gif or .webp)');
+      }
+      // Like /send, files for other chats need the owner's yes (which also covers paths outside the allowed folders)
+      if (!ctx.isSelfChat && !ctx.ownerApproved) {
+        return holdSendForOwner(action, ctx, `send files to ${chatLabel(ctx.chatId)}`);
+      }
+      const options = { maxBytes: SEND_FILE_MAX_BYTES, workDir: mediaDir, allowOutside: ctx.allowOutside };
+      let file;
+      try {
+        file = action.url ? await downloadImage(action.url, options) : await prepareAttachment(action.path, options);
+      } catch (err) {
+        if (!(err instanceof SandboxError) || err.reason !== 'outside') throw err;
+        // Outside the allowed folders: the owner may still say yes
+        return holdSendForOwner(action, ctx, 'send from outside the allowed folders');
+      }
+      const caption = action.caption || ctx.answerCaption || file.name;
+      console.log('Sending file to WhatsApp:', file.filePath);
+      // A zip or download that could not be delivered is kept for retrying it from /failed
+      if (!(await ctx.replyMedia(file.filePath, caption))) {
+        return { ok: false, line: `❌ ${file.name}: could not be delivered (see /failed)` };
+      }
+      file.cleanup();
+      const details = `${file.note ? `${file.note}, ` : ''}${formatSize(file.size)}`;
+      return { ok: true, line: `✅ ${file.name} (${details})`, usedCaption: caption === ctx.answerCaption };
+    }
+
+    case 'schedule_message': {
+      const sendAt = action.at ? Date.parse(action.at) : Date.now() + action.in_minutes * 60000;
+      if (sendAt <= Date.now()) throw new Error(`${action.at} is in the past`);
+      if (sendAt > Date.now() + MAX_SCHEDULE_MINUTES * 60000) throw new Error('can only schedule up to 30 days ahead');
+      scheduler.scheduleMessage({ chatId: ctx.chatId, text: action.text, sendAt });
+      const preview = action.text.length > 40 ? `${action.text.slice(0, 40)}...` : action.text;
+      return { ok: true, always: true, line: `⏰ Scheduled for ${new Date(sendAt).toLocaleString()}: "${preview}" (/scheduled to see or cancel)` };
+    }
+
+    case 'react':
+      if (!ctx.message) throw new Error('there is no message to react to');
+      await ctx.message.react(action.emoji);
+      return { ok: true, line: null };
+
+    case 'ask_confirmation': {
+      const entry = confirmations.requestConfirmation({
+        chatId: ctx.chatId,
+        question: action.question,
+        run: async () => {
+          const [result] = await runAIActions([action.on_yes], { ...ctx, answerCaption: null });
+          return result.line || '✅ Done.';
         }
       });
+      return {
+        ok: true,
+        always: true,
+        line: `❓ ${action.question}\nReply /yes ${entry.code} to go ahead or /no ${entry.code} to cancel (expires in ${confirmMinutes()}).`
+      };
+    }
 
-      ai.on('error', (err) => {
-        reject(err);
-      });
+    default:
+      throw new Error('unknown action');
+  }
+}
+
+// Send an answer's text as a voice note when the chat wants one and it suits being heard, otherwise as text
+async function sendAIAnswer(text, chatId, voice) {
+  const reason = voice && unspeakableReason(text);
+  if (voice && !reason) {
+    try {
+      const oggPath = await synthesize(text, { language: voice.language });
+      if (await sendWhatsAppMedia(oggPath, '', chatId, { voice: true })) return;
+    } catch (err) {
+      console.error('Voice reply failed, sending text:', err.message);
     }
-  });
+  } else if (voice) {
+    console.log(`Answering in text, ${reason}`);
+  }
+  await sendAIReply(text, chatId);
+}
+
+// Whether to answer with a voice note (see /voice), and in which language
+function voiceReplyFor(chatKey, { voiceMessage = false, language = null } = {}) {
+  const mode = getChatPref(chatKey, 'voice', config.voiceReplies);
+  if (mode === 'off' || (mode === 'auto' && !voiceMessage)) return null;
+  const chatLanguage = getChatPref(chatKey, 'language');
+  return { language: language || (chatLanguage && chatLanguage !== 'auto' ? chatLanguage : null) };
+}
+
+// Send an AI answer that was not streamed, run its actions and report how they went.
+// A single file or image carries the answer as its caption when it fits; with more
+// actions the answer goes first.
+async function deliverAIAnswer(response, { streamed, chatId, isSelfChat, message, reply, replyMedia, voice = null }) {
+  const { actions, errors, text } = parseActions(response);
+  errors.forEach(error => console.log('AI action rejected:', error));
+
+  let answered = streamed || !text;
+  const formatted = formatReply(text);
+  const lone = actions.length === 1 && ['send_file', 'send_image'].includes(actions[0].action) && !actions[0].caption;
+  const answerCaption = !answered && lone && formatted.length <= CAPTION_LIMIT ? formatted : null;
+  if (actions.length > 0 && !answered && !answerCaption) {
+    await sendAIAnswer(text, chatId, voice);
+    answered = true;
+  }
+
+  const results = await runAIActions(actions, { chatId, isSelfChat, message, reply, replyMedia, answerCaption });
+  if (results.some(r => r.usedCaption)) answered = true;
+
+  // Send text response (always, unless it was a file's caption or it was streamed)
+  if (!answered) {
+    await sendAIAnswer(text || response, chatId, voice);
+  }
+
+  // Status lines when there were several actions, something went wrong, or there is something to know
+  const lines = [...errors.map(error => `⚠️ ${error}`), ...results.map(r => r.line).filter(Boolean)];
+  if (lines.length > 1 || errors.length || results.some(r => !r.ok || r.always)) {
+    await reply(lines.join('\n'));
+  }
+}
+
+// Function to switch the active AI provider
+function switchAI(name) {
+  const provider = getProvider(name);
+  if (!provider) return null;
+  currentAI = provider.name;
+  io.emit('ai-switched', { provider: currentAI, label: provider.label });
+  return provider;
+}
+
+// Run `claude mcp <args>` (see process-runner.js); `list` checks every server, so it gets a while
+function runClaudeMcp(args, { cwd = __dirname } = {}) {
+  return runProcess(CLAUDE_BIN, ['mcp', ...args], { cwd, label: 'claude mcp', timeoutMs: 120000 });
 }
 
 // Function to save media file and return path
@@ -360,444 +761,1168 @@ function getMediaTypeDescription(mimetype) {
   return 'file';
 }
 
-// Function to send WhatsApp reply
-async function sendWhatsAppReply(text) {
-  if (!isReady || !selfChatId) {
-    console.log('Cannot send reply - not ready or no selfChatId');
-    return;
+// One delivery attempt for an outbox job; throws so the outbox can retry
+async function deliverToWhatsApp(job) {
+  if (!isReady) {
+    throw new Error('WhatsApp not connected');
   }
-  try {
-    const chat = await client.getChatById(selfChatId);
-    await chat.sendMessage(text);
-    console.log('Sent reply to WhatsApp');
-  } catch (err) {
-    console.error('Failed to send WhatsApp reply:', err);
+  const chat = await client.getChatById(job.chatId);
+  switch (job.kind) {
+    case 'text':
+      return chat.sendMessage(job.text, job.quotedMessageId ? { quotedMessageId: job.quotedMessageId } : {});
+    case 'media': {
+      if (!fs.existsSync(job.filePath)) {
+        throw outbox.permanentError(`File not found: ${job.filePath}`);
+      }
+      const media = pkg.MessageMedia.fromFilePath(job.filePath);
+      return chat.sendMessage(media, { caption: job.caption, sendAudioAsVoice: Boolean(job.voice) });
+    }
+    case 'image': {
+      const media = new pkg.MessageMedia(job.mimetype, job.base64);
+      return chat.sendMessage(media, { caption: job.caption });
+    }
+    default:
+      throw outbox.permanentError(`Unknown delivery kind: ${job.kind}`);
   }
 }
 
-// Function to send media (image/file) to WhatsApp
-async function sendWhatsAppMedia(mediaPath, caption = '') {
-  if (!isReady || !selfChatId) {
-    console.log('Cannot send media - not ready or no selfChatId');
-    return false;
+// Edit a sent message in its chat's turn in the send queue, counting toward the send limits.
+// Not retried: a failed edit rejects, and the reply stream falls back to follow-up messages.
+function editWhatsAppMessage(message, text, chatId) {
+  return sendQueue.enqueue(chatId, async () => {
+    await sendQueue.acquireSlot(chatId);
+    return message.edit(text);
+  });
+}
+
+// Function to send WhatsApp reply (resolves to the last sent message, if any).
+// Long text goes out in numbered parts, or as an attached document if it needs too many.
+// With quoteId, the first part is sent as a reply to that message.
+async function sendWhatsAppReply(text, chatId = selfChatId, { quoteId } = {}) {
+  if (!chatId) {
+    console.log('Cannot send reply - no chat ID');
+    return null;
   }
-  try {
-    const chat = await client.getChatById(selfChatId);
-    const media = pkg.MessageMedia.fromFilePath(mediaPath);
-    await chat.sendMessage(media, { caption });
-    console.log('Sent media to WhatsApp:', mediaPath);
-    return true;
-  } catch (err) {
-    console.error('Failed to send WhatsApp media:', err);
-    return false;
+
+  const parts = splitMessage(text, MAX_MESSAGE_LENGTH);
+  if (parts.length > REPLY_MAX_PARTS) {
+    const fileName = documentName(text);
+    const filePath = path.join(mediaDir, fileName);
+    fs.writeFileSync(filePath, text);
+    console.log(`Reply of ${text.length} characters sent as ${fileName}`);
+    return outbox.deliver({
+      kind: 'media',
+      chatId,
+      filePath,
+      caption: `📄 The full answer (${text.length.toLocaleString()} characters) is in ${fileName}\n\n${splitMessage(text, CAPTION_LIMIT - 100)[0]}`
+    });
+  }
+
+  let sentMessage = null;
+  for (const [index, part] of numberParts(parts).entries()) {
+    const quote = index === 0 && quoteId ? { quotedMessageId: quoteId } : {};
+    sentMessage = (await outbox.deliver({ kind: 'text', chatId, text: part, ...quote })) || sentMessage;
   }
+  if (sentMessage) console.log(`Sent reply to WhatsApp${parts.length > 1 ? ` in ${parts.length} parts` : ''}`);
+  return sentMessage;
 }
 
-// Function to send base64 image to WhatsApp
-async function sendWhatsAppBase64Image(base64Data, mimetype = 'image/png', caption = '') {
-  if (!isReady || !selfChatId) {
-    console.log('Cannot send image - not ready or no selfChatId');
+// Function to send media (image/file) to WhatsApp; with voice, audio is sent as a voice note
+async function sendWhatsAppMedia(mediaPath, caption = '', chatId = selfChatId, { voice = false } = {}) {
+  if (!chatId) {
+    console.log('Cannot send media - no chat ID');
     return false;
   }
-  try {
-    const chat = await client.getChatById(selfChatId);
-    // Remove data URL prefix if present
-    const base64 = base64Data.replace(/^data:image\/\w+;base64,/, '');
-    const media = new pkg.MessageMedia(mimetype, base64);
-    await chat.sendMessage(media, { caption });
-    console.log('Sent base64 image to WhatsApp');
-    return true;
-  } catch (err) {
-    console.error('Failed to send WhatsApp image:', err);
+  const sent = await outbox.deliver({ kind: 'media', chatId, filePath: mediaPath, caption, ...(voice ? { voice } : {}) });
+  if (sent) console.log('Sent media to WhatsApp:', mediaPath);
+  return Boolean(sent);
+}
+
+// Function to send base64 image to WhatsApp
+async function sendWhatsAppBase64Image(base64Data, mimetype = 'image/png', caption = '', chatId = selfChatId) {
+  if (!chatId) {
+    console.log('Cannot send image - no chat ID');
     return false;
   }
+  // Remove data URL prefix if present
+  const base64 = base64Data.replace(/^data:image\/\w+;base64,/, '');
+  const sent = await outbox.deliver({ kind: 'image', chatId, base64, mimetype, caption });
+  if (sent) console.log('Sent base64 image to WhatsApp');
+  return Boolean(sent);
 }
 
-client.on('message_create', async (message) => {
-  console.log('message_create event:', message.from, '->', message.to, ':', message.body?.substring(0, 30), 'hasMedia:', message.hasMedia);
+// Slash commands. Handlers get the calling chat's context (see runCommand in commands.js);
+// ownerOnly commands touch files, the machine or other chats' sessions and are reserved for Notes to Self.
+
+registerCommand({
+  name: 'help',
+  description: 'List commands, or show how to use one',
+  args: [{ name: 'command', optional: true }],
+  examples: ['/help', '/help queue'],
+  handler: async (ctx, { command }) => {
+    if (!command) {
+      await ctx.reply(describeCommands({ isSelfChat: ctx.isSelfChat }));
+      return;
+    }
+    const found = findCommand(command);
+    if (!found || (found.ownerOnly && !ctx.isSelfChat)) {
+      await ctx.reply(`Unknown command: /${command.replace(/^\//, '')}\nSend /help for the list of commands.`);
+      return;
+    }
+    await ctx.reply(describeCommand(found));
+  }
+});
 
-  // Check if it's a self-chat message (from me to @lid address = self-chat)
-  const isSelfChat = message.from === myNumber && message.to?.endsWith('@lid');
+// Notes to Self switches the global default, other chats only their own provider
+async function switchChatAI(ctx, name) {
+  const provider = getProvider(name);
+  if (!provider) {
+    await ctx.reply(`Unknown AI: ${name}\nAvailable: ${listProviders().map(p => p.name).join(', ')}`);
+    return;
+  }
+  if (ctx.isSelfChat) {
+    switchAI(provider.name);
+  } else if (canActOnMachine(provider.type)) {
+    await ctx.reply(`${provider.label} can run commands on the host, so it is only available in Notes to Self.`);
+    return;
+  } else {
+    chatAccess.setChatProvider(ctx.chatId, provider.name);
+  }
+  await ctx.reply(`Switched to ${provider.label}`);
+}
 
-  if (isSelfChat) {
-    // Store the self-chat ID if we don't have it yet
-    if (!selfChatId) {
-      selfChatId = message.to;
-      console.log('Discovered self-chat ID:', selfChatId);
+registerCommand({
+  name: 'ai',
+  description: 'Show or switch the AI provider',
+  args: [{ name: 'provider', optional: true }],
+  examples: ['/ai', '/ai claude-api'],
+  handler: async (ctx, { provider }) => {
+    if (!provider) {
+      const available = listProviders().map(p => p.name).join(', ');
+      await ctx.reply(`Current AI: ${ctx.chatAI || 'none'}\nAvailable: ${available}\nUsage: /ai <name>`);
+      return;
     }
+    await switchChatAI(ctx, provider);
+  }
+});
 
-    const msgData = {
-      id: message.id._serialized,
-      body: message.body,
-      timestamp: message.timestamp,
-      fromMe: message.fromMe,
-      type: message.type,
-      hasMedia: message.hasMedia
-    };
+// Shortcuts kept from before /ai existed
+for (const name of ['claude', 'qwen']) {
+  if (!hasProvider(name)) continue;
+  registerCommand({
+    name,
+    description: `Switch to ${getProvider(name).label} (same as /ai ${name})`,
+    handler: (ctx) => switchChatAI(ctx, name)
+  });
+}
 
-    // Download media if present
-    if (message.hasMedia) {
-      try {
-        console.log('Downloading media...');
-        const media = await message.downloadMedia();
-        if (media) {
-          msgData.media = {
-            mimetype: media.mimetype,
-            data: media.data,
-            filename: media.filename
-          };
-          console.log('Media downloaded:', media.mimetype);
-        }
-      } catch (err) {
-        console.error('Failed to download media:', err.message);
-      }
-    }
+registerCommand({
+  name: 'status',
+  description: 'Show the current AI, session, token usage and send queue',
+  handler: async (ctx) => {
+    const usage = tokenUsage[ctx.chatAI];
+    const usageLine = usage ? `\nTokens: ${usage.inputTokens} in / ${usage.outputTokens} out (${usage.requests} requests)` : '';
+    const sending = sendQueue.getSendQueueStatus();
+    const sendLine = `\nSend queue: ${sending.queued} waiting${sending.chats > 1 ? ` across ${sending.chats} chats` : ''}, ${sending.sentLastMinute}/${sending.limits.perMinute} sent in the last minute`;
+    await ctx.reply(`Current AI: ${ctx.chatAI}\nSession: ${sessions.getActiveSession(ctx.chatKey)}\nHistory: ${getHistory(ctx.chatKey).length} messages${usageLine}${sendLine}\n\nSend /help for the list of commands.`);
+  }
+});
 
-    console.log('Emitting self-message to frontend:', message.type);
-    io.emit('message', msgData);
+registerCommand({
+  name: 'context',
+  description: 'Show how much of the conversation the AI sees',
+  handler: (ctx) => ctx.reply(describeContext(ctx.chatKey))
+});
 
-    // If it's a text message, process it
-    if (message.body && message.body.trim() && !message.hasMedia) {
-      const text = message.body.trim();
-
-      // Check for commands
-      if (text.toLowerCase() === '/claude') {
-        currentAI = 'claude';
-        await sendWhatsAppReply('Switched to Claude AI');
-        io.emit('ai-switched', { provider: 'claude' });
-        return;
-      }
-      if (text.toLowerCase() === '/qwen') {
-        currentAI = 'qwen';
-        await sendWhatsAppReply('Switched to Qwen AI');
-        io.emit('ai-switched', { provider: 'qwen' });
-        return;
-      }
-      if (text.toLowerCase() === '/status') {
-        await sendWhatsAppReply(`Current AI: ${currentAI}\nHistory: ${conversationHistory.length} messages\nCommands: /claude, /qwen, /clear, /status`);
-        return;
-      }
-      if (text.toLowerCase() === '/clear') {
-        conversationHistory = [];
-        await sendWhatsAppReply('Conversation history cleared');
-        return;
-      }
+registerCommand({
+  name: 'clear',
+  aliases: ['reset'],
+  description: 'Clear the conversation history of the active session',
+  handler: async (ctx) => {
+    sessions.clearSession(sessions.getActiveSession(ctx.chatKey));
+    conversationHistories.set(ctx.chatKey, []);
+    emitSessionInfo();
+    await ctx.reply(`Conversation history cleared (session: ${sessions.getActiveSession(ctx.chatKey)})`);
+  }
+});
 
-      // Queue files command: /queue <folder> [interval_seconds]
-      if (text.toLowerCase().startsWith('/queue ')) {
-        const match = text.match(/\/queue\s+(.+?)(?:\s+(\d+))?$/i);
-        if (!match) {
-          await sendWhatsAppReply('Usage: /queue <folder_path> [interval_seconds]\nExample: /queue /Users/basim/Movies/CapCut/Theodora 60');
-          return;
-        }
+registerCommand({
+  name: 'stop',
+  description: "Cancel this chat's AI requests that are still running (Claude and Qwen CLI)",
+  handler: async (ctx) => {
+    const runs = aiRuns.get(ctx.chatKey);
+    if (!runs?.size) {
+      await ctx.reply('Nothing is running.');
+      return;
+    }
+    const count = runs.size;
+    runs.forEach(controller => controller.abort());
+    await ctx.reply(`⏹️ Stopped ${count === 1 ? 'the AI request' : `${count} AI requests`}.`);
+  }
+});
 
-        const folderPath = match[1].trim();
-        const intervalSec = parseInt(match[2]) || 60; // default 60 seconds
+registerCommand({
+  name: 'session',
+  ownerOnly: true,
+  description: 'Create, list, switch or export conversation sessions',
+  args: [
+    { name: 'action', type: 'choice', choices: ['new', 'list', 'switch', 'export'], optional: true },
+    { name: 'name', optional: true }
+  ],
+  examples: ['/session new work', '/session list', '/session switch default', '/session export'],
+  handler: async (ctx, { action, name }) => {
+    const { chatKey } = ctx;
+    try {
+      switch (action) {
+        case 'new':
+          if (!name) throw new UsageError('Missing session name');
+          sessions.createSession(name);
+          activateSession(name, chatKey);
+          await ctx.reply(`🆕 Started session "${name}"`);
+          return;
 
-        if (!fs.existsSync(folderPath)) {
-          await sendWhatsAppReply(`❌ Folder not found: ${folderPath}`);
+        case 'list': {
+          const list = sessions.listSessions(chatKey)
+            .map(s => `${s.active ? '▶️' : '•'} ${s.name} - ${s.messages} messages${s.updatedAt ? `, ${new Date(s.updatedAt).toLocaleString()}` : ''}`)
+            .join('\n');
+          await ctx.reply(`💬 Sessions:\n\n${list}`);
           return;
         }
 
-        if (!fs.statSync(folderPath).isDirectory()) {
-          await sendWhatsAppReply(`❌ Not a directory: ${folderPath}`);
+        case 'switch':
+          if (!name) throw new UsageError('Missing session name');
+          activateSession(name, chatKey);
+          await ctx.reply(`🔀 Switched to session "${name}" (${getHistory(chatKey).length} recent messages loaded)`);
+          return;
+
+        case 'export': {
+          const exportName = name || sessions.getActiveSession(chatKey);
+          if (!sessions.sessionExists(exportName)) {
+            await ctx.reply(`❌ Session "${exportName}" not found`);
+            return;
+          }
+          const exportPath = sessions.exportSession(exportName, mediaDir);
+          const sent = await ctx.replyMedia(exportPath, `📄 Session "${exportName}"`);
+          if (!sent) {
+            await ctx.reply('Failed to send session export');
+          }
           return;
         }
 
-        const result = startFileQueue(folderPath, intervalSec * 1000);
-        await sendWhatsAppReply(result.success
-          ? `✅ ${result.message}\n\nUse /queue-status to check progress\nUse /queue-stop to cancel`
-          : `❌ ${result.message}`);
-        return;
+        default:
+          await ctx.reply(`Current session: ${sessions.getActiveSession(chatKey)}\n\nSend /help session for usage.`);
       }
+    } catch (err) {
+      if (err instanceof UsageError) throw err;
+      await ctx.reply(`❌ ${err.message}`);
+    }
+  }
+});
 
-      // Queue status command
-      if (text.toLowerCase() === '/queue-status') {
-        const status = getQueueStatus();
-        if (!status.active && status.totalFiles === 0) {
-          await sendWhatsAppReply('📭 No active queue. Use /queue <folder> to start.');
-          return;
-        }
+// Resolve a command's path argument through the sandbox. A plain number refers to an entry
+// of the chat's last /ls, /tree or /find listing. Replies and returns null when refused,
+// or hands a path outside the allowed folders to onOutside(path) when given.
+async function commandPath(ctx, input, { onOutside, ...options } = {}) {
+  try {
+    if (/^\d+$/.test(input)) {
+      const entry = getListingEntry(ctx.chatKey, Number(input));
+      if (!entry) {
+        throw new SandboxError(`No entry ${input} in the last listing (use /ls, /tree or /find first)`, 'not-found');
+      }
+      input = entry.path;
+    }
+    return resolveSafePath(input, options);
+  } catch (err) {
+    if (!(err instanceof SandboxError)) throw err;
+    if (err.reason === 'outside' && onOutside) {
+      await onOutside(input);
+      return null;
+    }
+    await ctx.reply(`❌ ${err.message}`);
+    return null;
+  }
+}
+
+registerCommand({
+  name: 'ls',
+  ownerOnly: true,
+  description: 'List a folder (without one, the allowed folders)',
+  args: [{ name: 'folder', rest: true, optional: true }],
+  examples: ['/ls', '/ls ~/Desktop', '/ls 2'],
+  handler: async (ctx, { folder }) => {
+    if (!folder) {
+      await ctx.reply(setListing(ctx.chatKey, { title: '📂 Allowed folders', entries: listRoots() }));
+      return;
+    }
+    const dir = await commandPath(ctx, folder, { type: 'directory' });
+    if (!dir) return;
+    const entries = listDirectory(dir);
+    await ctx.reply(setListing(ctx.chatKey, { title: `📂 ${dir} (${entries.length})`, entries }));
+  }
+});
+
+registerCommand({
+  name: 'tree',
+  ownerOnly: true,
+  description: 'Show a folder and its subfolders (depth 1-5, default 2)',
+  args: [
+    { name: 'folder', rest: true },
+    { name: 'depth', type: 'number', optional: true, default: 2 }
+  ],
+  examples: ['/tree ~/Documents', '/tree ~/Documents 3'],
+  handler: async (ctx, { folder, depth }) => {
+    if (depth < 1 || depth > 5) throw new UsageError('depth must be between 1 and 5');
+    const dir = await commandPath(ctx, folder, { type: 'directory' });
+    if (!dir) return;
+    const entries = walkTree(dir, depth);
+    await ctx.reply(setListing(ctx.chatKey, { title: `🌳 ${dir} (depth ${depth})`, entries, tree: true }));
+  }
+});
+
+registerCommand({
+  name: 'find',
+  ownerOnly: true,
+  description: 'Find files by name below a folder (glob like *.pdf, or part of the name)',
+  args: [
+    { name: 'folder', rest: true },
+    { name: 'pattern' }
+  ],
+  examples: ['/find ~/Documents *.pdf', '/find ~/Desktop invoice'],
+  handler: async (ctx, { folder, pattern }) => {
+    const dir = await commandPath(ctx, folder, { type: 'directory' });
+    if (!dir) return;
+    const { entries, truncated } = findFiles(dir, pattern);
+    await ctx.reply(setListing(ctx.chatKey, {
+      title: `🔎 "${pattern}" in ${dir} (${entries.length}${truncated ? '+' : ''})`,
+      entries,
+      note: truncated ? 'Stopped after the first matches, narrow the folder or pattern to see more.' : ''
+    }));
+  }
+});
+
+registerCommand({
+  name: 'stat',
+  ownerOnly: true,
+  description: 'Show size, dates and permissions of a file or folder',
+  args: [{ name: 'path', rest: true }],
+  examples: ['/stat ~/Desktop/report.pdf', '/stat 4'],
+  handler: async (ctx, { path: requested }) => {
+    const target = await commandPath(ctx, requested, { type: 'any' });
+    if (!target) return;
+    await ctx.reply(describePath(target));
+  }
+});
+
+registerCommand({
+  name: 'more',
+  ownerOnly: true,
+  description: 'Show the next page of the last listing',
+  handler: async (ctx) => {
+    await ctx.reply(nextListingPage(ctx.chatKey) || 'Nothing to show, use /ls, /tree or /find first.');
+  }
+});
+
+// Chat a queue sends to: the calling chat, "self", or an allow-listed chat by id or name
+function resolveTargetChat(ctx, to) {
+  if (!to) return ctx.chatId;
+  if (['self', 'me'].includes(to.toLowerCase())) return selfChatId;
+  const chat = chatAccess.listAllowedChats()
+    .find(c => c.id === to || (c.name || '').toLowerCase() === to.toLowerCase());
+  return chat ? chat.id : null;
+}
+
+// The queue a command refers to: the named one, or the only queue in one of the given states
+async function pickQueue(ctx, name, statuses, action) {
+  if (name) {
+    if (fileQueue.getFileQueueStatus(name)) return name;
+    await ctx.reply(`❌ No queue named "${name}". Use /queue-status to see them.`);
+    return null;
+  }
+  const candidates = fileQueue.listFileQueues().filter(q => statuses.includes(q.status));
+  if (candidates.length === 1) return candidates[0].name;
+  await ctx.reply(candidates.length
+    ? `Which queue? ${candidates.map(q => q.name).join(', ')}\nExample: /${action} ${candidates[0].name}`
+    : `📭 No queue to ${action.replace('queue-', '')}.`);
+  return null;
+}
+
+function formatQueueLine(queue) {
+  const icons = { active: '📤', paused: '⏸️', stopped: '🛑', done: '✅' };
+  const chat = queue.chatId === selfChatId ? '' : ` → ${chatAccess.getAllowedChat(queue.chatId)?.name || queue.chatId}`;
+  return `${icons[queue.status]} ${queue.name}: ${queue.sentFiles}/${queue.totalFiles} sent, every ${queue.intervalMs / 1000}s${chat}`;
+}
+
+registerCommand({
+  name: 'queue',
+  ownerOnly: true,
+  description: 'Send the files in a folder one per interval (seconds, default 60); several queues can run at once',
+  args: [
+    { name: 'folder', rest: true },
+    { name: 'interval', type: 'number', optional: true, default: 60 }
+  ],
+  flags: [
+    { name: 'name', type: 'string', description: 'Queue name (default: the folder name)' },
+    { name: 'match', type: 'string', placeholder: 'glob', description: 'Only file names matching these globs, comma-separated (e.g. *.mp4,clip-*)' },
+    { name: 'ext', type: 'string', placeholder: 'jpg,png', description: 'Only these extensions' },
+    { name: 'recursive', type: 'boolean', description: 'Include files in subfolders' },
+    { name: 'sort', type: 'choice', choices: fileQueue.SORT_ORDERS, default: 'name', description: 'Sending order: name, oldest first, smallest first or random' },
+    { name: 'max', type: 'number', description: 'Send at most this many files' },
+    { name: 'to', type: 'string', placeholder: 'chat', description: 'Send to "self" or an allowed chat (id or name) instead of this chat' }
+  ],
+  examples: [
+    '/queue /Users/basim/Movies/CapCut/Theodora 60',
+    '/queue ~/Pictures 300 --ext=jpg,png --recursive --sort=random --max=20',
+    '/queue 2 120 --name=clips --to="Family"'
+  ],
+  handler: async (ctx, { folder, interval, name, match, ext, recursive, sort, max, to }) => {
+    if (interval <= 0) throw new UsageError('interval must be more than 0 seconds');
+    if (max !== undefined && max < 1) throw new UsageError('--max must be at least 1');
+
+    const chatId = resolveTargetChat(ctx, to);
+    if (to && !chatId) {
+      await ctx.reply(`❌ Unknown chat "${to}". Use "self" or a chat from the allow-list.`);
+      return;
+    }
+
+    const folderPath = await commandPath(ctx, folder, { type: 'directory' });
+    if (!folderPath) return;
+
+    const split = (list) => (list ? list.split(',').map(item => item.trim()).filter(Boolean) : []);
+    const queueName = name || fileQueue.defaultQueueName(folderPath);
+    const options = {
+      match: split(match),
+      ext: split(ext),
+      recursive: Boolean(recursive),
+      sort,
+      max: max || 0
+    };
+    const start = () => {
+      const result = fileQueue.startFileQueue(queueName, folderPath, interval * 1000, chatId, options);
+      return result.success
+        ? `✅ ${result.message}\n\nUse /queue-status to check progress\nUse /queue-pause ${queueName} or /queue-stop ${queueName} to hold or cancel`
+        : `❌ ${result.message}`;
+    };
+
+    // Large queues wait for the owner's go-ahead (errors are left for startFileQueue to report)
+    let count = 0;
+    try {
+      count = fileQueue.collectFiles(folderPath, options).length;
+    } catch (err) {
+      console.log('Could not count queue files:', err.message);
+    }
+    if (isLargeQueue(count)) {
+      await askOwner(ctx, {
+        question: `Queue ${count} files from ${folderPath} to ${chatLabel(chatId)}, one every ${interval}s`,
+        risk: 'large queue',
+        run: async () => start()
+      });
+      return;
+    }
+    await ctx.reply(start());
+  }
+});
+
+registerCommand({
+  name: 'queue-status',
+  ownerOnly: true,
+  description: 'List all file queues, or show one in detail',
+  args: [{ name: 'name', optional: true }],
+  handler: async (ctx, { name }) => {
+    if (!name) {
+      const all = fileQueue.listFileQueues();
+      await ctx.reply(all.length
+        ? `📋 Queues:\n\n${all.map(formatQueueLine).join('\n')}\n\n/queue-status <name> for details`
+        : '📭 No queues. Use /queue <folder> to start one.');
+      return;
+    }
+
+    const status = fileQueue.getFileQueueStatus(name);
+    if (!status) {
+      await ctx.reply(`❌ No queue named "${name}".`);
+      return;
+    }
+
+    const headings = {
+      active: '📤 Queue Active',
+      paused: '⏸️ Queue Paused (/queue-resume to continue)',
+      stopped: '🛑 Queue Stopped',
+      done: '📭 Queue Finished'
+    };
+    const nextLine = status.active && status.nextAt
+      ? `⏭️ Next: ${status.remainingFiles[0]} in ${Math.max(0, Math.round((status.nextAt - Date.now()) / 1000))}s\n`
+      : '';
+    const { match = [], ext = [], recursive, sort, max } = status.options || {};
+    const filters = [
+      match.length && `match ${match.join(',')}`,
+      ext.length && `ext ${ext.join(',')}`,
+      recursive && 'recursive',
+      sort && sort !== 'name' && `sorted by ${sort}`,
+      max && `max ${max}`
+    ].filter(Boolean).join(', ');
+
+    await ctx.reply(
+      `${headings[status.status]}: ${status.name}\n\n` +
+      `📁 Folder: ${status.folder}\n` +
+      (filters ? `🔍 Filters: ${filters}\n` : '') +
+      `⏱️ Interval: ${status.intervalMs / 1000}s\n` +
+      `✅ Sent: ${status.sentFiles}/${status.totalFiles}\n` +
+      `⏳ Remaining: ${status.remaining}\n` +
+      nextLine +
+      (status.sentList.length ? `\nRecent: ${status.sentList.slice(-3).join(', ')}` : '')
+    );
+  }
+});
+
+registerCommand({
+  name: 'queue-pause',
+  ownerOnly: true,
+  description: 'Pause a file queue, keeping its place',
+  args: [{ name: 'name', optional: true }],
+  handler: async (ctx, { name }) => {
+    const queueName = await pickQueue(ctx, name, ['active'], 'queue-pause');
+    if (!queueName) return;
+    if (!fileQueue.pauseFileQueue(queueName)) {
+      await ctx.reply(`Queue "${queueName}" is not running.`);
+      return;
+    }
+    const { sentFiles, totalFiles } = fileQueue.getFileQueueStatus(queueName);
+    await ctx.reply(`⏸️ Queue "${queueName}" paused after ${sentFiles}/${totalFiles} files. Use /queue-resume ${queueName} to continue.`);
+  }
+});
 
-        const statusMsg = status.active
-          ? `📤 Queue Active\n\n` +
-            `📁 Folder: ${status.folder}\n` +
-            `⏱️ Interval: ${status.intervalMs / 1000}s\n` +
-            `✅ Sent: ${status.sentFiles}/${status.totalFiles}\n` +
-            `⏳ Remaining: ${status.remaining}\n\n` +
-            `Recent: ${status.sentList.slice(-3).join(', ')}`
-          : `📭 Queue finished. Sent ${status.sentFiles} files.`;
+registerCommand({
+  name: 'queue-resume',
+  ownerOnly: true,
+  description: 'Continue a paused file queue',
+  args: [{ name: 'name', optional: true }],
+  handler: async (ctx, { name }) => {
+    const queueName = await pickQueue(ctx, name, ['paused'], 'queue-resume');
+    if (!queueName) return;
+    if (!fileQueue.resumeFileQueue(queueName)) {
+      await ctx.reply(`Queue "${queueName}" is not paused.`);
+      return;
+    }
+    const { remaining } = fileQueue.getFileQueueStatus(queueName);
+    await ctx.reply(`▶️ Queue "${queueName}" resumed, ${remaining} files left.`);
+  }
+});
 
-        await sendWhatsAppReply(statusMsg);
+registerCommand({
+  name: 'queue-stop',
+  ownerOnly: true,
+  description: 'Cancel a file queue',
+  args: [{ name: 'name', optional: true }],
+  handler: async (ctx, { name }) => {
+    const queueName = await pickQueue(ctx, name, ['active', 'paused'], 'queue-stop');
+    if (!queueName) return;
+    if (!fileQueue.stopFileQueue(queueName)) {
+      await ctx.reply(`Queue "${queueName}" is not running.`);
+      return;
+    }
+
+    const { sentFiles, totalFiles } = fileQueue.getFileQueueStatus(queueName);
+    await ctx.reply(`🛑 Queue "${queueName}" stopped.\n\nSent ${sentFiles}/${totalFiles} files before stopping.`);
+  }
+});
+
+registerCommand({
+  name: 'queue-reset',
+  ownerOnly: true,
+  description: 'Forget a finished queue and which files it sent, so its folder can be queued again in full',
+  args: [{ name: 'name', optional: true }],
+  handler: async (ctx, { name }) => {
+    const queueName = await pickQueue(ctx, name, ['stopped', 'done'], 'queue-reset');
+    if (!queueName) return;
+    if (!fileQueue.resetFileQueue(queueName)) {
+      await ctx.reply(`Stop queue "${queueName}" first (/queue-stop ${queueName}).`);
+      return;
+    }
+    await ctx.reply(`🧹 Queue "${queueName}" cleared.`);
+  }
+});
+
+function chatLabel(chatId) {
+  if (chatId === selfChatId) return 'Notes to Self';
+  return chatAccess.getAllowedChat(chatId)?.name || chatId;
+}
+
+registerCommand({
+  name: 'failed',
+  ownerOnly: true,
+  description: 'List messages that could not be delivered, and retry or discard them',
+  args: [
+    { name: 'action', type: 'choice', choices: ['retry', 'discard', 'clear'], optional: true },
+    { name: 'number', optional: true }
+  ],
+  examples: ['/failed', '/failed retry 2', '/failed retry all', '/failed discard 1', '/failed clear'],
+  handler: async (ctx, { action, number }) => {
+    const failed = outbox.listFailed();
+    if (!action) {
+      if (failed.length === 0) {
+        await ctx.reply('✅ No failed deliveries.');
         return;
       }
+      const lines = failed.map((f, i) =>
+        `${i + 1}. ${f.summary}\n   → ${chatLabel(f.chatId)} · ${f.error} · ${f.attempts} attempts · ${new Date(f.failedAt).toLocaleString()}`
+      );
+      await ctx.reply(`⚠️ Failed deliveries:\n\n${lines.join('\n')}\n\n/failed retry <number|all> sends again, /failed discard <number> drops one`);
+      return;
+    }
 
-      // Queue stop command
-      if (text.toLowerCase() === '/queue-stop') {
-        if (!queueStatus.active) {
-          await sendWhatsAppReply('📭 No active queue to stop.');
-          return;
-        }
+    if (action === 'clear') {
+      await ctx.reply(`🧹 Discarded ${outbox.clearFailed()} failed deliveries.`);
+      return;
+    }
 
-        const sent = queueStatus.sentFiles;
-        const total = queueStatus.totalFiles;
-        stopFileQueue();
-        await sendWhatsAppReply(`🛑 Queue stopped.\n\nSent ${sent}/${total} files before stopping.`);
+    if (!number) throw new UsageError(`Missing number (see /failed)${action === 'retry' ? ', or all' : ''}`);
+    let targets;
+    if (number === 'all' && action === 'retry') {
+      targets = failed;
+    } else {
+      const entry = /^\d+$/.test(number) ? failed[Number(number) - 1] : null;
+      if (!entry) {
+        await ctx.reply(`No failed delivery ${number} (${failed.length} in the list, see /failed).`);
         return;
       }
+      targets = [entry];
+    }
 
-      // Send file command: /send <filepath>
-      if (text.toLowerCase().startsWith('/send')) {
-        const pathMatch = text.match(/\/send\s+(.+)/i);
-        if (!pathMatch) {
-          await sendWhatsAppReply('Usage: /send <filepath>\nExample: /send /Users/basim/Desktop/image.png');
-          return;
-        }
+    if (action === 'discard') {
+      outbox.discardFailed(targets[0].id);
+      await ctx.reply(`🗑️ Discarded: ${targets[0].summary}`);
+      return;
+    }
 
-        const filePath = pathMatch[1].trim();
+    await ctx.reply(`🔁 Retrying ${targets.length} ${targets.length === 1 ? 'delivery' : 'deliveries'}...`);
+    const results = [];
+    for (const entry of targets) {
+      results.push(await outbox.retryFailed(entry.id));
+    }
+    const delivered = results.filter(r => r.success).length;
+    const errors = [...new Set(results.filter(r => !r.success).map(r => r.error))];
+    await ctx.reply(`Delivered ${delivered}/${targets.length}${errors.length ? ` (${errors.join(', ')})` : ''}.`);
+  }
+});
 
-        if (!fs.existsSync(filePath)) {
-          await sendWhatsAppReply(`File not found: ${filePath}`);
-          return;
-        }
+registerCommand({
+  name: 'yes',
+  description: 'Go ahead with an action waiting for confirmation',
+  args: [{ name: 'code' }],
+  examples: ['/yes K7PM'],
+  handler: async (ctx, { code }) => {
+    // Notes to Self (the owner) can approve anything; other chats only what the AI asked them
+    const outcome = await confirmations.confirm(code, { chatId: ctx.chatId, owner: ctx.isSelfChat });
+    await ctx.reply(outcome.success ? outcome.result : `❌ ${outcome.error}`);
+  }
+});
 
-        await sendWhatsAppReply(`Sending file: ${path.basename(filePath)}...`);
+registerCommand({
+  name: 'no',
+  description: 'Cancel an action waiting for confirmation',
+  args: [{ name: 'code' }],
+  examples: ['/no K7PM'],
+  handler: async (ctx, { code }) => {
+    const outcome = confirmations.reject(code, { chatId: ctx.chatId, owner: ctx.isSelfChat });
+    await ctx.reply(outcome.success ? `🚫 Cancelled: ${outcome.question}` : `❌ ${outcome.error}`);
+  }
+});
 
-        try {
-          const sent = await sendWhatsAppMedia(filePath, path.basename(filePath));
-          if (sent) {
-            io.emit('message', {
-              id: 'file-' + Date.now(),
-              body: `File sent: ${path.basename(filePath)}`,
-              timestamp: Math.floor(Date.now() / 1000),
-              fromMe: false,
-              type: 'chat',
-              provider: 'file'
-            });
-          } else {
-            await sendWhatsAppReply('Failed to send file');
-          }
-        } catch (err) {
-          console.error('Send file error:', err);
-          await sendWhatsAppReply(`Failed to send file: ${err.message}`);
-        }
+registerCommand({
+  name: 'lang',
+  description: 'Show or set the language of your voice messages (auto detects it, reset uses the default)',
+  args: [{ name: 'language', optional: true }],
+  examples: ['/lang', '/lang en', '/lang auto', '/lang reset'],
+  handler: async (ctx, { language }) => {
+    const { language: fallback } = getTranscriptionSettings();
+    if (!language) {
+      const current = getChatPref(ctx.chatKey, 'language');
+      await ctx.reply(`🎙️ Voice messages here: ${current || `${fallback} (default)`}`);
+      return;
+    }
+    const code = language.toLowerCase();
+    if (code === 'reset') {
+      setChatPref(ctx.chatKey, 'language', null);
+      await ctx.reply(`🎙️ Voice messages here: ${fallback} (default)`);
+      return;
+    }
+    if (!/^([a-z]{2,3}|auto)$/.test(code)) {
+      throw new UsageError('language must be a code such as en, ar or fr, auto or reset');
+    }
+    setChatPref(ctx.chatKey, 'language', code);
+    await ctx.reply(code === 'auto' ? '🎙️ The language of voice messages here is now detected.' : `🎙️ Voice messages here are now transcribed as "${code}".`);
+  }
+});
+
+registerCommand({
+  name: 'voice',
+  description: 'Answer here with voice notes: on, off, auto (when sent one) or reset (the default)',
+  args: [{ name: 'mode', type: 'choice', choices: ['on', 'off', 'auto', 'reset'], optional: true }],
+  examples: ['/voice', '/voice on', '/voice auto'],
+  handler: async (ctx, { mode }) => {
+    if (mode) setChatPref(ctx.chatKey, 'voice', mode === 'reset' ? null : mode);
+    const current = getChatPref(ctx.chatKey, 'voice');
+    const descriptions = {
+      on: 'answers here are voice notes',
+      off: 'answers here are text',
+      auto: 'voice notes are answered with voice notes'
+    };
+    await ctx.reply(`🔊 ${descriptions[current || config.voiceReplies]}${current ? '' : ' (default)'}. Code, tables and long answers stay text.`);
+  }
+});
+
+registerCommand({
+  name: 'stt',
+  ownerOnly: true,
+  description: 'Show the speech to text engine and model, or change one (default goes back to the setting)',
+  args: [
+    { name: 'setting', type: 'choice', choices: ['engine', 'model'], optional: true },
+    { name: 'value', optional: true }
+  ],
+  examples: ['/stt', '/stt engine whisper-cpp', '/stt model small', '/stt model default'],
+  handler: async (ctx, { setting, value }) => {
+    if (setting && !value) throw new UsageError(`Missing ${setting}`);
+    const reset = value?.toLowerCase() === 'default';
+    if (setting === 'engine') {
+      if (!reset && !TRANSCRIBE_ENGINES[value]) {
+        throw new UsageError(`engine must be one of ${Object.keys(TRANSCRIBE_ENGINES).join(', ')}`);
+      }
+      setTranscriptionEngine(reset ? null : value);
+    } else if (setting === 'model') {
+      setTranscriptionModel(reset ? null : value);
+    }
+    const { engine, model, language, cached } = getTranscriptionSettings();
+    await ctx.reply(`🎙️ Speech to text: ${engine}, model ${model}, language ${language}\n${cached} transcript${cached === 1 ? '' : 's'} cached\nEngines: ${Object.keys(TRANSCRIBE_ENGINES).join(', ')}`);
+  }
+});
+
+registerCommand({
+  name: 'scheduled',
+  description: 'List messages scheduled for later, or cancel one',
+  args: [
+    { name: 'action', type: 'choice', choices: ['cancel'], optional: true },
+    { name: 'number', type: 'number', optional: true }
+  ],
+  examples: ['/scheduled', '/scheduled cancel 1'],
+  handler: async (ctx, { action, number }) => {
+    // Notes to Self sees every chat's, other chats only their own
+    const list = scheduler.listScheduled(ctx.isSelfChat ? null : ctx.chatId);
+    if (action === 'cancel') {
+      if (number === undefined) throw new UsageError('Missing number (see /scheduled)');
+      const entry = list[number - 1];
+      if (!entry) {
+        await ctx.reply(`No scheduled message ${number} (${list.length} in the list, see /scheduled).`);
         return;
       }
+      scheduler.cancelScheduled(entry.id);
+      await ctx.reply(`🗑️ Cancelled the message for ${new Date(entry.sendAt).toLocaleString()}.`);
+      return;
+    }
 
-      // Screenshot command: /screenshot <url>
-      if (text.toLowerCase().startsWith('/screenshot')) {
-        const urlMatch = text.match(/\/screenshot\s+(\S+)/i);
-        if (!urlMatch) {
-          await sendWhatsAppReply('Usage: /screenshot <url>\nExample: /screenshot https://google.com');
-          return;
-        }
+    if (list.length === 0) {
+      await ctx.reply('⏰ No scheduled messages.');
+      return;
+    }
+    const lines = list.map((entry, i) => {
+      const target = ctx.isSelfChat ? ` → ${chatLabel(entry.chatId)}` : '';
+      const preview = entry.text.length > 60 ? `${entry.text.slice(0, 60)}...` : entry.text;
+      return `${i + 1}. ${new Date(entry.sendAt).toLocaleString()}${target}\n   ${preview}`;
+    });
+    await ctx.reply(`⏰ Scheduled messages:\n\n${lines.join('\n')}\n\n/scheduled cancel <number> cancels one`);
+  }
+});
 
-        let url = urlMatch[1];
-        // Add https if no protocol
-        if (!url.startsWith('http://') && !url.startsWith('https://')) {
-          url = 'https://' + url;
+registerCommand({
+  name: 'send',
+  ownerOnly: true,
+  description: 'Send a file by path, or by its number in the last listing',
+  args: [{ name: 'path', rest: true }],
+  examples: ['/send /Users/basim/Desktop/image.png', '/send 3'],
+  handler: async (ctx, { path: requested }) => {
+    const sendFile = async (filePath) => {
+      const sent = await ctx.replyMedia(filePath, path.basename(filePath));
+      if (!sent) return false;
+      ctx.emitChatMessage({
+        id: 'file-' + Date.now(),
+        body: `File sent: ${path.basename(filePath)}`,
+        timestamp: Math.floor(Date.now() / 1000),
+        fromMe: false,
+        type: 'chat',
+        provider: 'file'
+      });
+      return true;
+    };
+
+    // Files outside the allowed folders are sent once the owner confirms
+    const filePath = await commandPath(ctx, requested, {
+      onOutside: (outsidePath) => askOwner(ctx, {
+        question: `Send ${outsidePath}`,
+        risk: 'send from outside the allowed folders',
+        run: async () => {
+          const confirmedPath = resolveSafePath(outsidePath, { allowOutside: true });
+          return (await sendFile(confirmedPath)) ? `✅ Sent ${path.basename(confirmedPath)}` : '❌ Failed to send file';
         }
+      })
+    });
+    if (!filePath) return;
 
-        await sendWhatsAppReply(`Taking screenshot of ${url}...`);
-        io.emit('ai-processing', { prompt: `Screenshot: ${url}`, provider: 'screenshot' });
+    await ctx.reply(`Sending file: ${path.basename(filePath)}...`);
+    if (!(await sendFile(filePath))) {
+      await ctx.reply('Failed to send file');
+    }
+  }
+});
 
-        try {
-          // Use puppeteer to take screenshot
-          const puppeteer = await import('puppeteer');
-          const browser = await puppeteer.default.launch({
-            headless: true,
-            args: ['--no-sandbox', '--disable-setuid-sandbox']
-          });
-          const page = await browser.newPage();
-          await page.setViewport({ width: 1280, height: 800 });
-          await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-
-          // Save screenshot
-          const screenshotPath = path.join(mediaDir, `screenshot-${Date.now()}.png`);
-          await page.screenshot({ path: screenshotPath, fullPage: false });
-          await browser.close();
-
-          console.log('Screenshot saved to:', screenshotPath);
-
-          // Send to WhatsApp
-          const sent = await sendWhatsAppMedia(screenshotPath, `Screenshot of ${url}`);
-          if (sent) {
-            io.emit('message', {
-              id: 'screenshot-' + Date.now(),
-              body: `Screenshot of ${url} sent!`,
-              timestamp: Math.floor(Date.now() / 1000),
-              fromMe: false,
-              type: 'chat',
-              provider: 'screenshot'
-            });
-          } else {
-            await sendWhatsAppReply('Failed to send screenshot');
-          }
-        } catch (err) {
-          console.error('Screenshot error:', err);
-          await sendWhatsAppReply(`Screenshot failed: ${err.message}`);
-        }
-        return;
+// Add https if no protocol
+function withProtocol(url) {
+  return url.startsWith('http://') || url.startsWith('https://') ? url : 'https://' + url;
+}
+
+registerCommand({
+  name: 'screenshot',
+  aliases: ['ss'],
+  ownerOnly: true,
+  description: 'Take a screenshot of a web page, or print it to PDF',
+  args: [{ name: 'url' }],
+  flags: [
+    { name: 'full', type: 'boolean', description: 'The whole page, not just the visible part' },
+    { name: 'mobile', type: 'boolean', description: 'As a phone shows it' },
+    { name: 'width', type: 'number', placeholder: 'px', description: `Window width (${MIN_CAPTURE_WIDTH}-${MAX_CAPTURE_WIDTH}, default 1280)` },
+    { name: 'selector', type: 'string', placeholder: 'css', description: 'Only the first element matching this CSS selector' },
+    { name: 'wait', type: 'number', placeholder: 'ms', description: `Wait this long after loading (up to ${MAX_CAPTURE_WAIT_MS})` },
+    { name: 'dark', type: 'boolean', description: 'Ask the page for its dark theme' },
+    { name: 'pdf', type: 'boolean', description: 'A PDF printout instead of a picture' }
+  ],
+  examples: [
+    '/screenshot https://google.com',
+    '/ss github.com --full --dark',
+    '/ss example.com --mobile --wait=2000',
+    '/ss news.ycombinator.com --selector="#hnmain" --width=1024',
+    '/ss en.wikipedia.org/wiki/WhatsApp --pdf'
+  ],
+  handler: async (ctx, { url, full, mobile, width, selector, wait, dark, pdf }) => {
+    if (width !== undefined && (width < MIN_CAPTURE_WIDTH || width > MAX_CAPTURE_WIDTH)) {
+      throw new UsageError(`--width must be between ${MIN_CAPTURE_WIDTH} and ${MAX_CAPTURE_WIDTH}`);
+    }
+    if (wait !== undefined && (wait < 0 || wait > MAX_CAPTURE_WAIT_MS)) {
+      throw new UsageError(`--wait must be between 0 and ${MAX_CAPTURE_WAIT_MS} milliseconds`);
+    }
+    if (selector && (full || pdf)) {
+      throw new UsageError('--selector cannot be combined with --full or --pdf');
+    }
+
+    url = withProtocol(url);
+
+    const options = [full && 'full page', mobile && 'mobile', width && `${width}px wide`, selector, wait && `after ${wait}ms`, dark && 'dark']
+      .filter(Boolean);
+    const what = pdf ? 'PDF' : 'screenshot';
+    await ctx.reply(`Taking ${what} of ${url}${options.length ? ` (${options.join(', ')})` : ''}...`);
+    io.emit('ai-processing', { prompt: `Screenshot: ${url}`, provider: 'screenshot' });
+
+    try {
+      const filePath = path.join(mediaDir, `screenshot-${Date.now()}.${pdf ? 'pdf' : 'png'}`);
+      const { title } = await capturePage(url, filePath, { full, mobile, width, selector, waitMs: wait, dark, pdf });
+
+      // Send to WhatsApp
+      const sent = await ctx.replyMedia(filePath, `${pdf ? '📄' : '📸'} ${title ? `${title}\n` : ''}${url}`);
+      if (sent) {
+        ctx.emitChatMessage({
+          id: 'screenshot-' + Date.now(),
+          body: `${pdf ? 'PDF' : 'Screenshot'} of ${url} sent!`,
+          timestamp: Math.floor(Date.now() / 1000),
+          fromMe: false,
+          type: 'chat',
+          provider: 'screenshot'
+        });
+      } else {
+        await ctx.reply(`Failed to send ${what}`);
       }
+    } catch (err) {
+      console.error('Screenshot error:', err);
+      await ctx.reply(`Screenshot failed: ${err.message}`);
+    }
+  }
+});
 
-      // Send to AI
-      console.log(`Processing message with ${currentAI}...`);
-      io.emit('ai-processing', { prompt: text, provider: currentAI });
+function describeWatch(watch) {
+  const how = watch.mode === 'text' ? 'text' : `pixels, ${watch.threshold}%`;
+  const where = [watch.selector, watch.full && 'full page', watch.mobile && 'mobile'].filter(Boolean);
+  const last = watch.lastCheckAt ? `last checked ${new Date(watch.lastCheckAt).toLocaleString()}` : 'not checked yet';
+  const changed = watch.lastChangeAt ? `, changed ${new Date(watch.lastChangeAt).toLocaleString()}` : '';
+  const error = watch.failures ? `\n   ⚠️ ${watch.lastError}` : '';
+  return `${watch.id} ${watch.url} every ${pageWatch.formatInterval(watch.intervalMs)} (${[how, ...where].join(', ')})\n   ${last}${changed}${error}`;
+}
+
+registerCommand({
+  name: 'watch',
+  ownerOnly: true,
+  description: 'Check a page on a schedule and send what changed (/watch list, /watch stop <id>)',
+  args: [
+    { name: 'url' },
+    { name: 'interval', rest: true, optional: true }
+  ],
+  flags: [
+    { name: 'text', type: 'boolean', description: 'Compare the page\'s text instead of its pixels' },
+    { name: 'threshold', type: 'number', placeholder: '%', description: `Share of the page that must change (default ${pageWatch.DEFAULT_THRESHOLD}%)` },
+    { name: 'selector', type: 'string', placeholder: 'css', description: 'Only watch the first element matching this CSS selector' },
+    { name: 'full', type: 'boolean', description: 'The whole page, not just the visible part' },
+    { name: 'mobile', type: 'boolean', description: 'As a phone shows it' }
+  ],
+  examples: [
+    '/watch example.com/pricing every 30m',
+    '/watch news.ycombinator.com every 2 hours --text',
+    '/watch shop.example.com/item/42 every 1h --selector=".price" --threshold=1',
+    '/watch list',
+    '/watch stop 3fa2c1'
+  ],
+  handler: async (ctx, { url, interval, text, threshold, selector, full, mobile }) => {
+    if (url.toLowerCase() === 'list' && !interval) {
+      const watches = pageWatch.listWatches();
+      await ctx.reply(watches.length
+        ? `👀 Watched pages (${watches.length}):\n\n${watches.map(describeWatch).join('\n\n')}`
+        : 'No pages are watched. Start with /watch <url> every <interval>.');
+      return;
+    }
+    if (url.toLowerCase() === 'stop') {
+      if (!interval) throw new UsageError('Missing the id to stop (see /watch list)');
+      await ctx.reply(pageWatch.stopWatch(interval.trim())
+        ? `🛑 Stopped watching ${interval.trim()}.`
+        : `No watch with id ${interval.trim()} (see /watch list).`);
+      return;
+    }
+
+    if (!interval) throw new UsageError('Missing the interval, e.g. every 30m');
+    const intervalMs = pageWatch.parseInterval(interval);
+    if (!intervalMs) throw new UsageError(`"${interval}" is not an interval, e.g. every 30m, every 2 hours or daily`);
+    if (intervalMs < pageWatch.MIN_INTERVAL_MS || intervalMs > pageWatch.MAX_INTERVAL_MS) {
+      throw new UsageError('The interval must be between 1 minute and 30 days');
+    }
+    if (threshold !== undefined && (threshold <= 0 || threshold > 100)) {
+      throw new UsageError('--threshold must be a percentage above 0 and up to 100');
+    }
+    if (selector && full) throw new UsageError('--selector cannot be combined with --full');
+    if (text && threshold !== undefined) throw new UsageError('--threshold is for pixel comparison, not --text');
+
+    const watch = pageWatch.addWatch({
+      chatId: ctx.chatId,
+      url: withProtocol(url),
+      intervalMs,
+      mode: text ? 'text' : 'pixels',
+      threshold: threshold ?? pageWatch.DEFAULT_THRESHOLD,
+      selector: selector || null,
+      full: Boolean(full),
+      mobile: Boolean(mobile)
+    });
+    await ctx.reply(`👀 Watching ${watch.url} every ${pageWatch.formatInterval(intervalMs)} (id ${watch.id}). ` +
+      `You get a message with the changes highlighted when ${text ? 'its text' : 'it'} changes; /watch stop ${watch.id} ends it.`);
+  }
+});
+
+client.on('message_create', async (message) => {
+  console.log('message_create event:', message.from, '->', message.to, ':', message.body?.substring(0, 30), 'hasMedia:', message.hasMedia);
+
+  // Check if it's a self-chat message (from me to @lid address = self-chat)
+  const isSelfChat = message.from === myNumber && message.to?.endsWith('@lid');
+
+  // Other chats: only incoming messages from allow-listed contacts and groups
+  const allowedChat = !isSelfChat && !message.fromMe ? chatAccess.getAllowedChat(message.from) : null;
+
+  if (isSelfChat || allowedChat) {
+    // Store the self-chat ID if we don't have it yet
+    if (isSelfChat && !selfChatId) {
+      selfChatId = message.to;
+      console.log('Discovered self-chat ID:', selfChatId);
+    }
 
-      // Start typing indicator while AI is thinking
-      await startTyping();
+    const chatId = isSelfChat ? message.to : message.from;
+    const chatKey = chatKeyFor(chatId);
+    const chatAI = providerFor(chatKey);
+    const chatLabel = isSelfChat ? null : allowedChat.name;
+    const reply = (text) => sendWhatsAppReply(text, chatId);
+    const replyMedia = (filePath, caption) => sendWhatsAppMedia(filePath, caption, chatId);
+    // The dashboard chat view shows Notes to Self only
+    const emitChatMessage = (msg) => {
+      if (isSelfChat) io.emit('message', msg);
+    };
+
+    // Groups can require the mention trigger (e.g. "@jinn"), which is stripped from the text
+    let body = message.body || '';
+    let senderPrefix = '';
+    if (allowedChat) {
+      const mentioned = chatAccess.extractMention(allowedChat, body);
+      if (mentioned === null) return;
+      body = mentioned;
+      // Tell the AI who is talking in a group
+      if (allowedChat.isGroup) {
+        senderPrefix = `${message._data?.notifyName || message.author || 'Someone'}: `;
+      }
+      console.log(`Message from allowed chat ${allowedChat.name}:`, body.substring(0, 50));
+    }
 
+    const msgData = {
+      id: message.id._serialized,
+      body: message.body,
+      timestamp: message.timestamp,
+      fromMe: message.fromMe,
+      type: message.type,
+      hasMedia: message.hasMedia
+    };
+
+    // Download media if present
+    if (message.hasMedia) {
       try {
-        const aiResponse = await sendToAI(text);
+        console.log('Downloading media...');
+        const media = await message.downloadMedia();
+        if (media) {
+          msgData.media = {
+            mimetype: media.mimetype,
+            data: media.data,
+            filename: media.filename
+          };
+          console.log('Media downloaded:', media.mimetype);
+        }
+      } catch (err) {
+        console.error('Failed to download media:', err.message);
+      }
+    }
 
-        // Stop typing before sending response
-        stopTyping();
+    console.log('Emitting message to frontend:', message.type);
+    emitChatMessage(msgData);
 
-        console.log(`${currentAI} response:`, aiResponse.substring(0, 100));
+    // If it's a text message, process it
+    if (body.trim() && !message.hasMedia) {
+      const text = body.trim();
 
-        // Check for [SEND_FILE:path] tag in response
-        const sendFileMatch = aiResponse.match(/\[SEND_FILE:([^\]]+)\]/);
+      // Slash commands; anything else goes to the AI
+      const handled = await runCommand(text, {
+        source: 'whatsapp', chatId, chatKey, chatAI, isSelfChat, reply, replyMedia, emitChatMessage
+      });
+      if (handled) return;
 
-        // Also check for legacy image path patterns
-        const imagePathMatch = aiResponse.match(/(?:saved|screenshot|image|file).*?[:\s]+(\/[\/\w\-\.\s]+\.(?:png|jpg|jpeg|gif|webp))/i) ||
-                              aiResponse.match(/(\/Users\/[\/\w\-\.\s]+\.(?:png|jpg|jpeg|gif|webp|pdf|csv|txt|doc|docx))/i);
+      if (!chatAI) {
+        await reply(NO_SHARED_PROVIDER);
+        return;
+      }
 
-        let fileSent = false;
-        let cleanResponse = aiResponse;
+      // Send to AI
+      const answer = async () => {
+        console.log(`Processing message with ${chatAI}...`);
+        io.emit('ai-processing', { prompt: text, provider: chatAI, chat: chatLabel });
 
-        if (sendFileMatch && sendFileMatch[1]) {
-          let filePath = sendFileMatch[1].trim();
-          console.log('Found SEND_FILE tag with path:', filePath);
+        // Start typing indicator while AI is thinking
+        await startTyping(chatId);
 
-          // Remove the tag from the response text (also remove surrounding newlines/spaces)
-          cleanResponse = aiResponse.replace(/\s*\[SEND_FILE:[^\]]+\]\s*/g, ' ').trim();
-          console.log('Clean response (tag removed):', cleanResponse.substring(0, 100));
+        try {
+          const voice = voiceReplyFor(chatKey);
+          const { response: aiResponse, streamed } = await streamFromAI(senderPrefix + text, { chatId, stream: !voice });
 
-          // Handle macOS screenshot filenames with narrow no-break space (U+202F)
-          // macOS uses narrow no-break space before AM/PM, but Claude outputs regular space
-          if (!fs.existsSync(filePath)) {
-            // Try replacing regular space with narrow no-break space before AM/PM
-            const fixedPath = filePath.replace(/ (AM|PM)\./g, '\u202f$1.');
-            if (fs.existsSync(fixedPath)) {
-              console.log('Fixed path with narrow no-break space:', fixedPath);
-              filePath = fixedPath;
-            }
-          }
+          // Stop typing before sending response
+          stopTyping(chatId);
 
-          if (fs.existsSync(filePath)) {
-            console.log('Sending file to WhatsApp:', filePath);
-            const sent = await sendWhatsAppMedia(filePath, cleanResponse.substring(0, 200));
-            if (sent) {
-              console.log('File sent successfully');
-              fileSent = true;
-            }
-          } else {
-            console.log('File not found:', filePath);
-            cleanResponse = `File not found: ${filePath}\n\n${cleanResponse}`;
-          }
-        } else if (imagePathMatch && imagePathMatch[1]) {
-          const imagePath = imagePathMatch[1].trim();
-          console.log('Found image path in response:', imagePath);
-
-          if (fs.existsSync(imagePath)) {
-            console.log('Sending image to WhatsApp:', imagePath);
-            const sent = await sendWhatsAppMedia(imagePath, aiResponse.substring(0, 200));
-            if (sent) {
-              console.log('Image sent successfully');
-              fileSent = true;
-            }
-          }
-        }
+          console.log(`${chatAI} response:`, aiResponse.substring(0, 100));
 
-        // Send text response (always, unless file was sent with caption)
-        if (!fileSent) {
-          await sendWhatsAppReply(cleanResponse || aiResponse);
-        }
+          await deliverAIAnswer(aiResponse, { streamed, chatId, isSelfChat, message, reply, replyMedia, voice });
 
-        // Emit AI response as a message to frontend (so it shows in chat)
-        io.emit('message', {
-          id: `${currentAI}-` + Date.now(),
-          body: aiResponse,
-          timestamp: Math.floor(Date.now() / 1000),
-          fromMe: false,  // Show as received (from AI)
-          type: 'chat',
-          provider: currentAI
-        });
+          // Emit AI response as a message to frontend (so it shows in chat)
+          emitChatMessage({
+            id: `${chatAI}-` + Date.now(),
+            body: aiResponse,
+            timestamp: Math.floor(Date.now() / 1000),
+            fromMe: false,  // Show as received (from AI)
+            type: 'chat',
+            provider: chatAI
+          });
 
-        // Also emit to terminal
-        io.emit('ai-response', { response: aiResponse, provider: currentAI });
-      } catch (err) {
-        stopTyping(); // Stop typing on error
-        console.error(`${currentAI} error:`, err);
-        const errorMsg = 'Error: ' + err.message;
-        await sendWhatsAppReply(errorMsg);
-        io.emit('message', {
-          id: `${currentAI}-error-` + Date.now(),
-          body: errorMsg,
-          timestamp: Math.floor(Date.now() / 1000),
-          fromMe: false,
-          type: 'chat',
-          provider: currentAI
+          // Also emit to terminal
+          io.emit('ai-response', { response: aiResponse, provider: chatAI, chat: chatLabel });
+        } catch (err) {
+          stopTyping(chatId); // Stop typing on error
+          if (err instanceof ProcessError && err.reason === 'cancelled') return; // /stop already said so
+          console.error(`${chatAI} error:`, err);
+          const errorMsg = 'Error: ' + err.message;
+          await reply(errorMsg);
+          emitChatMessage({
+            id: `${chatAI}-error-` + Date.now(),
+            body: errorMsg,
+            timestamp: Math.floor(Date.now() / 1000),
+            fromMe: false,
+            type: 'chat',
+            provider: chatAI
+          });
+        }
+      };
+
+      // Prompts asking an acting provider to delete files or run commands wait for the owner
+      const risk = promptRisk(text, getProvider(chatAI)?.type);
+      if (risk) {
+        await askOwner({ chatId, isSelfChat, reply }, {
+          question: `Let ${chatAI} ${risk}: "${text.length > 80 ? `${text.slice(0, 80)}...` : text}"`,
+          risk,
+          run: async () => {
+            answer();
+            return `▶️ Sent to ${chatAI}.`;
+          }
         });
+        return;
       }
+      await answer();
     }
 
     // Handle media messages
     if (message.hasMedia && msgData.media) {
+      if (!chatAI) {
+        await reply(NO_SHARED_PROVIDER);
+        return;
+      }
       try {
         // Save media to file
         const filePath = saveMediaFile(msgData.media, message.id._serialized.replace(/[^a-zA-Z0-9]/g, '_'));
         const mediaType = getMediaTypeDescription(msgData.media.mimetype);
-        const caption = message.body || '';
+        const caption = body;
         const isVoiceMessage = msgData.media.mimetype.startsWith('audio/');
 
-        console.log(`Processing ${mediaType} with ${currentAI}...`);
+        console.log(`Processing ${mediaType} with ${chatAI}...`);
 
         // Start typing while processing media
-        await startTyping();
+        await startTyping(chatId);
 
         let prompt;
+        let spokenLanguage = null;
 
         // Handle voice messages - transcribe first
         if (isVoiceMessage) {
-          console.log('Voice message detected, transcribing with Whisper...');
-          io.emit('ai-processing', { prompt: '[Voice] Transcribing...', provider: currentAI });
+          io.emit('ai-processing', { prompt: '[Voice] Transcribing...', provider: chatAI, chat: chatLabel });
 
+          let transcript;
           try {
-            // Transcribe using Whisper
-            const transcription = await new Promise((resolve, reject) => {
-              exec(`whisper "${filePath}" --model base --output_format txt --output_dir "${mediaDir}" --language ar`,
-                { timeout: 120000 },
-                (error, stdout, stderr) => {
-                  if (error) {
-                    console.error('Whisper error:', stderr);
-                    reject(new Error('Failed to transcribe audio'));
-                    return;
-                  }
-                  // Read the transcription file
-                  const txtPath = filePath.replace(/\.[^.]+$/, '.txt');
-                  if (fs.existsSync(txtPath)) {
-                    const text = fs.readFileSync(txtPath, 'utf8').trim();
-                    resolve(text);
-                  } else {
-                    reject(new Error('Transcription file not found'));
-                  }
-                });
-            });
+            transcript = await transcribe(filePath, { language: getChatPref(chatKey, 'language') });
+          } catch (transcribeErr) {
+            if (transcribeErr instanceof ProcessError && transcribeErr.reason === 'cancelled') throw transcribeErr;
+            console.error('Transcription failed:', transcribeErr.message);
+            // A caption can still be answered; without one there is nothing to go on
+            if (!caption) {
+              stopTyping(chatId);
+              await reply(`🎙️ Could not transcribe the voice message (${transcribeErr.message}). Please send it as text.`);
+              return;
+            }
+            await reply(`🎙️ Could not transcribe the voice message (${transcribeErr.message}), answering the caption only.`);
+          }
 
-            console.log('Transcription:', transcription);
-            io.emit('ai-processing', { prompt: `[Voice] "${transcription}"`, provider: currentAI });
+          if (transcript) {
+            const { text: transcription, language } = transcript;
+            spokenLanguage = language;
+            console.log(`Transcription (${language || 'unknown language'}${transcript.cached ? ', cached' : ''}):`, transcription);
+            io.emit('ai-processing', { prompt: `[Voice] "${transcription}"`, provider: chatAI, chat: chatLabel });
 
-            // Send transcribed text to AI for processing
-            prompt = `The user sent a voice message. Here is the transcription:\n\n"${transcription}"\n\nPlease respond to their request or question.`;
+            // Echo the transcript as a reply to the voice note, so mistakes are easy to spot
+            await sendWhatsAppReply(`🎙️ _${transcription}_`, chatId, { quoteId: message.id._serialized });
+
+            const spoken = language ? ` (spoken in "${language}"; answer in the same language)` : '';
+            prompt = `The user sent a voice message${spoken}. Here is the transcription:\n\n"${transcription}"\n\nPlease respond to their request or question.`;
             if (caption) {
-              prompt = `The user sent a voice message with caption "${caption}". Here is the transcription:\n\n"${transcription}"\n\nPlease respond to their request.`;
+              prompt = `The user sent a voice message${spoken} with caption "${caption}". Here is the transcription:\n\n"${transcription}"\n\nPlease respond to their request.`;
             }
-          } catch (transcribeErr) {
-            console.error('Transcription failed:', transcribeErr);
-            stopTyping();
-            await sendWhatsAppReply('Sorry, I could not transcribe the voice message. Please try again or send text.');
-            return;
+          } else {
+            prompt = `The user sent a voice message that could not be transcribed, with the caption: "${caption}"\n\nPlease respond to the caption.`;
           }
         } else {
           // Build prompt for other media (images, videos, etc.)
@@ -806,33 +1931,61 @@ client.on('message_create', async (message) => {
           } else {
             prompt = `The user sent a ${mediaType}.\n\nThe file is saved at: ${filePath}\n\nPlease analyze this file and describe what you see/find.`;
           }
-          io.emit('ai-processing', { prompt: `[${mediaType}] ${caption || 'Analyzing...'}`, provider: currentAI });
+          io.emit('ai-processing', { prompt: `[${mediaType}] ${caption || 'Analyzing...'}`, provider: chatAI, chat: chatLabel });
         }
 
-        const aiResponse = await sendToAI(prompt);
+        // Providers with image input get the picture itself, not just its path
+        const images = msgData.media.mimetype.startsWith('image/') ? [msgData.media] : [];
+        const answer = async () => {
+          const voice = voiceReplyFor(chatKey, { voiceMessage: isVoiceMessage, language: spokenLanguage });
+          const { response: aiResponse, streamed } = await streamFromAI(prompt, { images, chatId, stream: !voice });
 
-        // Stop typing before sending response
-        stopTyping();
+          // Stop typing before sending response
+          stopTyping(chatId);
 
-        console.log(`${currentAI} media response:`, aiResponse.substring(0, 100));
+          console.log(`${chatAI} media response:`, aiResponse.substring(0, 100));
 
-        await sendWhatsAppReply(aiResponse);
+          await deliverAIAnswer(aiResponse, { streamed, chatId, isSelfChat, message, reply, replyMedia, voice });
 
-        io.emit('message', {
-          id: `${currentAI}-media-` + Date.now(),
-          body: aiResponse,
-          timestamp: Math.floor(Date.now() / 1000),
-          fromMe: false,
-          type: 'chat',
-          provider: currentAI
-        });
+          emitChatMessage({
+            id: `${chatAI}-media-` + Date.now(),
+            body: aiResponse,
+            timestamp: Math.floor(Date.now() / 1000),
+            fromMe: false,
+            type: 'chat',
+            provider: chatAI
+          });
+
+          io.emit('ai-response', { response: aiResponse, provider: chatAI, chat: chatLabel });
+        };
 
-        io.emit('ai-response', { response: aiResponse, provider: currentAI });
+        // Prompts asking an acting provider to delete files or run commands wait for the owner
+        const risk = promptRisk(prompt, getProvider(chatAI)?.type);
+        if (risk) {
+          stopTyping(chatId);
+          await askOwner({ chatId, isSelfChat, reply }, {
+            question: `Let ${chatAI} ${risk} for a ${mediaType}${caption ? `: "${caption.slice(0, 80)}"` : ''}`,
+            risk,
+            run: async () => {
+              startTyping(chatId);
+              answer().catch(async (err) => {
+                stopTyping(chatId);
+                if (err instanceof ProcessError && err.reason === 'cancelled') return;
+                console.error(`${chatAI} media error:`, err);
+                await reply('Error analyzing media: ' + err.message);
+              });
+              return `▶️ Sent to ${chatAI}.`;
+            }
+          });
+          return;
+        }
+        await answer();
       } catch (err) {
-        stopTyping(); // Stop typing on error
-        console.error(`${currentAI} media error:`, err);
+        stopTyping(chatId); // Stop typing on error
+        if (err instanceof ProcessError && err.reason === 'cancelled') return; // /stop already said so
+        console.error(`${chatAI} media error:`, err);
         const errorMsg = 'Error analyzing media: ' + err.message;
-        await sendWhatsAppReply(errorMsg);
+        await reply(errorMsg);
       }
     }
   }
@@ -847,13 +2000,53 @@ client.on('message_revoke_everyone', (message) => {
 });
 
 // Socket.io connection handling
+// Viewers may only use these read-only events; everything else needs the admin role
+const VIEWER_EVENTS = new Set([
+  'get-messages',
+  'get-providers',
+  'get-chats',
+  'get-commands',
+  'get-queues',
+  'get-failed',
+  'get-confirmations',
+  'get-settings',
+  'get-mcps',
+  'get-mcp-permissions'
+]);
+
+// Reject dashboard clients without a valid session token or password
+io.use((socket, next) => {
+  const { role, token, error } = authenticate(socket.handshake.auth, clientAddress(socket.handshake));
+  if (error) {
+    next(new Error(error));
+    return;
+  }
+  socket.data.role = role;
+  socket.data.token = token;
+  next();
+});
+
 io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
+  console.log('Client connected:', socket.id, `(${socket.data.role})`);
+
+  // Per-event authorization
+  socket.use(([event], next) => {
+    if (socket.data.role === 'admin' || VIEWER_EVENTS.has(event)) {
+      next();
+      return;
+    }
+    console.log(`Refused ${event} from viewer ${socket.id}`);
+    socket.emit('forbidden', { event, message: `Read-only access: ${event} needs an admin login` });
+  });
+
+  // Session token the dashboard keeps for reconnecting
+  socket.emit('auth-session', { role: socket.data.role, token: socket.data.token });
 
   // Send current status
   if (isReady) {
     socket.emit('ready', { myNumber });
   }
+  emitSessionInfo(socket);
 
   // Get messages for self-chat
   socket.on('get-messages', async () => {
@@ -911,135 +2104,282 @@ io.on('connection', (socket) => {
       socket.emit('error', 'WhatsApp not connected');
       return;
     }
-    try {
-      const chatId = selfChatId || myNumber;
-      console.log('Sending message to chat:', chatId);
-      const chat = await client.getChatById(chatId);
-      const sentMessage = await chat.sendMessage(message);
-      socket.emit('message-sent', {
-        id: sentMessage.id._serialized,
-        body: sentMessage.body,
-        timestamp: sentMessage.timestamp,
-        fromMe: true
-      });
-    } catch (error) {
-      console.error('Error sending message:', error);
+    const chatId = selfChatId || myNumber;
+    console.log('Sending message to chat:', chatId);
+    const sentMessage = await sendWhatsAppReply(message, chatId);
+    if (!sentMessage) {
       socket.emit('error', 'Failed to send message');
+      return;
     }
+    socket.emit('message-sent', {
+      id: sentMessage.id._serialized,
+      body: sentMessage.body,
+      timestamp: sentMessage.timestamp,
+      fromMe: true
+    });
   });
 
-  // Send message to AI (uses current provider)
-  socket.on('claude-message', (message) => {
-    console.log(`Sending to ${currentAI}:`, message);
+  // List AI providers for the terminal switcher
+  socket.on('get-providers', () => {
+    socket.emit('providers-list', { providers: listProviders(), current: currentAI });
+  });
 
+  // Switch AI provider from the terminal
+  socket.on('switch-ai', ({ provider } = {}) => {
+    if (!switchAI(provider)) {
+      socket.emit('claude-error', `Unknown AI provider: ${provider}`);
+    }
+  });
+
+  // List WhatsApp chats with their allow-list settings (allowed chats first)
+  socket.on('get-chats', async () => {
+    if (!isReady) {
+      socket.emit('chats-list', { error: 'WhatsApp not connected' });
+      return;
+    }
     try {
-      if (currentAI === 'claude') {
-        // Use exec for Claude - redirect stdin from /dev/null
-        const escapedMsg = message.replace(/"/g, '\\"').replace(/`/g, '\\`').replace(/\$/g, '\\$');
-        const cmd = `/home/basim/.npm-global/bin/claude --dangerously-skip-permissions -p "${escapedMsg}" < /dev/null`;
-
-        exec(cmd, { cwd: process.env.HOME, env: process.env, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
-          console.log('Claude terminal exec finished, stdout:', stdout?.length);
-          if (stdout) {
-            socket.emit('claude-stream', { text: stdout, done: false });
-          }
-          if (stderr) {
-            socket.emit('claude-stream', { text: stderr, done: false });
-          }
-          socket.emit('claude-stream', { text: '', done: true });
-        });
-      } else {
-        // Use spawn for Qwen (streaming)
-        const ai = spawn('/opt/homebrew/bin/qwen', ['--auth-type', 'qwen-oauth', message], {
-          cwd: process.env.HOME,
-          env: process.env
-        });
+      const chats = await client.getChats();
+      const chatList = chats
+        .filter(chat => chat.id._serialized !== selfChatId && chat.id.user !== myNumber?.split('@')[0])
+        .map(chat => {
+          const allowed = chatAccess.getAllowedChat(chat.id._serialized);
+          return {
+            id: chat.id._serialized,
+            name: chat.name || chat.id.user,
+            isGroup: chat.isGroup,
+            timestamp: chat.timestamp,
+            lastMessage: chat.lastMessage?.body,
+            unreadCount: chat.unreadCount,
+            allowed: !!allowed,
+            requireMention: allowed ? allowed.requireMention : chat.isGroup,
+            provider: allowed?.provider || null
+          };
+        })
+        .sort((a, b) => (b.allowed - a.allowed) || ((b.timestamp || 0) - (a.timestamp || 0)))
+        .slice(0, 200);
 
-        console.log(`${currentAI} terminal process spawned, PID:`, ai.pid);
+      socket.emit('chats-list', { chats: chatList, mentionTrigger: chatAccess.getMentionTrigger() });
+    } catch (error) {
+      console.error('Error getting chats:', error);
+      socket.emit('chats-list', { error: 'Failed to get chats' });
+    }
+  });
 
-        let outputBuffer = '';
+  // Add, update or remove a chat on the allow-list
+  socket.on('update-chat-access', ({ chatId, name, isGroup, allowed, requireMention, provider } = {}) => {
+    if (!chatId) {
+      socket.emit('chat-access-updated', { success: false, error: 'Chat ID is required' });
+      return;
+    }
+    if (provider && !getProvider(provider)) {
+      socket.emit('chat-access-updated', { success: false, error: `Unknown AI provider: ${provider}` });
+      return;
+    }
+    if (provider && canActOnMachine(getProvider(provider).type)) {
+      socket.emit('chat-access-updated', { success: false, error: `${provider} can run commands on the host and is only available in Notes to Self` });
+      return;
+    }
 
-        ai.stdout.on('data', (data) => {
-          const text = data.toString();
-          outputBuffer += text;
-          socket.emit('claude-stream', { text, done: false });
-        });
+    if (allowed) {
+      chatAccess.allowChat(chatId, { name, isGroup, requireMention, provider: provider || null });
+      console.log('Chat allowed:', chatId, name);
+    } else {
+      chatAccess.revokeChat(chatId);
+      console.log('Chat removed from allow-list:', chatId);
+    }
+    socket.emit('chat-access-updated', { success: true, chatId });
+  });
 
-        ai.stderr.on('data', (data) => {
-          const text = data.toString();
-          socket.emit('claude-stream', { text: text, done: false });
-        });
+  // Change the mention trigger used in groups
+  socket.on('update-mention-trigger', ({ trigger } = {}) => {
+    if (!trigger || !trigger.trim()) {
+      socket.emit('chat-access-updated', { success: false, error: 'Trigger is required' });
+      return;
+    }
+    chatAccess.setMentionTrigger(trigger);
+    socket.emit('chat-access-updated', { success: true });
+  });
 
-        ai.on('close', (code) => {
-          console.log(`${currentAI} finished with code:`, code);
-          socket.emit('claude-stream', { text: '', done: true });
-        });
+  // File queues for the dashboard; changes arrive as queue-progress events
+  socket.on('get-queues', () => {
+    socket.emit('queues-list', { queues: fileQueue.listFileQueues() });
+  });
 
-        ai.on('error', (err) => {
-          socket.emit('claude-error', err.message);
-        });
+  socket.on('queue-action', ({ name, action } = {}) => {
+    const actions = {
+      pause: fileQueue.pauseFileQueue,
+      resume: fileQueue.resumeFileQueue,
+      stop: fileQueue.stopFileQueue,
+      reset: fileQueue.resetFileQueue
+    };
+    const success = actions[action] ? actions[action](name) : false;
+    if (!success) {
+      socket.emit('queues-list', { queues: fileQueue.listFileQueues(), error: `Could not ${action} queue "${name}"` });
+    }
+  });
+
+  // Dead letters from the outbox; every client gets failed-updated when the list changes
+  socket.on('get-failed', () => {
+    socket.emit('failed-list', { failed: outbox.listFailed() });
+  });
+
+  socket.on('retry-failed', async ({ id } = {}) => {
+    const result = await outbox.retryFailed(id);
+    if (!result.success) {
+      socket.emit('failed-list', { failed: outbox.listFailed(), error: `Retry failed: ${result.error}` });
+    }
+  });
+
+  socket.on('discard-failed', ({ id } = {}) => {
+    outbox.discardFailed(id);
+  });
+
+  // Read-only: settings change in .env, the environment or config.json and need a restart
+  socket.on('get-settings', () => {
+    socket.emit('settings', { settings: describeConfig() });
+  });
+
+  socket.on('get-confirmations', () => {
+    socket.emit('confirmations-list', { pending: confirmations.listPending() });
+  });
+
+  // The dashboard answers as the owner; the outcome goes to the chat that asked
+  socket.on('confirmation-decision', async ({ code, approve } = {}) => {
+    const outcome = approve
+      ? await confirmations.confirm(code, { owner: true })
+      : confirmations.reject(code, { owner: true });
+    if (!outcome.success) {
+      socket.emit('confirmations-list', { pending: confirmations.listPending(), error: outcome.error });
+      return;
+    }
+    await sendWhatsAppReply(approve ? outcome.result : `🚫 Cancelled: ${outcome.question}`, outcome.chatId);
+  });
+
+  // Slash commands from the terminal, run as if sent in Notes to Self
+  socket.on('get-commands', () => {
+    socket.emit('commands-list', {
+      commands: listCommands().map(cmd => ({
+        name: cmd.name,
+        aliases: cmd.aliases,
+        usage: formatUsage(cmd),
+        description: cmd.description
+      }))
+    });
+  });
+
+  socket.on('run-command', async ({ text } = {}) => {
+    console.log('Terminal command:', text);
+    const handled = await runCommand(text || '', {
+      source: 'terminal',
+      chatId: selfChatId,
+      chatKey: sessions.SELF_CHAT,
+      chatAI: currentAI,
+      isSelfChat: true,
+      reply: async (reply) => {
+        socket.emit('command-output', { text: reply });
+        return null;
+      },
+      replyMedia: (filePath, caption) => sendWhatsAppMedia(filePath, caption),
+      emitChatMessage: (msg) => io.emit('message', msg)
+    });
+    if (!handled) {
+      socket.emit('command-output', { text: `Not a command: ${text}`, error: true });
+    }
+  });
+
+  // Send message to AI (uses current provider)
+  socket.on('claude-message', async (message) => {
+    const provider = getProvider(currentAI);
+    console.log(`Sending to ${currentAI}:`, message);
+
+    if (!provider) {
+      socket.emit('claude-error', `Unknown AI provider: ${currentAI}`);
+      return;
+    }
+
+    const controller = new AbortController();
+    const runs = terminalRuns.get(socket.id) || new Set();
+    terminalRuns.set(socket.id, runs.add(controller));
+
+    try {
+      let streamed = false;
+      const response = await provider.send({ prompt: message, history: [] }, {
+        onChunk: (text) => {
+          streamed = true;
+          socket.emit('claude-stream', { text, done: false });
+        },
+        signal: controller.signal,
+        onUsage: (usage) => recordUsage(provider.name, usage)
+      });
+      if (!streamed) {
+        socket.emit('claude-stream', { text: response, done: false });
       }
+      socket.emit('claude-stream', { text: '', done: true });
     } catch (err) {
       console.error(`Failed to run ${currentAI}:`, err);
       socket.emit('claude-error', err.message);
+    } finally {
+      runs.delete(controller);
+      if (runs.size === 0) terminalRuns.delete(socket.id);
     }
   });
 
   // MCP Management handlers
-  socket.on('get-mcps', () => {
+  socket.on('get-mcps', async () => {
     console.log('Getting MCP list...');
-    exec('/home/basim/.npm-global/bin/claude mcp list', { cwd: __dirname, env: process.env }, (error, stdout, stderr) => {
-      if (error) {
-        console.error('Failed to get MCP list:', error);
-        socket.emit('mcps-list', { error: error.message, mcps: [] });
-        return;
-      }
-
-      // Parse the output - each line is an MCP entry
-      // Format: "name: command - status" (e.g., "notion: npx -y @notionhq/notion-mcp-server - ✓ Connected")
-      const lines = stdout.trim().split('\n').filter(line => line.trim());
-      const mcps = [];
+    let stdout;
+    try {
+      ({ stdout } = await runClaudeMcp(['list']));
+    } catch (err) {
+      console.error('Failed to get MCP list:', err.message);
+      socket.emit('mcps-list', { error: err.message, mcps: [] });
+      return;
+    }
 
-      for (const line of lines) {
-        // Skip status lines and empty lines
-        if (line.startsWith('Checking') || line.startsWith('No MCP') || !line.includes(':')) {
-          continue;
-        }
+    // Parse the output - each line is an MCP entry
+    // Format: "name: command - status" (e.g., "notion: npx -y @notionhq/notion-mcp-server - ✓ Connected")
+    const lines = stdout.trim().split('\n').filter(line => line.trim());
+    const mcps = [];
 
-        // Format: "name: command - status"
-        const match = line.match(/^([^:]+):\s*(.+?)\s*-\s*(✓|✗)\s*(.+)$/);
-        if (match) {
-          const name = match[1].trim();
-          const command = match[2].trim();
-          const isConnected = match[3] === '✓';
-          const statusText = match[4].trim();
+    for (const line of lines) {
+      // Skip status lines and empty lines
+      if (line.startsWith('Checking') || line.startsWith('No MCP') || !line.includes(':')) {
+        continue;
+      }
 
+      // Format: "name: command - status"
+      const match = line.match(/^([^:]+):\s*(.+?)\s*-\s*(✓|✗)\s*(.+)$/);
+      if (match) {
+        const name = match[1].trim();
+        const command = match[2].trim();
+        const isConnected = match[3] === '✓';
+        const statusText = match[4].trim();
+
+        mcps.push({
+          name,
+          command,
+          status: isConnected ? 'connected' : 'error',
+          statusText
+        });
+      } else {
+        // Fallback: try simple "name: command" format
+        const simpleMatch = line.match(/^([^:]+):\s*(.+)$/);
+        if (simpleMatch) {
           mcps.push({
-            name,
-            command,
-            status: isConnected ? 'connected' : 'error',
-            statusText
+            name: simpleMatch[1].trim(),
+            command: simpleMatch[2].trim(),
+            status: 'configured'
           });
-        } else {
-          // Fallback: try simple "name: command" format
-          const simpleMatch = line.match(/^([^:]+):\s*(.+)$/);
-          if (simpleMatch) {
-            mcps.push({
-              name: simpleMatch[1].trim(),
-              command: simpleMatch[2].trim(),
-              status: 'configured'
-            });
-          }
         }
       }
+    }
 
-      console.log('Found MCPs:', mcps);
-      socket.emit('mcps-list', { mcps });
-    });
+    console.log('Found MCPs:', mcps);
+    socket.emit('mcps-list', { mcps });
   });
 
   // Get MCP details including tools
-  socket.on('get-mcp-details', ({ name }) => {
+  socket.on('get-mcp-details', async ({ name } = {}) => {
     console.log('Getting MCP details for:', name);
 
     if (!name) {
@@ -1047,191 +2387,172 @@ io.on('connection', (socket) => {
       return;
     }
 
-    const escapedName = name.replace(/"/g, '\\"');
-
     // Get basic details from claude mcp get
-    exec(`/home/basim/.npm-global/bin/claude mcp get "${escapedName}"`, { cwd: __dirname, env: process.env }, (error, stdout, stderr) => {
-      if (error) {
-        console.error('Failed to get MCP details:', error);
-        socket.emit('mcp-details', { name, error: error.message });
-        return;
-      }
-
-      // Parse the output
-      const details = { name, raw: stdout };
-
-      // Parse scope
-      const scopeMatch = stdout.match(/Scope:\s*(.+)/);
-      if (scopeMatch) details.scope = scopeMatch[1].trim();
+    let stdout;
+    try {
+      ({ stdout } = await runClaudeMcp(['get', name]));
+    } catch (err) {
+      console.error('Failed to get MCP details:', err.message);
+      socket.emit('mcp-details', { name, error: err.message });
+      return;
+    }
 
-      // Parse status
-      const statusMatch = stdout.match(/Status:\s*(✓|✗)\s*(.+)/);
-      if (statusMatch) {
-        details.connected = statusMatch[1] === '✓';
-        details.statusText = statusMatch[2].trim();
-      }
+    // Parse the output
+    const details = { name, raw: stdout };
 
-      // Parse type
-      const typeMatch = stdout.match(/Type:\s*(.+)/);
-      if (typeMatch) details.type = typeMatch[1].trim();
+    // Parse scope
+    const scopeMatch = stdout.match(/Scope:\s*(.+)/);
+    if (scopeMatch) details.scope = scopeMatch[1].trim();
 
-      // Parse command
-      const commandMatch = stdout.match(/Command:\s*(.+)/);
-      if (commandMatch) details.command = commandMatch[1].trim();
+    // Parse status
+    const statusMatch = stdout.match(/Status:\s*(✓|✗)\s*(.+)/);
+    if (statusMatch) {
+      details.connected = statusMatch[1] === '✓';
+      details.statusText = statusMatch[2].trim();
+    }
 
-      // Parse args
-      const argsMatch = stdout.match(/Args:\s*(.+)/);
-      if (argsMatch) details.args = argsMatch[1].trim();
-
-      // Parse environment variables
-      const envSection = stdout.match(/Environment:\s*([\s\S]*?)(?:\n\nTo remove|$)/);
-      if (envSection) {
-        const envText = envSection[1].trim();
-        const envVars = {};
-        if (envText) {
-          // Parse each line as KEY=VALUE or KEY: VALUE
-          envText.split('\n').forEach(line => {
-            const trimmed = line.trim();
-            if (trimmed) {
-              const eqMatch = trimmed.match(/^(\w+)[=:]\s*(.*)$/);
-              if (eqMatch) {
-                envVars[eqMatch[1]] = eqMatch[2];
-              }
+    // Parse type
+    const typeMatch = stdout.match(/Type:\s*(.+)/);
+    if (typeMatch) details.type = typeMatch[1].trim();
+
+    // Parse command
+    const commandMatch = stdout.match(/Command:\s*(.+)/);
+    if (commandMatch) details.command = commandMatch[1].trim();
+
+    // Parse args
+    const argsMatch = stdout.match(/Args:\s*(.+)/);
+    if (argsMatch) details.args = argsMatch[1].trim();
+
+    // Parse environment variables
+    const envSection = stdout.match(/Environment:\s*([\s\S]*?)(?:\n\nTo remove|$)/);
+    if (envSection) {
+      const envText = envSection[1].trim();
+      const envVars = {};
+      if (envText) {
+        // Parse each line as KEY=VALUE or KEY: VALUE
+        envText.split('\n').forEach(line => {
+          const trimmed = line.trim();
+          if (trimmed) {
+            const eqMatch = trimmed.match(/^(\w+)[=:]\s*(.*)$/);
+            if (eqMatch) {
+              envVars[eqMatch[1]] = eqMatch[2];
             }
-          });
-        }
-        details.env = envVars;
-      } else {
-        details.env = {};
+          }
+        });
       }
+      details.env = envVars;
+    } else {
+      details.env = {};
+    }
 
-      // Load tools from config file if available
-      const toolsConfigPath = path.join(process.cwd(), 'mcp-tools.json');
-      try {
-        if (fs.existsSync(toolsConfigPath)) {
-          const toolsConfig = JSON.parse(fs.readFileSync(toolsConfigPath, 'utf8'));
-          if (toolsConfig[name]) {
-            details.tools = toolsConfig[name];
-          }
+    // Load tools from config file if available
+    const toolsConfigPath = path.join(process.cwd(), 'mcp-tools.json');
+    try {
+      if (fs.existsSync(toolsConfigPath)) {
+        const toolsConfig = JSON.parse(fs.readFileSync(toolsConfigPath, 'utf8'));
+        if (toolsConfig[name]) {
+          details.tools = toolsConfig[name];
         }
-      } catch (e) {
-        console.error('Error loading tools config:', e);
       }
+    } catch (e) {
+      console.error('Error loading tools config:', e);
+    }
 
-      console.log('MCP details:', details);
-      socket.emit('mcp-details', details);
-    });
+    console.log('MCP details:', details);
+    socket.emit('mcp-details', details);
   });
 
   // Update MCP configuration (env vars, etc.)
-  socket.on('update-mcp-config', ({ name, env, command, args }) => {
+  socket.on('update-mcp-config', async ({ name, env, command, args } = {}) => {
     console.log('Updating MCP config for:', name, 'with command:', command);
 
     if (!name) {
       socket.emit('mcp-config-updated', { success: false, error: 'Name is required' });
       return;
     }
+    if (!MCP_NAME.test(name)) {
+      socket.emit('mcp-config-updated', { success: false, error: 'Invalid MCP name' });
+      return;
+    }
 
-    const escapedName = name.replace(/"/g, '\\"');
-
-    // Helper function to add MCP with env vars
-    const addMcpWithEnv = (mcpCommand, mcpArgs, scope) => {
-      // Build the add command with env vars
-      // Format: claude mcp add -e KEY=value -s scope name -- command args
-      let addCmd = `/home/basim/.npm-global/bin/claude mcp add`;
-
-      // Add environment variables first
-      if (env && typeof env === 'object') {
-        Object.entries(env).forEach(([key, value]) => {
-          if (key && value !== undefined && value !== '') {
-            // Use double quotes and escape special characters for shell
-            const escapedValue = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\$/g, '\\$').replace(/`/g, '\\`');
-            addCmd += ` -e ${key}="${escapedValue}"`;
-          }
-        });
-      }
-
-      // Add scope
-      addCmd += ` -s ${scope}`;
-
-      // Add the name (unquoted) and command
-      addCmd += ` ${escapedName} -- ${mcpCommand}`;
-
-      // Add args if present
-      if (mcpArgs) {
-        addCmd += ` ${mcpArgs}`;
-      }
-
-      console.log('Running add command:', addCmd);
+    // First, try to get the current config
+    let currentCommand = '';
+    let currentArgs = '';
+    let scope = 'local';
+    try {
+      const { stdout } = await runClaudeMcp(['get', name]);
 
-      exec(addCmd, { cwd: __dirname, env: process.env }, (addError, addStdout, addStderr) => {
-        if (addError) {
-          console.error('Failed to add MCP:', addError, addStderr);
-          socket.emit('mcp-config-updated', { success: false, error: addStderr || addError.message });
-          return;
-        }
+      // Parse current config
+      const commandMatch = stdout.match(/Command:\s*(.+)/);
+      currentCommand = commandMatch ? commandMatch[1].trim() : '';
 
-        console.log('MCP config updated successfully');
-        socket.emit('mcp-config-updated', { success: true, name });
-      });
-    };
+      const argsMatch = stdout.match(/Args:\s*(.+)/);
+      currentArgs = argsMatch ? argsMatch[1].trim() : '';
 
-    // First, try to get the current config
-    exec(`/home/basim/.npm-global/bin/claude mcp get "${escapedName}"`, { cwd: __dirname, env: process.env }, (error, stdout, stderr) => {
-      let currentCommand = '';
-      let currentArgs = '';
-      let scope = 'local';
-
-      if (!error && stdout) {
-        // Parse current config
-        const commandMatch = stdout.match(/Command:\s*(.+)/);
-        currentCommand = commandMatch ? commandMatch[1].trim() : '';
-
-        const argsMatch = stdout.match(/Args:\s*(.+)/);
-        currentArgs = argsMatch ? argsMatch[1].trim() : '';
-
-        // Parse scope
-        const scopeMatch = stdout.match(/Scope:\s*(.+)/);
-        if (scopeMatch) {
-          if (scopeMatch[1].includes('User')) scope = 'user';
-          else if (scopeMatch[1].includes('Project')) scope = 'project';
-        }
+      // Parse scope
+      const scopeMatch = stdout.match(/Scope:\s*(.+)/);
+      if (scopeMatch) {
+        if (scopeMatch[1].includes('User')) scope = 'user';
+        else if (scopeMatch[1].includes('Project')) scope = 'project';
       }
+    } catch (err) {
+      console.log('No current MCP config:', err.message);
+    }
 
-      // Determine command and args
-      // If frontend provides a full command string, use it directly (don't append args)
-      // If using parsed command from mcp get, also use parsed args
-      let finalCommand = '';
-      let finalArgs = '';
-
+    // Determine the command line
+    // If frontend provides a full command string, use it directly (don't append args)
+    // If using parsed command from mcp get, also use parsed args
+    let commandLine;
+    try {
       if (command) {
-        // Frontend provided full command - use it as-is, no separate args
-        finalCommand = command;
-        finalArgs = '';
+        commandLine = splitCommandLine(command);
       } else if (currentCommand) {
-        // Use parsed command and args
-        finalCommand = currentCommand;
-        finalArgs = currentArgs;
+        commandLine = [...splitCommandLine(currentCommand), ...splitCommandLine(currentArgs)];
       }
+    } catch (err) {
+      socket.emit('mcp-config-updated', { success: false, error: err.message });
+      return;
+    }
+
+    if (!commandLine?.length) {
+      socket.emit('mcp-config-updated', { success: false, error: 'No command available for this MCP' });
+      return;
+    }
 
-      if (!finalCommand) {
-        socket.emit('mcp-config-updated', { success: false, error: 'No command available for this MCP' });
+    // Environment variables: claude mcp add -e KEY=value -s scope name -- command args
+    const envArgs = [];
+    for (const [key, value] of Object.entries(env && typeof env === 'object' ? env : {})) {
+      if (!key || value === undefined || value === '') continue;
+      if (!ENV_KEY.test(key)) {
+        socket.emit('mcp-config-updated', { success: false, error: `Invalid environment variable name: ${key}` });
         return;
       }
+      envArgs.push('-e', `${key}=${value}`);
+    }
 
-      // Remove the existing MCP first (ignore errors if it doesn't exist)
-      exec(`/home/basim/.npm-global/bin/claude mcp remove "${escapedName}" -s ${scope}`, { cwd: __dirname, env: process.env }, (removeError) => {
-        if (removeError) {
-          console.log('MCP remove skipped (may not exist):', removeError.message);
-        }
+    // Remove the existing MCP first (ignore errors if it doesn't exist)
+    try {
+      await runClaudeMcp(['remove', name, '-s', scope]);
+    } catch (err) {
+      console.log('MCP remove skipped (may not exist):', err.message);
+    }
 
-        addMcpWithEnv(finalCommand, finalArgs, scope);
-      });
-    });
+    const addArgs = ['add', ...envArgs, '-s', scope, name, '--', ...commandLine];
+    console.log('Running claude mcp', ['add', '-s', scope, name, '--', ...commandLine].join(' '));
+    try {
+      await runClaudeMcp(addArgs);
+    } catch (err) {
+      console.error('Failed to add MCP:', err.message);
+      socket.emit('mcp-config-updated', { success: false, error: err.stderr?.trim() || err.message });
+      return;
+    }
+
+    console.log('MCP config updated successfully');
+    socket.emit('mcp-config-updated', { success: true, name });
   });
 
   // Save MCP tools configuration
-  socket.on('save-mcp-tools', ({ name, tools }) => {
+  socket.on('save-mcp-tools', ({ name, tools } = {}) => {
     console.log('Saving MCP tools for:', name);
 
     const toolsConfigPath = path.join(process.cwd(), 'mcp-tools.json');
@@ -1284,7 +2605,7 @@ io.on('connection', (socket) => {
   });
 
   // Save full MCP JSON configuration
-  socket.on('save-mcp-json-config', async ({ config }) => {
+  socket.on('save-mcp-json-config', async ({ config } = {}) => {
     console.log('Saving MCP JSON config...');
     const claudeJsonPath = path.join(process.env.HOME, '.claude.json');
 
@@ -1374,7 +2695,7 @@ io.on('connection', (socket) => {
   });
 
   // Update MCP tool permission
-  socket.on('update-mcp-permission', ({ mcp, tool, action }) => {
+  socket.on('update-mcp-permission', ({ mcp, tool, action } = {}) => {
     console.log('Updating MCP permission:', mcp, tool, action);
 
     const permissionsPath = path.join(process.env.HOME, '.claude', 'settings.local.json');
@@ -1419,7 +2740,7 @@ io.on('connection', (socket) => {
   });
 
   // Update all tools for an MCP (wildcard)
-  socket.on('update-mcp-all-permissions', ({ mcp, action }) => {
+  socket.on('update-mcp-all-permissions', ({ mcp, action } = {}) => {
     console.log('Updating all MCP permissions:', mcp, action);
 
     const permissionsPath = path.join(process.env.HOME, '.claude', 'settings.local.json');
@@ -1462,62 +2783,69 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('add-mcp', ({ name, command }) => {
+  socket.on('add-mcp', async ({ name, command } = {}) => {
     console.log('Adding MCP:', name, command);
 
     if (!name || !command) {
       socket.emit('mcp-added', { success: false, error: 'Name and command are required' });
       return;
     }
+    if (!MCP_NAME.test(name)) {
+      socket.emit('mcp-added', { success: false, error: 'Invalid MCP name' });
+      return;
+    }
 
-    // Escape the command for shell
-    const escapedName = name.replace(/"/g, '\\"');
-    const cmd = `/home/basim/.npm-global/bin/claude mcp add "${escapedName}" -- ${command}`;
-
-    exec(cmd, { cwd: process.env.HOME, env: process.env }, (error, stdout, stderr) => {
-      if (error) {
-        console.error('Failed to add MCP:', error);
-        socket.emit('mcp-added', { success: false, error: stderr || error.message });
-        return;
-      }
-
+    // The command is split into arguments, never run through a shell
+    try {
+      const commandLine = splitCommandLine(command);
+      if (commandLine.length === 0) throw new Error('Name and command are required');
+      const { stdout } = await runClaudeMcp(['add', name, '--', ...commandLine], { cwd: process.env.HOME });
       console.log('MCP added successfully:', stdout);
       socket.emit('mcp-added', { success: true, name });
-    });
+    } catch (err) {
+      console.error('Failed to add MCP:', err.message);
+      socket.emit('mcp-added', { success: false, error: err.stderr?.trim() || err.message });
+    }
   });
 
-  socket.on('remove-mcp', ({ name }) => {
+  socket.on('remove-mcp', async ({ name } = {}) => {
     console.log('Removing MCP:', name);
 
     if (!name) {
       socket.emit('mcp-removed', { success: false, error: 'Name is required' });
       return;
     }
+    if (!MCP_NAME.test(name)) {
+      socket.emit('mcp-removed', { success: false, error: 'Invalid MCP name' });
+      return;
+    }
 
-    const escapedName = name.replace(/"/g, '\\"');
-    const cmd = `/home/basim/.npm-global/bin/claude mcp remove "${escapedName}"`;
-
-    exec(cmd, { cwd: process.env.HOME, env: process.env }, (error, stdout, stderr) => {
-      if (error) {
-        console.error('Failed to remove MCP:', error);
-        socket.emit('mcp-removed', { success: false, error: stderr || error.message });
-        return;
-      }
-
+    try {
+      const { stdout } = await runClaudeMcp(['remove', name], { cwd: process.env.HOME });
       console.log('MCP removed successfully:', stdout);
       socket.emit('mcp-removed', { success: true, name });
-    });
+    } catch (err) {
+      console.error('Failed to remove MCP:', err.message);
+      socket.emit('mcp-removed', { success: false, error: err.stderr?.trim() || err.message });
+    }
   });
 
   // Send image to WhatsApp (from file path)
-  socket.on('send-image', async ({ filePath, caption }) => {
+  socket.on('send-image', async ({ filePath, caption } = {}) => {
     console.log('Sending image to WhatsApp:', filePath);
-    const success = await sendWhatsAppMedia(filePath, caption || '');
+    let success = false;
+    try {
+      success = await sendWhatsAppMedia(resolveSafePath(filePath), caption || '');
+    } catch (err) {
+      console.log('Refused to send image:', err.message);
+      socket.emit('image-sent', { success, filePath, error: err.message });
+      return;
+    }
     socket.emit('image-sent', { success, filePath });
   });
 
   // Send base64 image to WhatsApp
-  socket.on('send-base64-image', async ({ base64, mimetype, caption }) => {
+  socket.on('send-base64-image', async ({ base64, mimetype, caption } = {}) => {
     console.log('Sending base64 image to WhatsApp');
     const success = await sendWhatsAppBase64Image(base64, mimetype || 'image/png', caption || '');
     socket.emit('image-sent', { success });
@@ -1525,19 +2853,27 @@ io.on('connection', (socket) => {
 
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
-    // Kill Claude process on disconnect
-    const claude = claudeProcesses.get(socket.id);
-    if (claude) {
-      claude.kill();
-      claudeProcesses.delete(socket.id);
-    }
+    // Cancel the terminal's AI prompts still running
+    terminalRuns.get(socket.id)?.forEach(controller => controller.abort());
+    terminalRuns.delete(socket.id);
   });
 });
 
 // Initialize WhatsApp client
 client.initialize();
 
-const PORT = process.env.PORT || 3001;
+const PORT = config.port;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
+
+// Close the capture browser and WhatsApp's own before exiting, so no Chrome is left running
+async function shutdown(signal) {
+  console.log(`${signal} received, shutting down`);
+  await closeBrowser();
+  await client.destroy().catch(err => console.error('Could not close WhatsApp:', err.message));
+  process.exit(0);
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,175 @@
+import fs from 'fs';
+import path from 'path';
+
+// Conversation sessions persisted as JSON-lines files, one per session:
+//   <dir>/<name>.jsonl         - one { role, content, timestamp } object per line
+//   <dir>/<name>.summary.json  - { summary, coveredUntil } running summary of older turns
+//   <dir>/state.json           - { active: <name>, chats: { [chatKey]: <name> } }
+// Notes to Self uses the "self" chat key; every other chat has its own active session.
+// A session's file is written with its first message, so reading never creates one.
+
+const SESSION_NAME = /^[\w-]{1,40}$/;
+const DEFAULT_SESSION = 'default';
+export const SELF_CHAT = 'self';
+
+let sessionsDir = null;
+let activeSessions = { [SELF_CHAT]: DEFAULT_SESSION };
+
+function sessionPath(name) {
+  return path.join(sessionsDir, `${name}.jsonl`);
+}
+
+function summaryPath(name) {
+  return path.join(sessionsDir, `${name}.summary.json`);
+}
+
+function saveState() {
+  const { [SELF_CHAT]: active, ...chats } = activeSessions;
+  fs.writeFileSync(path.join(sessionsDir, 'state.json'), JSON.stringify({ active, chats }, null, 2));
+}
+
+// Default session name for a chat, e.g. "123456789_c_us"
+function defaultSessionFor(chatKey) {
+  return chatKey === SELF_CHAT ? DEFAULT_SESSION : chatKey.replace(/[^\w-]/g, '_').slice(-40);
+}
+
+// Create the store directory and restore the active session
+export function initSessionStore(dir) {
+  sessionsDir = dir;
+  fs.mkdirSync(sessionsDir, { recursive: true });
+
+  const statePath = path.join(sessionsDir, 'state.json');
+  try {
+    if (fs.existsSync(statePath)) {
+      const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      if (SESSION_NAME.test(state.active || '')) activeSessions[SELF_CHAT] = state.active;
+      for (const [chatKey, name] of Object.entries(state.chats || {})) {
+        if (SESSION_NAME.test(name)) activeSessions[chatKey] = name;
+      }
+    }
+  } catch (err) {
+    console.error('Could not read session state, using default session:', err.message);
+  }
+
+  const active = getActiveSession();
+  console.log('Active session:', active);
+  return active;
+}
+
+export function isValidSessionName(name) {
+  return SESSION_NAME.test(name || '');
+}
+
+// Active session of a chat (its file may not exist yet)
+export function getActiveSession(chatKey = SELF_CHAT) {
+  return activeSessions[chatKey] || defaultSessionFor(chatKey);
+}
+
+export function sessionExists(name) {
+  return isValidSessionName(name) && fs.existsSync(sessionPath(name));
+}
+
+// Read a session's messages, optionally only the last `limit` of them
+export function loadMessages(name = getActiveSession(), limit = 0) {
+  if (!sessionExists(name)) return [];
+  const lines = fs.readFileSync(sessionPath(name), 'utf8').split('\n').filter(line => line.trim());
+  const messages = [];
+  for (const line of limit > 0 ? lines.slice(-limit) : lines) {
+    try {
+      messages.push(JSON.parse(line));
+    } catch (err) {
+      console.error(`Skipping corrupt line in session ${name}`);
+    }
+  }
+  return messages;
+}
+
+// Append one message to a session, creating its file if needed
+export function appendMessage(message, name = getActiveSession()) {
+  const entry = { ...message, timestamp: message.timestamp || Date.now() };
+  fs.appendFileSync(sessionPath(name), JSON.stringify(entry) + '\n');
+  return entry;
+}
+
+// Remove all messages (and the summary) from a session
+export function clearSession(name = getActiveSession()) {
+  if (fs.existsSync(sessionPath(name))) fs.writeFileSync(sessionPath(name), '');
+  fs.rmSync(summaryPath(name), { force: true });
+}
+
+// Running summary of the messages up to coveredUntil (a message timestamp)
+export function loadSummary(name = getActiveSession()) {
+  try {
+    if (fs.existsSync(summaryPath(name))) {
+      return JSON.parse(fs.readFileSync(summaryPath(name), 'utf8'));
+    }
+  } catch (err) {
+    console.error(`Could not read summary for session ${name}:`, err.message);
+  }
+  return { summary: '', coveredUntil: 0 };
+}
+
+export function saveSummary({ summary, coveredUntil }, name = getActiveSession()) {
+  fs.writeFileSync(summaryPath(name), JSON.stringify({ summary, coveredUntil, updatedAt: Date.now() }, null, 2));
+}
+
+export function createSession(name) {
+  if (!isValidSessionName(name)) {
+    throw new Error('Session names may only use letters, numbers, - and _ (max 40)');
+  }
+  if (sessionExists(name)) {
+    throw new Error(`Session "${name}" already exists`);
+  }
+  fs.writeFileSync(sessionPath(name), '');
+}
+
+// A chat can always go back to its default session, even one with no messages yet
+export function switchSession(name, chatKey = SELF_CHAT) {
+  if (!sessionExists(name) && name !== defaultSessionFor(chatKey)) {
+    throw new Error(`Session "${name}" not found`);
+  }
+  activeSessions[chatKey] = name;
+  saveState();
+}
+
+// List sessions, most recently updated first, flagging the chat's active one
+// (listed last with updatedAt null while it has no file)
+export function listSessions(chatKey = SELF_CHAT) {
+  const active = getActiveSession(chatKey);
+  const list = fs.readdirSync(sessionsDir)
+    .filter(f => f.endsWith('.jsonl'))
+    .map(f => {
+      const name = f.replace(/\.jsonl$/, '');
+      const stat = fs.statSync(sessionPath(name));
+      const content = fs.readFileSync(sessionPath(name), 'utf8');
+      return {
+        name,
+        messages: content.split('\n').filter(line => line.trim()).length,
+        updatedAt: stat.mtimeMs,
+        active: name === active
+      };
+    })
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+  if (!list.some(s => s.active)) {
+    list.push({ name: active, messages: 0, updatedAt: null, active: true });
+  }
+  return list;
+}
+
+// Write a session to a Markdown file in outDir and return its path
+export function exportSession(name, outDir) {
+  const messages = loadMessages(name);
+  const { summary } = loadSummary(name);
+  let markdown = `# Session: ${name}\n\nExported ${new Date().toLocaleString()} - ${messages.length} messages\n`;
+  if (summary) {
+    markdown += `\n## Summary of earlier conversation\n\n${summary}\n`;
+  }
+  for (const msg of messages) {
+    const who = msg.role === 'user' ? 'User' : `Assistant${msg.provider ? ` (${msg.provider})` : ''}`;
+    markdown += `\n## ${who} - ${new Date(msg.timestamp).toLocaleString()}\n\n${msg.content}\n`;
+  }
+
+  const filePath = path.join(outDir, `session-${name}-${Date.now()}.md`);
+  fs.writeFileSync(filePath, markdown);
+  return filePath;
+}
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateAction, parseActions, hideActions } from '../ai-actions.js';
+
+function block(json) {
+  return '```jinn-action\n' + JSON.stringify(json) + '\n```';
+}
+
+test('actions in blocks and file tags are found in the order they appear, and taken out of the text', () => {
+  const answer = `Here you go.\n${block({ action: 'react', emoji: '👍' })}\nAnd the file [SEND_FILE:/a/report.pdf|May] too.`;
+  const { actions, errors, text } = parseActions(answer);
+  assert.deepEqual(actions, [
+    { action: 'react', emoji: '👍' },
+    { action: 'send_file', path: '/a/report.pdf', caption: 'May' }
+  ]);
+  assert.deepEqual(errors, []);
+  assert.doesNotMatch(text, /jinn-action|SEND_FILE/);
+});
+
+test('a block can hold several actions', () => {
+  const { actions } = parseActions(block([{ action: 'send_file', path: '/a' }, { action: 'send_file', path: '/b' }]));
+  assert.deepEqual(actions.map(a => a.path), ['/a', '/b']);
+});
+
+test('a path merely mentioned in the answer triggers nothing', () => {
+  assert.deepEqual(parseActions('The report is at /Users/me/Desktop/report.pdf').actions, []);
+});
+
+test('invalid blocks and actions are reported and skipped', () => {
+  const { actions, errors } = parseActions(`${block({ action: 'delete_everything' })}\n\`\`\`jinn-action\n{nope\n\`\`\``);
+  assert.deepEqual(actions, []);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /unknown action "delete_everything"/);
+  assert.match(errors[1], /not valid JSON/);
+});
+
+test('fields are checked against the schema', () => {
+  assert.match(validateAction({ action: 'send_file' }).error, /send_file.path is required/);
+  assert.match(validateAction({ action: 'send_file', path: '/a', mode: 'rm' }).error, /has no field "mode"/);
+  assert.match(validateAction({ action: 'send_file', path: 42 }).error, /must be a string/);
+  assert.match(validateAction({ action: 'send_image', url: 'file:///etc/passwd' }).error, /not valid/);
+  assert.match(validateAction({ action: 'send_image', path: '/a.png', url: 'https://x/y.png' }).error, /exactly one of path, url/);
+  assert.match(validateAction({ action: 'schedule_message', text: 'hi', in_minutes: 0 }).error, /between 1 and/);
+  assert.match(validateAction({ action: 'schedule_message', text: 'hi', at: 'soon' }).error, /not a date/);
+  assert.match(validateAction([]).error, /JSON object/);
+  assert.deepEqual(validateAction({ action: 'send_file', path: ' /a/b.pdf ' }).action, { action: 'send_file', path: '/a/b.pdf' });
+});
+
+test('a confirmation wraps one other action, which is checked too', () => {
+  const { action } = validateAction({ action: 'ask_confirmation', question: 'Send it?', on_yes: { action: 'send_file', path: '/a' } });
+  assert.deepEqual(action.on_yes, { action: 'send_file', path: '/a' });
+  assert.match(validateAction({ action: 'ask_confirmation', question: 'Sure?', on_yes: { action: 'send_file' } }).error, /on_yes: send_file.path is required/);
+  const nested = { action: 'ask_confirmation', question: 'Really?', on_yes: { action: 'react', emoji: 'x' } };
+  assert.match(validateAction({ action: 'ask_confirmation', question: 'Sure?', on_yes: nested }).error, /cannot ask about another/);
+});
+
+test('blocks and tags still being written are hidden while streaming', () => {
+  assert.equal(hideActions('Sure.\n```jinn-action\n{"action": "send_fi'), 'Sure.\n');
+  assert.equal(hideActions('File [SEND_FILE:/a/b.p').trim(), 'File');
+});
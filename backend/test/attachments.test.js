@@ -0,0 +1,43 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseFileTags, prepareAttachment } from '../attachments.js';
+import { loadSandbox } from '../file-sandbox.js';
+
+test('an inline tag leaves one space between the words around it', () => {
+  const { tags, text } = parseFileTags('Here it is and [SEND_FILE:/a/b.pdf|cap] done');
+  assert.equal(text, 'Here it is and done');
+  assert.deepEqual(tags, [{ source: '[SEND_FILE:/a/b.pdf|cap]', path: '/a/b.pdf', caption: 'cap' }]);
+});
+
+test('a tag before punctuation leaves no space', () => {
+  assert.equal(parseFileTags('Sent [SEND_FILE:/a/b.pdf].').text, 'Sent.');
+});
+
+test('a tag on its own line is removed with its line', () => {
+  assert.equal(parseFileTags('First\n\n[SEND_FILE:/a/b.pdf]\n\nLast').text, 'First\n\nLast');
+});
+
+// A folder to zip and a media folder to zip it into, both allowed
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'jinn-attachments-')));
+const workDir = path.join(root, 'media');
+fs.mkdirSync(workDir);
+fs.mkdirSync(path.join(root, 'notes'));
+fs.writeFileSync(path.join(root, 'notes', 'a.txt'), 'hello '.repeat(100));
+loadSandbox(path.join(root, 'missing.json'), { alwaysAllow: [root] });
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('a zipped folder is removed by cleanup once sent', async () => {
+  const file = await prepareAttachment(path.join(root, 'notes'), { maxBytes: 1024 * 1024, workDir });
+  assert.equal(file.name, 'notes.zip');
+  assert.ok(fs.existsSync(file.filePath));
+  file.cleanup();
+  assert.deepEqual(fs.readdirSync(workDir), []);
+});
+
+test('a zipped folder too large to send leaves nothing behind', async () => {
+  await assert.rejects(prepareAttachment(path.join(root, 'notes'), { maxBytes: 10, workDir }), /too large to send/);
+  assert.deepEqual(fs.readdirSync(workDir), []);
+});
@@ -0,0 +1,66 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { initAuth, issueToken, verifyToken, authenticate, clientAddress } from '../auth.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jinn-auth-'));
+process.env.DASHBOARD_PASSWORD = 'admin-secret';
+process.env.DASHBOARD_VIEWER_PASSWORD = 'viewer-secret';
+initAuth(path.join(dir, 'auth.json'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('each password logs in with its own role and gets a token for it', () => {
+  const admin = authenticate({ password: 'admin-secret' }, '192.0.2.1');
+  assert.equal(admin.role, 'admin');
+  assert.equal(verifyToken(admin.token), 'admin');
+  assert.equal(authenticate({ password: 'viewer-secret' }, '192.0.2.1').role, 'viewer');
+  assert.equal(authenticate({ password: 'wrong' }, '192.0.2.1').error, 'invalid-password');
+  assert.equal(authenticate({}, '192.0.2.1').error, 'unauthorized');
+});
+
+test('a token logs in again without the password', () => {
+  const token = issueToken('viewer');
+  assert.deepEqual(authenticate({ token }, '192.0.2.2'), { role: 'viewer', token });
+});
+
+test('a token with a changed payload or signature is refused', () => {
+  const [payload, signature] = issueToken('viewer').split('.');
+  const forged = Buffer.from(JSON.stringify({ role: 'admin', exp: Date.now() + 60000 })).toString('base64url');
+  assert.equal(verifyToken(`${forged}.${signature}`), null);
+  assert.equal(verifyToken(`${payload}.${signature.slice(0, -2)}xx`), null);
+  assert.equal(verifyToken('garbage'), null);
+  assert.equal(authenticate({ token: `${forged}.${signature}` }, '192.0.2.3').error, 'unauthorized');
+});
+
+test('the lockout also refuses the right password until the window passes', () => {
+  for (let i = 0; i < 5; i++) authenticate({ password: 'wrong' }, '192.0.2.4');
+  assert.equal(authenticate({ password: 'admin-secret' }, '192.0.2.4').error, 'too-many-attempts');
+  assert.equal(authenticate({ password: 'admin-secret' }, '192.0.2.5').role, 'admin');
+});
+
+// What the Vite proxy passes on: the client's own header with the real peer appended
+function proxied(spoofed, peer) {
+  return { address: '127.0.0.1', headers: { 'x-forwarded-for': `${spoofed}, ${peer}` } };
+}
+
+test('a proxied client is known by the address the proxy added', () => {
+  assert.equal(clientAddress(proxied('10.9.8.7', '203.0.113.5')), '203.0.113.5');
+  assert.equal(clientAddress({ address: '127.0.0.1', headers: { 'x-forwarded-for': '203.0.113.5' } }), '203.0.113.5');
+});
+
+test('X-Forwarded-For is ignored unless the peer is this machine', () => {
+  assert.equal(clientAddress({ address: '198.51.100.2', headers: { 'x-forwarded-for': '10.0.0.1' } }), '198.51.100.2');
+  assert.equal(clientAddress({ address: '127.0.0.1' }), '127.0.0.1');
+});
+
+test('a new spoofed X-Forwarded-For on every attempt still trips the lockout', () => {
+  const results = [];
+  for (let i = 0; i < 7; i++) {
+    const address = clientAddress(proxied(`10.0.0.${i}`, '203.0.113.9'));
+    results.push(authenticate({ password: `guess-${i}` }, address).error);
+  }
+  assert.deepEqual(results.slice(0, 5), Array(5).fill('invalid-password'));
+  assert.deepEqual(results.slice(5), ['too-many-attempts', 'too-many-attempts']);
+});
@@ -0,0 +1,60 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initConfirmations, requestConfirmation, confirm, reject, listPending } from '../confirmations.js';
+
+mock.timers.enable({ apis: ['setTimeout'] });
+const expired = [];
+initConfirmations({ timeoutMs: 60000, onExpire: entry => expired.push(entry.code) });
+
+function pendingAction(options = {}) {
+  const ran = [];
+  const entry = requestConfirmation({ chatId: 'chat', question: 'Send it?', run: async () => ran.push('run') && 'Sent', ...options });
+  return { entry, ran };
+}
+
+test('the chat that was asked can approve once, case-insensitively', async () => {
+  const { entry, ran } = pendingAction();
+  assert.match(entry.code, /^[A-HJ-NP-Z2-9]{4}$/);
+  assert.equal(entry.run, undefined);
+  assert.deepEqual(await confirm(entry.code.toLowerCase(), { chatId: 'chat' }), { success: true, question: 'Send it?', chatId: 'chat', result: 'Sent' });
+  assert.deepEqual(ran, ['run']);
+  assert.match((await confirm(entry.code, { chatId: 'chat' })).error, /No pending confirmation/);
+});
+
+test('another chat cannot answer, the owner can', async () => {
+  const { entry, ran } = pendingAction();
+  assert.match((await confirm(entry.code, { chatId: 'other' })).error, /in this chat/);
+  assert.match(reject(entry.code, { chatId: 'other' }).error, /in this chat/);
+  assert.equal((await confirm(entry.code, { owner: true })).success, true);
+  assert.deepEqual(ran, ['run']);
+});
+
+test('an owner-only action cannot be approved from the chat it came from', async () => {
+  const { entry, ran } = pendingAction({ ownerOnly: true, risk: 'delete files' });
+  assert.match((await confirm(entry.code, { chatId: 'chat' })).error, /only be approved from Notes to Self/);
+  assert.deepEqual(ran, []);
+  assert.equal(reject(entry.code, { owner: true }).success, true);
+  assert.deepEqual(listPending(), []);
+});
+
+test('a rejected action never runs', async () => {
+  const { entry, ran } = pendingAction();
+  assert.deepEqual(reject(entry.code, { chatId: 'chat' }), { success: true, question: 'Send it?', chatId: 'chat' });
+  assert.equal((await confirm(entry.code, { owner: true })).success, false);
+  assert.deepEqual(ran, []);
+});
+
+test('an unanswered confirmation expires', async () => {
+  const { entry, ran } = pendingAction();
+  assert.equal(listPending().length, 1);
+  mock.timers.tick(60000);
+  assert.deepEqual(listPending(), []);
+  assert.deepEqual(expired, [entry.code]);
+  assert.equal((await confirm(entry.code, { owner: true })).success, false);
+  assert.deepEqual(ran, []);
+});
+
+test('an approved action that throws reports the failure', async () => {
+  const entry = requestConfirmation({ chatId: 'chat', question: 'Delete it?', run: async () => { throw new Error('disk on fire'); } });
+  assert.deepEqual(await confirm(entry.code, { owner: true }), { success: false, error: 'Delete it? failed: disk on fire' });
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, clipMessage, fitHistory, buildSummaryPrompt } from '../context-window.js';
+
+// A message of about `tokens` estimated tokens
+function message(role, tokens, mark = '') {
+  return { role, content: mark + 'x'.repeat(tokens * 4 - mark.length) };
+}
+
+test('tokens are estimated at four characters each', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens('abcd'), 1);
+  assert.equal(estimateTokens('abcde'), 2);
+});
+
+test('the newest messages that fit are kept and the older ones dropped', () => {
+  const history = [message('user', 100, 'a'), message('assistant', 100, 'b'), message('user', 100, 'c'), message('assistant', 100, 'd')];
+  const { included, dropped, tokens } = fitHistory(history, { budget: 1000, reserved: 750 });
+  assert.deepEqual(included.map(m => m.content[0]), ['c', 'd']);
+  assert.deepEqual(dropped.map(m => m.content[0]), ['a', 'b']);
+  assert.equal(tokens, 200);
+});
+
+test('everything is kept when it fits', () => {
+  const history = [message('user', 10), message('assistant', 10)];
+  const { included, dropped } = fitHistory(history, { budget: 1000 });
+  assert.equal(included.length, 2);
+  assert.deepEqual(dropped, []);
+});
+
+test('one oversized message is clipped to a quarter of the budget instead of crowding out the rest', () => {
+  const history = [message('user', 50, 'a'), message('assistant', 5000, 'b')];
+  const { included, dropped } = fitHistory(history, { budget: 2000 });
+  assert.deepEqual(dropped, []);
+  assert.ok(estimateTokens(included[1].content) <= 500 + 20);
+  assert.match(included[1].content, /tokens omitted/);
+  assert.equal(included[1].role, 'assistant');
+});
+
+test('a clipped message keeps its start and end', () => {
+  const clipped = clipMessage(`START${'x'.repeat(10000)}END`, 100);
+  assert.ok(clipped.startsWith('START'));
+  assert.ok(clipped.endsWith('END'));
+  assert.equal(clipMessage('short', 100), 'short');
+});
+
+test('the summary prompt builds on the previous summary', () => {
+  const prompt = buildSummaryPrompt('They like tea.', [{ role: 'user', content: 'And coffee' }]);
+  assert.match(prompt, /^Current summary:\nThey like tea\./);
+  assert.match(prompt, /User: And coffee/);
+  assert.match(buildSummaryPrompt('', []), /^Summarize these messages/);
+});
@@ -0,0 +1,74 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadSandbox, resolveSafePath, isPathAllowed, SandboxError } from '../file-sandbox.js';
+
+// <tmp>/allowed is the only root; <tmp>/secret sits next to it
+const base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'jinn-sandbox-')));
+const allowed = path.join(base, 'allowed');
+const secret = path.join(base, 'secret');
+fs.mkdirSync(path.join(allowed, 'docs'), { recursive: true });
+fs.mkdirSync(secret);
+fs.writeFileSync(path.join(allowed, 'docs', 'report.pdf'), 'pdf');
+fs.writeFileSync(path.join(allowed, 'docs', '.env'), 'TOKEN=1');
+fs.writeFileSync(path.join(allowed, 'docs', 'data.sqlite'), 'db');
+fs.writeFileSync(path.join(secret, 'passwords.txt'), 'hunter2');
+fs.symlinkSync(secret, path.join(allowed, 'link'));
+
+const configPath = path.join(base, 'sandbox.json');
+fs.writeFileSync(configPath, JSON.stringify({ allowedRoots: [allowed], denyPatterns: ['*.sqlite'] }));
+loadSandbox(configPath);
+after(() => fs.rmSync(base, { recursive: true, force: true }));
+
+function refusal(input, options) {
+  try {
+    resolveSafePath(input, options);
+  } catch (err) {
+    assert.ok(err instanceof SandboxError);
+    return err.reason;
+  }
+  assert.fail(`${input} was accepted`);
+}
+
+test('a file inside an allowed root resolves to its real path', () => {
+  assert.equal(resolveSafePath(path.join(allowed, 'docs', 'report.pdf')), path.join(allowed, 'docs', 'report.pdf'));
+});
+
+test('.. cannot climb out of an allowed root', () => {
+  assert.equal(refusal(path.join(allowed, 'docs', '..', '..', 'secret', 'passwords.txt')), 'outside');
+});
+
+test('a symlink inside a root cannot lead out of it', () => {
+  assert.equal(refusal(path.join(allowed, 'link', 'passwords.txt')), 'outside');
+  assert.equal(refusal(path.join(allowed, 'link'), { type: 'directory' }), 'outside');
+});
+
+test('a root is not matched by a folder that only starts with its name', () => {
+  fs.mkdirSync(`${allowed}-evil`);
+  fs.writeFileSync(path.join(`${allowed}-evil`, 'x.txt'), 'x');
+  assert.equal(refusal(path.join(`${allowed}-evil`, 'x.txt')), 'outside');
+});
+
+test('built-in and configured deny patterns refuse inside a root', () => {
+  assert.equal(refusal(path.join(allowed, 'docs', '.env')), 'denied');
+  assert.equal(refusal(path.join(allowed, 'docs', 'data.sqlite')), 'denied');
+});
+
+test('the owner lifting the allowed folders does not lift the deny list', () => {
+  assert.equal(resolveSafePath(path.join(secret, 'passwords.txt'), { allowOutside: true }), path.join(secret, 'passwords.txt'));
+  assert.equal(refusal(path.join(allowed, 'docs', '.env'), { allowOutside: true }), 'denied');
+});
+
+test('a missing path outside the roots is refused, not reported missing', () => {
+  assert.equal(refusal(path.join(secret, 'nope.txt')), 'outside');
+  assert.equal(refusal(path.join(allowed, 'nope.txt')), 'not-found');
+});
+
+test('the type of path asked for is checked', () => {
+  assert.equal(refusal(path.join(allowed, 'docs')), 'type');
+  assert.equal(refusal(path.join(allowed, 'docs', 'report.pdf'), { type: 'directory' }), 'type');
+  assert.equal(refusal(''), 'invalid');
+  assert.equal(isPathAllowed(path.join(allowed, 'docs'), { type: 'any' }), true);
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PNG } from 'pngjs';
+import { diffImages } from '../image-diff.js';
+
+// A white PNG, with an optional black rectangle { left, top, width, height }
+function png(width, height, rect = null) {
+  const image = new PNG({ width, height });
+  image.data.fill(255);
+  if (rect) {
+    for (let y = rect.top; y < rect.top + rect.height; y++) {
+      for (let x = rect.left; x < rect.left + rect.width; x++) {
+        image.data.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+      }
+    }
+  }
+  return PNG.sync.write(image);
+}
+
+test('identical captures have no changes', () => {
+  const result = diffImages(png(50, 40), png(50, 40));
+  assert.equal(result.changedPixels, 0);
+  assert.equal(result.changedPercent, 0);
+  assert.equal(result.box, null);
+});
+
+test('a changed area is counted and boxed', () => {
+  const result = diffImages(png(100, 100), png(100, 100, { left: 10, top: 20, width: 5, height: 4 }));
+  assert.equal(result.changedPixels, 20);
+  assert.equal(result.changedPercent, 0.2);
+  assert.deepEqual(result.box, { left: 10, top: 20, right: 14, bottom: 23 });
+  const image = PNG.sync.read(result.image);
+  assert.deepEqual([image.width, image.height], [100, 100]);
+  const i = (21 * 100 + 11) * 4;
+  assert.deepEqual([...image.data.slice(i, i + 3)], [230, 30, 30]);
+});
+
+test('the part only one capture has counts as changed', () => {
+  const result = diffImages(png(10, 10), png(10, 20));
+  assert.equal(result.changedPercent, 50);
+  assert.deepEqual(result.box, { left: 0, top: 10, right: 9, bottom: 19 });
+});
+
+test('large captures are compared on a grid and give a smaller image', () => {
+  const before = png(2000, 2000);
+  const after = png(2000, 2000, { left: 0, top: 0, width: 1000, height: 2000 });
+  const result = diffImages(before, after);
+  const image = PNG.sync.read(result.image);
+  assert.deepEqual([image.width, image.height], [1000, 1000]);
+  assert.equal(result.changedPercent, 50);
+});
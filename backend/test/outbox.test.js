@@ -0,0 +1,103 @@
+import test, { after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configureSendQueue } from '../send-queue.js';
+import * as outbox from '../outbox.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jinn-outbox-'));
+const statePath = path.join(dir, 'outbox.json');
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// No waiting between sends or attempts; attempts records what the transport was asked
+configureSendQueue({ minGapMs: 1, perMinute: 1000, perChatPerMinute: 1000 });
+let attempts = [];
+let failUntil = 0;
+let changes = 0;
+outbox.initOutbox(statePath, {
+  send: async (job) => {
+    attempts.push(job);
+    if (attempts.length <= failUntil) throw job.error || new Error(`attempt ${attempts.length} failed`);
+    return { id: `sent-${attempts.length}` };
+  },
+  onChange: () => changes++,
+  maxAttempts: 3,
+  baseDelayMs: 1,
+  maxDelayMs: 2
+});
+
+beforeEach(() => {
+  outbox.clearFailed();
+  attempts = [];
+  failUntil = 0;
+  changes = 0;
+});
+
+test('a send that fails and then works is retried and resolves to the sent message', async () => {
+  failUntil = 2;
+  const sent = await outbox.deliver({ kind: 'text', chatId: 'a', text: 'hello' });
+  assert.deepEqual(sent, { id: 'sent-3' });
+  assert.equal(attempts.length, 3);
+  assert.deepEqual(outbox.listFailed(), []);
+});
+
+test('a send that keeps failing is dead-lettered after maxAttempts and saved', async () => {
+  failUntil = 10;
+  const sent = await outbox.deliver({ kind: 'text', chatId: 'a', text: 'hello' });
+  assert.equal(sent, null);
+  assert.equal(attempts.length, 3);
+  const [entry] = outbox.listFailed();
+  assert.equal(entry.summary, 'hello');
+  assert.equal(entry.error, 'attempt 3 failed');
+  assert.equal(entry.attempts, 3);
+  assert.equal(entry.retryable, true);
+  assert.equal(JSON.parse(fs.readFileSync(statePath, 'utf8')).failed.length, 1);
+  assert.ok(changes > 0);
+});
+
+test('a permanent error is dead-lettered without retrying', async () => {
+  failUntil = 10;
+  const error = outbox.permanentError('File not found: /x.pdf');
+  assert.equal(await outbox.deliver({ kind: 'media', chatId: 'a', filePath: '/x.pdf', caption: '', error }), null);
+  assert.equal(attempts.length, 1);
+  assert.equal(outbox.listFailed()[0].summary, '📎 x.pdf');
+});
+
+test('a dead letter can be retried by hand, and goes back on the list if it fails again', async () => {
+  failUntil = 3;
+  await outbox.deliver({ kind: 'text', chatId: 'a', text: 'again' });
+  const [entry] = outbox.listFailed();
+  assert.deepEqual(await outbox.retryFailed(entry.id), { success: true });
+  assert.deepEqual(outbox.listFailed(), []);
+
+  failUntil = 100;
+  await outbox.deliver({ kind: 'text', chatId: 'a', text: 'again' });
+  const [second] = outbox.listFailed();
+  assert.deepEqual(await outbox.retryFailed(second.id), { success: false, error: 'Failed again' });
+  assert.equal(outbox.listFailed().length, 1);
+  assert.notEqual(outbox.listFailed()[0].id, second.id);
+});
+
+test('a dead letter can be discarded, and unknown ids are reported', async () => {
+  failUntil = 10;
+  await outbox.deliver({ kind: 'text', chatId: 'a', text: 'bye' });
+  const [entry] = outbox.listFailed();
+  assert.equal(outbox.discardFailed(entry.id), true);
+  assert.equal(outbox.discardFailed(entry.id), false);
+  assert.deepEqual(await outbox.retryFailed('nope'), { success: false, error: 'Not found' });
+});
+
+test('a large image is kept without its data and cannot be retried', async () => {
+  failUntil = 10;
+  await outbox.deliver({ kind: 'image', chatId: 'a', base64: 'x'.repeat(6 * 1024 * 1024), mimetype: 'image/png', caption: '' });
+  const [entry] = outbox.listFailed();
+  assert.equal(entry.retryable, false);
+  assert.deepEqual(await outbox.retryFailed(entry.id), { success: false, error: 'Image was too large to keep for retrying' });
+});
+
+test('jobs for one chat are delivered in the order they were queued', async () => {
+  failUntil = 1;
+  await Promise.all(['one', 'two', 'three'].map(text => outbox.deliver({ kind: 'text', chatId: 'b', text })));
+  assert.deepEqual(attempts.map(job => job.text), ['one', 'one', 'two', 'three']);
+});
@@ -0,0 +1,33 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadProviders, getDefaultProvider } from '../providers/index.js';
+
+const dirs = [];
+after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function writeConfig(config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jinn-providers-'));
+  dirs.push(dir);
+  const configPath = path.join(dir, 'providers.json');
+  fs.writeFileSync(configPath, JSON.stringify(config));
+  return configPath;
+}
+
+test('a configured default that is not available falls back to an available provider', () => {
+  const configPath = writeConfig({ default: 'gone', providers: { claude: { enabled: false } } });
+  const name = loadProviders(configPath);
+  assert.ok(name && name !== 'gone' && name !== 'claude');
+  assert.equal(getDefaultProvider(), name);
+});
+
+test('the configured default is matched without regard to case', () => {
+  assert.equal(loadProviders(writeConfig({ default: 'Qwen' })), 'qwen');
+});
+
+test('loading fails when no provider is enabled', () => {
+  const configPath = writeConfig({ providers: { claude: { enabled: false }, qwen: { enabled: false }, 'claude-api': { enabled: false } } });
+  assert.throws(() => loadProviders(configPath), /no AI provider is enabled/);
+});
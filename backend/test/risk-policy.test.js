@@ -0,0 +1,46 @@
+import test, { afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { configureRiskPolicy, canActOnMachine, promptRisk, isLargeQueue } from '../risk-policy.js';
+
+afterEach(() => configureRiskPolicy({ prompts: true, queueFiles: 100 }));
+
+test('only the command line providers can act on this machine', () => {
+  assert.equal(canActOnMachine('claude-cli'), true);
+  assert.equal(canActOnMachine('qwen-cli'), true);
+  for (const type of ['anthropic', 'openai', 'ollama', undefined]) {
+    assert.equal(canActOnMachine(type), false);
+  }
+});
+
+test('risky prompts to an acting provider are named', () => {
+  assert.equal(promptRisk('Please delete all the files in Downloads', 'claude-cli'), 'delete files');
+  assert.equal(promptRisk('rm -rf ~/Desktop/old', 'claude-cli'), 'delete files');
+  assert.equal(promptRisk('run this shell script for me', 'qwen-cli'), 'run shell commands');
+  assert.equal(promptRisk('sudo apt upgrade', 'claude-cli'), 'run shell commands');
+  assert.equal(promptRisk('install the github mcp server', 'claude-cli'), 'change MCP servers');
+});
+
+test('ordinary prompts need no confirmation', () => {
+  assert.equal(promptRisk('What is on my calendar today?', 'claude-cli'), null);
+  assert.equal(promptRisk('Summarize the files in Documents', 'claude-cli'), null);
+  assert.equal(promptRisk('How do I remove a stain from a shirt?', 'claude-cli'), null);
+});
+
+test('a provider that can only answer is never asked about', () => {
+  assert.equal(promptRisk('delete all my files', 'anthropic'), null);
+  assert.equal(promptRisk('run the shell command ls', 'openai'), null);
+});
+
+test('prompt checks can be turned off', () => {
+  configureRiskPolicy({ prompts: false });
+  assert.equal(promptRisk('delete all my files', 'claude-cli'), null);
+});
+
+test('queues above the configured size are large, and 0 turns the check off', () => {
+  assert.equal(isLargeQueue(100), false);
+  assert.equal(isLargeQueue(101), true);
+  configureRiskPolicy({ queueFiles: 0 });
+  assert.equal(isLargeQueue(10000), false);
+  configureRiskPolicy({ queueFiles: Number('nope') });
+  assert.equal(isLargeQueue(10000), false);
+});
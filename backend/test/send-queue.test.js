@@ -0,0 +1,98 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { configureSendQueue, enqueue, acquireSlot, getSendQueueStatus } from '../send-queue.js';
+
+// Time only moves when a test ticks it
+mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+
+// Let queued promise callbacks run
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+test('jobs for one chat run one after another, other chats do not wait for them', async () => {
+  const order = [];
+  let finishFirst;
+  const first = enqueue('a', () => new Promise(resolve => {
+    order.push('a1 start');
+    finishFirst = () => resolve('a1');
+  }));
+  const second = enqueue('a', async () => order.push('a2'));
+  const other = enqueue('b', async () => order.push('b1'));
+  await other;
+  assert.deepEqual(order, ['a1 start', 'b1']);
+  await settle();
+  assert.equal(getSendQueueStatus().queued, 2);
+
+  finishFirst();
+  assert.equal(await first, 'a1');
+  await second;
+  assert.deepEqual(order, ['a1 start', 'b1', 'a2']);
+  await settle();
+  assert.equal(getSendQueueStatus().queued, 0);
+});
+
+test('a job that throws rejects its own promise but not the next one', async () => {
+  const failing = enqueue('c', async () => {
+    throw new Error('boom');
+  });
+  const next = enqueue('c', async () => 'ok');
+  await assert.rejects(failing, /boom/);
+  assert.equal(await next, 'ok');
+});
+
+test('sends are spaced by minGapMs', async () => {
+  configureSendQueue({ perMinute: 100, perChatPerMinute: 100, minGapMs: 1000 });
+  mock.timers.tick(60000);
+  await acquireSlot('d');
+  let second = false;
+  acquireSlot('d').then(() => (second = true));
+  await settle();
+  assert.equal(second, false);
+  assert.equal(getSendQueueStatus().waitingForSlot, 1);
+  mock.timers.tick(1000);
+  await settle();
+  assert.equal(second, true);
+});
+
+test('one chat over its per-minute limit waits while other chats still send', async () => {
+  configureSendQueue({ perMinute: 100, perChatPerMinute: 2, minGapMs: 1 });
+  mock.timers.tick(60000);
+  await acquireSlot('e');
+  mock.timers.tick(1);
+  await acquireSlot('e');
+  mock.timers.tick(1);
+
+  let third = false;
+  acquireSlot('e').then(() => (third = true));
+  await settle();
+  assert.equal(third, false);
+
+  let other = false;
+  acquireSlot('f').then(() => (other = true));
+  await settle();
+  assert.equal(other, true);
+
+  mock.timers.tick(60000);
+  await settle();
+  assert.equal(third, true);
+  assert.equal(getSendQueueStatus().waitingForSlot, 0);
+});
+
+test('all chats together are held to perMinute', async () => {
+  configureSendQueue({ perMinute: 3, perChatPerMinute: 100, minGapMs: 1 });
+  mock.timers.tick(60000);
+  for (const chat of ['g', 'h', 'i']) {
+    await acquireSlot(chat);
+    mock.timers.tick(1);
+  }
+  assert.equal(getSendQueueStatus().sentLastMinute, 3);
+
+  let fourth = false;
+  acquireSlot('j').then(() => (fourth = true));
+  await settle();
+  assert.equal(fourth, false);
+  mock.timers.tick(60000);
+  await settle();
+  assert.equal(fourth, true);
+});
@@ -0,0 +1,26 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { formatForWhatsApp } from '../whatsapp-format.js';
+
+const format = markdown => formatForWhatsApp(markdown).text;
+
+test('markdown emphasis becomes WhatsApp formatting', () => {
+  assert.equal(format('**bold**, __also bold__, *italic* and ~~gone~~'), '*bold*, *also bold*, _italic_ and ~gone~');
+});
+
+test('dunder names and identifiers with underscores are left alone', () => {
+  assert.equal(format('Define __init__ and read __dirname or __file__ here'), 'Define __init__ and read __dirname or __file__ here');
+  assert.equal(format('Set MAX__LIMIT__VALUE and my__var__name'), 'Set MAX__LIMIT__VALUE and my__var__name');
+});
+
+test('nothing inside code is converted', () => {
+  assert.equal(format('Call `__init__` or `__a b__`'), 'Call ```__init__``` or ```__a b__```');
+  assert.equal(format('```python\ndef __init__(self):\n    x = __a b__\n```'), '```\ndef __init__(self):\n    x = __a b__\n```');
+});
+
+test('table cells keep identifiers but lose emphasis markers', () => {
+  const text = format('| Name | Use |\n|---|---|\n| __init__ | __sets up__ |');
+  assert.match(text, /__init__/);
+  assert.match(text, /sets up/);
+  assert.doesNotMatch(text, /__sets up__/);
+});
@@ -0,0 +1,116 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runProcess, ProcessError } from './process-runner.js';
+
+// Voice replies: an AI answer is spoken by a local engine (Piper or espeak-ng) and encoded
+// to OGG/Opus, the format WhatsApp plays as a voice note. Answers with code, tables or links,
+// or that are too long to listen to, are left as text (see unspeakableReason).
+
+const TIMEOUT_MS = 2 * 60 * 1000;
+
+let settings = {
+  engine: 'espeak-ng',
+  piperBin: 'piper',
+  piperVoice: '',
+  espeakBin: 'espeak-ng',
+  ffmpegBin: 'ffmpeg',
+  maxChars: 1200,
+  outputDir: os.tmpdir()
+};
+
+// Piper voices are files such as en_US-lessac-medium.onnx. piperVoice is one of them, or a
+// folder of them, in which case the voice is picked by language (the first one otherwise).
+function piperVoiceFor(language) {
+  const voice = settings.piperVoice;
+  if (!fs.existsSync(voice)) {
+    throw new Error(`Piper voice not found: ${voice}`);
+  }
+  if (!fs.statSync(voice).isDirectory()) return voice;
+  const voices = fs.readdirSync(voice).filter(name => name.endsWith('.onnx')).sort();
+  const match = (language && voices.find(name => name.startsWith(`${language}_`))) || voices[0];
+  if (!match) {
+    throw new Error(`No Piper voices (.onnx) in ${voice}`);
+  }
+  return path.join(voice, match);
+}
+
+// Engine adapters: speak(text, { language, wavPath }) writes a WAV file
+export const ENGINES = {
+  piper: {
+    async speak(text, { language, wavPath }) {
+      await runProcess(settings.piperBin, ['--model', piperVoiceFor(language), '--output_file', wavPath], {
+        input: text,
+        timeoutMs: TIMEOUT_MS,
+        label: 'Piper'
+      });
+    }
+  },
+
+  'espeak-ng': {
+    async speak(text, { language, wavPath }) {
+      await runProcess(settings.espeakBin, ['-v', language || 'en', '-w', wavPath, '--stdin'], {
+        input: text,
+        timeoutMs: TIMEOUT_MS,
+        label: 'espeak-ng'
+      });
+    }
+  }
+};
+
+export function initTextToSpeech(options = {}) {
+  settings = { ...settings, ...Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined)) };
+  console.log(`Voice replies: ${settings.engine}, up to ${settings.maxChars} characters`);
+}
+
+// Why an answer should stay text, or null when it can be spoken
+export function unspeakableReason(text) {
+  if (!text.trim()) return 'it is empty';
+  if (/```|^ {4}\S/m.test(text)) return 'it has code';
+  if (/^\s*\|.*\|\s*$/m.test(text)) return 'it has a table';
+  if ((text.match(/`[^`\n]+`/g) || []).length > 3) return 'it has code';
+  if ((text.match(/https?:\/\/\S+/g) || []).length > 1) return 'it has links';
+  if (text.length > settings.maxChars) return `it is longer than ${settings.maxChars} characters`;
+  return null;
+}
+
+// Markdown and emoji read aloud sound like noise
+function toSpeech(text) {
+  return text
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+    .replace(/https?:\/\/\S+/g, 'a link')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/^\s*[-*+]\s+/gm, '')
+    .replace(/[*_~]+/g, '')
+    .replace(/\p{Extended_Pictographic}️?/gu, '')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
+
+// Speak a text into an .ogg voice note in the output folder and return its path.
+// language is a code such as 'en' (the engine's default when not given).
+export async function synthesize(text, { language, name = `voice-${Date.now()}` } = {}) {
+  const engine = ENGINES[settings.engine];
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jinn-tts-'));
+  const wavPath = path.join(workDir, 'speech.wav');
+  const oggPath = path.join(settings.outputDir, `${name}.ogg`);
+
+  try {
+    await engine.speak(toSpeech(text), { language, wavPath });
+    await runProcess(settings.ffmpegBin, ['-y', '-loglevel', 'error', '-i', wavPath, '-c:a', 'libopus', '-b:a', '32k', '-ac', '1', '-ar', '48000', '-application', 'voip', oggPath], {
+      timeoutMs: 60000,
+      label: 'ffmpeg'
+    });
+  } catch (err) {
+    if (err instanceof ProcessError && err.reason === 'spawn') {
+      throw new Error(`${err.message} (is it installed?)`);
+    }
+    throw err;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  console.log(`Spoke ${text.length} characters with ${settings.engine}:`, oggPath);
+  return oggPath;
+}
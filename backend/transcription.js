@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runProcess, ProcessError } from './process-runner.js';
+
+// Speech to text for voice messages, through one of several local engines. The language is
+// detected unless a chat set one with /lang. Transcripts are cached by a hash of the audio
+// (with the engine, model and language), so a forwarded voice note is only transcribed once.
+// State is persisted as { engine, model, cache: { [key]: { text, language, at } } }, where
+// engine and model are the owner's /stt choices (null: the configured one).
+
+const TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+// faster-whisper has no command line tool of its own, so it runs through Python
+const FASTER_WHISPER_SCRIPT = `
+import json, sys
+from faster_whisper import WhisperModel
+audio, model, language = sys.argv[1:4]
+segments, info = WhisperModel(model, compute_type="int8").transcribe(audio, language=None if language == "auto" else language)
+print(json.dumps({"text": "".join(s.text for s in segments).strip(), "language": info.language}))
+`;
+
+// Engine adapters: transcribe(audioPath, { model, language, workDir }) => { text, language }
+export const ENGINES = {
+  'openai-whisper': {
+    bin: () => settings.whisperBin,
+    async transcribe(audioPath, { model, language, workDir }) {
+      await runProcess(settings.whisperBin, [
+        audioPath,
+        '--model', model,
+        '--output_format', 'json',
+        '--output_dir', workDir,
+        ...(language === 'auto' ? [] : ['--language', language])
+      ], { timeoutMs: TIMEOUT_MS, label: 'Whisper' });
+      const outPath = path.join(workDir, `${path.parse(audioPath).name}.json`);
+      const data = JSON.parse(fs.readFileSync(outPath, 'utf8'));
+      return { text: data.text, language: data.language };
+    }
+  },
+
+  'whisper-cpp': {
+    bin: () => settings.whisperCppBin,
+    async transcribe(audioPath, { model, language, workDir }) {
+      // whisper.cpp only reads 16 kHz WAV
+      const wavPath = path.join(workDir, 'audio.wav');
+      await runProcess(settings.ffmpegBin, ['-y', '-loglevel', 'error', '-i', audioPath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath], {
+        timeoutMs: 60000,
+        label: 'ffmpeg'
+      });
+      const modelPath = model.endsWith('.bin') ? model : path.join(settings.whisperCppModelDir, `ggml-${model}.bin`);
+      if (!fs.existsSync(modelPath)) {
+        throw new Error(`whisper.cpp model not found: ${modelPath}`);
+      }
+      const outBase = path.join(workDir, 'transcript');
+      await runProcess(settings.whisperCppBin, ['-m', modelPath, '-f', wavPath, '-l', language, '-oj', '-of', outBase, '-np'], {
+        timeoutMs: TIMEOUT_MS,
+        label: 'whisper.cpp'
+      });
+      const data = JSON.parse(fs.readFileSync(`${outBase}.json`, 'utf8'));
+      return {
+        text: (data.transcription || []).map(segment => segment.text).join(''),
+        language: data.result?.language
+      };
+    }
+  },
+
+  'faster-whisper': {
+    bin: () => settings.pythonBin,
+    async transcribe(audioPath, { model, language }) {
+      const { stdout } = await runProcess(settings.pythonBin, ['-c', FASTER_WHISPER_SCRIPT, audioPath, model, language], {
+        timeoutMs: TIMEOUT_MS,
+        label: 'faster-whisper'
+      });
+      return JSON.parse(stdout.trim().split('\n').pop());
+    }
+  }
+};
+
+let settings = {
+  engine: 'openai-whisper',
+  model: 'base',
+  language: 'auto',
+  whisperBin: 'whisper',
+  whisperCppBin: 'whisper-cli',
+  whisperCppModelDir: '',
+  pythonBin: 'python3',
+  ffmpegBin: 'ffmpeg'
+};
+let statePath = null;
+let state = { engine: null, model: null, cache: {} };
+
+function save() {
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+}
+
+export function initTranscription(filePath, options = {}) {
+  statePath = filePath;
+  settings = { ...settings, ...Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined)) };
+  try {
+    if (fs.existsSync(statePath)) {
+      state = { ...state, ...JSON.parse(fs.readFileSync(statePath, 'utf8')) };
+    }
+  } catch (err) {
+    console.error('Could not read transcription cache, starting empty:', err.message);
+  }
+  const { engine, model } = getTranscriptionSettings();
+  console.log(`Transcription: ${engine} (${model}), ${Object.keys(state.cache).length} cached`);
+}
+
+// { engine, model, language, cached }: what is used now
+export function getTranscriptionSettings() {
+  return {
+    engine: ENGINES[state.engine] ? state.engine : settings.engine,
+    model: state.model || settings.model,
+    language: settings.language,
+    cached: Object.keys(state.cache).length
+  };
+}
+
+// The owner's choice of engine or model; null goes back to the configured one
+export function setTranscriptionEngine(engine) {
+  if (engine !== null && !ENGINES[engine]) {
+    throw new Error(`Unknown engine "${engine}" (known: ${Object.keys(ENGINES).join(', ')})`);
+  }
+  state.engine = engine;
+  save();
+}
+
+export function setTranscriptionModel(model) {
+  state.model = model;
+  save();
+}
+
+// Transcribe an audio file: { text, language, engine, model, cached }.
+// language is a code such as 'en', or 'auto' (the default setting when not given).
+export async function transcribe(audioPath, { language } = {}) {
+  const { engine, model } = getTranscriptionSettings();
+  const lang = language || settings.language;
+  const hash = crypto.createHash('sha256').update(fs.readFileSync(audioPath)).digest('hex');
+  const key = `${hash}:${engine}:${model}:${lang}`;
+
+  const hit = state.cache[key];
+  if (hit) {
+    console.log('Transcription cache hit:', hash.slice(0, 12));
+    return { text: hit.text, language: hit.language, engine, model, cached: true };
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jinn-stt-'));
+  let result;
+  try {
+    console.log(`Transcribing ${path.basename(audioPath)} with ${engine} (${model}, language: ${lang})`);
+    result = await ENGINES[engine].transcribe(audioPath, { model, language: lang, workDir });
+  } catch (err) {
+    if (err instanceof ProcessError && err.reason === 'spawn') {
+      throw new Error(`${engine} is not installed or not found (${ENGINES[engine].bin()})`);
+    }
+    throw err;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  const text = (result.text || '').trim();
+  if (!text) {
+    throw new Error('no speech found in the recording');
+  }
+  const detected = result.language || (lang === 'auto' ? null : lang);
+
+  // Oldest entries go first once the cache is full
+  state.cache[key] = { text, language: detected, at: Date.now() };
+  const keys = Object.keys(state.cache);
+  keys.slice(0, Math.max(0, keys.length - MAX_CACHE_ENTRIES)).forEach(old => delete state.cache[old]);
+  save();
+
+  return { text, language: detected, engine, model, cached: false };
+}
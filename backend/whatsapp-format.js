@@ -0,0 +1,205 @@
+import path from 'path';
+import { withPage } from './page-capture.js';
+
+// Markdown from the AI turned into WhatsApp's own formatting: *bold*, _italic_, ~strike~
+// and ``` monospace. Headings become bold lines, links show their URL, and tables become
+// aligned monospace blocks when narrow enough for a phone, otherwise one bullet per row.
+// Code is left alone. With images on, long code blocks and tables are taken out of the
+// text and returned as HTML pages for renderBlockImages().
+
+const TABLE_MAX_WIDTH = 36;  // characters that fit a phone screen in monospace
+const RULE = '───────────';
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+// __text__ and _text_ only count as emphasis between word boundaries, and not around a single
+// identifier, so names such as __init__ or __dirname in an answer stay as they are
+const UNDERSCORE_EMPHASIS = /(?<!\w)(__?)(?![\s_])((?:(?!\1).)+?)(?<![\s_])\1(?!\w)/g;
+const IDENTIFIER = /^[A-Za-z_]\w*$/;
+
+function replaceUnderscoreEmphasis(text, replace) {
+  return text.replace(UNDERSCORE_EMPHASIS, (match, marker, inner) => (IDENTIFIER.test(inner) ? match : replace(marker, inner)));
+}
+
+// Text and fenced code blocks, in order; an unclosed fence runs to the end
+function splitCode(markdown) {
+  const segments = [];
+  let current = [];
+  let inCode = false;
+  const close = () => {
+    if (current.length) segments.push({ code: inCode, lines: current });
+    current = [];
+  };
+
+  for (const line of markdown.split('\n')) {
+    if (/^\s*```/.test(line)) {
+      if (inCode) {
+        current.push(line);
+        close();
+        inCode = false;
+      } else {
+        close();
+        inCode = true;
+        current.push(line);
+      }
+    } else {
+      current.push(line);
+    }
+  }
+  close();
+  return segments;
+}
+
+// The language tag would show up as text in WhatsApp
+function formatCode(lines) {
+  return ['```', ...lines.slice(1)].join('\n');
+}
+
+function formatInline(line) {
+  // Inline code is kept out of the other replacements
+  const codes = [];
+  let text = line.replace(/`([^`\n]+)`/g, (_, code) => {
+    codes.push(code);
+    return `\u0000${codes.length - 1}\u0000`;
+  });
+
+  text = text
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, (_, alt, url) => (alt ? `${alt} (${url})` : url))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (_, label, url) => (label === url ? url : `${label} (${url})`))
+    .replace(/(^|[^*\w])\*(?![\s*])([^*\n]+?)(?<!\s)\*(?!\*)/g, '$1_$2_')
+    .replace(/\*\*\*(?!\s)(.+?)(?<!\s)\*\*\*/g, '*_$1_*')
+    .replace(/\*\*(?!\s)(.+?)(?<!\s)\*\*/g, '*$1*')
+    .replace(/~~(?!\s)(.+?)(?<!\s)~~/g, '~$1~');
+  text = replaceUnderscoreEmphasis(text, (marker, inner) => (marker === '__' ? `*${inner}*` : `${marker}${inner}${marker}`));
+
+  return text.replace(/\u0000(\d+)\u0000/g, (_, i) => `\`\`\`${codes[i]}\`\`\``);
+}
+
+// Markdown markers removed, for table cells and headings
+function plain(text) {
+  // Inline code loses its backticks but keeps what looks like markers inside
+  return text.split(/(`[^`]+`)/).map((part, i) => {
+    if (i % 2) return part.slice(1, -1);
+    const stripped = part
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/(\*\*|~~|\*)(?=\S)(.+?)(?<=\S)\1/g, '$2');
+    return replaceUnderscoreEmphasis(stripped, (marker, inner) => inner);
+  }).join('').trim();
+}
+
+function parseRow(line) {
+  return line.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => plain(cell.replace(/\\\|/g, '|')));
+}
+
+function formatTable(lines) {
+  const [header, , ...rows] = lines.map(parseRow);
+  const columns = header.length;
+  const widths = header.map((_, i) => Math.max(...[header, ...rows].map(row => (row[i] || '').length)));
+  const width = widths.reduce((sum, w) => sum + w, 0) + 3 * (columns - 1);
+
+  if (width <= TABLE_MAX_WIDTH) {
+    const line = row => widths.map((w, i) => (row[i] || '').padEnd(w)).join(' | ').trimEnd();
+    return ['```', line(header), widths.map(w => '-'.repeat(w)).join('-+-'), ...rows.map(line), '```'].join('\n');
+  }
+
+  // Too wide: one bullet per row, labelled with the column names
+  return rows.map(row => {
+    const details = header.slice(1).map((name, i) => `   ${name}: ${row[i + 1] || '-'}`);
+    return [`• *${row[0] || '-'}*`, ...details].join('\n');
+  }).join('\n');
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function blockPage(body) {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><style>
+    body { margin: 0; background: #1e1e1e; }
+    #block { display: inline-block; padding: 20px; background: #1e1e1e; color: #d4d4d4;
+      font: 15px/1.5 Menlo, Consolas, monospace; }
+    pre { margin: 0; white-space: pre; }
+    table { border-collapse: collapse; font-family: -apple-system, Segoe UI, sans-serif; }
+    th, td { border: 1px solid #3c3c3c; padding: 6px 12px; text-align: left; }
+    th { background: #252526; color: #569cd6; }
+  </style></head><body><div id="block">${body}</div></body></html>`;
+}
+
+function codePage(lines) {
+  const body = /^\s*```\s*$/.test(lines[lines.length - 1]) ? lines.slice(1, -1) : lines.slice(1);
+  return blockPage(`<pre>${escapeHtml(body.join('\n'))}</pre>`);
+}
+
+function tablePage(lines) {
+  const [header, , ...rows] = lines.map(parseRow);
+  const cells = (row, tag) => `<tr>${row.map(cell => `<${tag}>${escapeHtml(cell)}</${tag}>`).join('')}</tr>`;
+  return blockPage(`<table>${cells(header, 'th')}${rows.map(row => cells(row, 'td')).join('')}</table>`);
+}
+
+// Format one run of non-code lines
+function formatText(lines, takeImage) {
+  const out = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (TABLE_ROW.test(line) && TABLE_SEPARATOR.test(lines[i + 1] || '')) {
+      let end = i + 2;
+      while (end < lines.length && TABLE_ROW.test(lines[end])) end++;
+      const table = lines.slice(i, end);
+      out.push(takeImage('table', table) || formatTable(table));
+      i = end - 1;
+      continue;
+    }
+
+    const heading = line.match(/^\s*#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      out.push(`*${plain(heading[1])}*`);
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      out.push(RULE);
+    } else {
+      // "* item" would read as bold
+      out.push(formatInline(line.replace(/^(\s*)[*+]\s+/, '$1- ')));
+    }
+  }
+  return out.join('\n');
+}
+
+// { text, images: [{ kind, html }] }. With images, code blocks and tables of at least
+// minImageLines lines are replaced by a note and returned as pages to render.
+export function formatForWhatsApp(markdown, { images = false, minImageLines = 25 } = {}) {
+  const pages = [];
+  const takeImage = (kind, lines) => {
+    if (!images || lines.length < minImageLines) return null;
+    pages.push({ kind, html: kind === 'code' ? codePage(lines) : tablePage(lines) });
+    return `🖼️ (${kind === 'code' ? 'Code' : 'Table'} sent as image ${pages.length})`;
+  };
+
+  const text = splitCode(markdown)
+    .map(segment => (segment.code
+      ? takeImage('code', segment.lines) || formatCode(segment.lines)
+      : formatText(segment.lines, takeImage)))
+    .join('\n');
+
+  return { text, images: pages };
+}
+
+// Render the pages from formatForWhatsApp to PNG files in dir, in the shared capture
+// browser (see page-capture.js); resolves to their paths
+export async function renderBlockImages(pages, dir) {
+  if (pages.length === 0) return [];
+  const files = [];
+  try {
+    await withPage(null, { width: 800, scale: 2 }, async (page) => {
+      for (const [i, { kind, html }] of pages.entries()) {
+        await page.setContent(html);
+        const filePath = path.join(dir, `${kind}-${Date.now()}-${i + 1}.png`);
+        const block = await page.$('#block');
+        await block.screenshot({ path: filePath });
+        files.push(filePath);
+      }
+    });
+  } catch (err) {
+    // Whatever was rendered is still worth sending
+    console.error('Could not render blocks as images:', err.message);
+  }
+  return files;
+}
@@ -3,8 +3,27 @@ import { io } from 'socket.io-client';
 import QRCode from './components/QRCode';
 import Terminal from './components/Terminal';
 import MCPManager from './components/MCPManager';
+import Login from './components/Login';
 
-const socket = io('http://localhost:3001');
+const TOKEN_KEY = 'jinn-session-token';
+let pendingPassword = null;
+
+const LOGIN_ERRORS = {
+  'unauthorized': null,
+  'invalid-password': 'Wrong password',
+  'too-many-attempts': 'Too many failed attempts, try again in a few minutes'
+};
+
+// Connects after login: sends the stored session token, or the password while logging in.
+// The backend is reached through the page's own address (the dev server forwards Socket.io,
+// see vite.config.js) unless VITE_BACKEND_URL names it.
+const socketOptions = {
+  autoConnect: false,
+  auth: (cb) => cb(pendingPassword ? { password: pendingPassword } : { token: localStorage.getItem(TOKEN_KEY) })
+};
+const socket = import.meta.env.VITE_BACKEND_URL
+  ? io(import.meta.env.VITE_BACKEND_URL, socketOptions)
+  : io(socketOptions);
 
 function App() {
   const [isConnected, setIsConnected] = useState(false);
@@ -12,6 +31,9 @@ function App() {
   const [messages, setMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
   const [showMCPManager, setShowMCPManager] = useState(false);
+  const [session, setSession] = useState(null);
+  const [auth, setAuth] = useState({ status: 'connecting', role: null, error: null });
+  const [notice, setNotice] = useState(null);
   const messagesEndRef = useRef(null);
 
   const scrollToBottom = () => {
@@ -27,6 +49,23 @@ function App() {
       console.log('Connected to server');
     });
 
+    socket.on('auth-session', ({ role, token }) => {
+      localStorage.setItem(TOKEN_KEY, token);
+      pendingPassword = null;
+      setAuth({ status: 'ok', role, error: null });
+    });
+
+    socket.on('connect_error', (err) => {
+      if (!(err.message in LOGIN_ERRORS)) return;
+      pendingPassword = null;
+      localStorage.removeItem(TOKEN_KEY);
+      setAuth({ status: 'login', role: null, error: LOGIN_ERRORS[err.message] });
+    });
+
+    socket.on('forbidden', ({ message }) => {
+      setNotice(message);
+    });
+
     socket.on('qr', (qr) => {
       setQrCode(qr);
       setIsConnected(false);
@@ -59,12 +98,21 @@ function App() {
       setMessages((prev) => [...prev, message]);
     });
 
+    socket.on('session-info', (info) => {
+      setSession(info);
+    });
+
     socket.on('error', (error) => {
       console.error('Socket error:', error);
     });
 
+    socket.connect();
+
     return () => {
       socket.off('connect');
+      socket.off('auth-session');
+      socket.off('connect_error');
+      socket.off('forbidden');
       socket.off('qr');
       socket.off('ready');
       socket.off('authenticated');
@@ -72,10 +120,32 @@ function App() {
       socket.off('messages');
       socket.off('message');
       socket.off('message-sent');
+      socket.off('session-info');
       socket.off('error');
     };
   }, []);
 
+  // Hide the read-only notice after a few seconds
+  useEffect(() => {
+    if (!notice) return;
+    const timer = setTimeout(() => setNotice(null), 4000);
+    return () => clearTimeout(timer);
+  }, [notice]);
+
+  const handleLogin = (password) => {
+    pendingPassword = password;
+    setAuth({ status: 'connecting', role: null, error: null });
+    socket.connect();
+  };
+
+  const handleLogout = () => {
+    localStorage.removeItem(TOKEN_KEY);
+    socket.disconnect();
+    setIsConnected(false);
+    setMessages([]);
+    setAuth({ status: 'login', role: null, error: null });
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (inputMessage.trim()) {
@@ -119,6 +189,17 @@ function App() {
     return <p className="media-unsupported">Media: {mimetype}</p>;
   };
 
+  if (auth.status !== 'ok') {
+    return (
+      <div className="app">
+        <div className="app-container qr-view">
+          <h1>Jinn</h1>
+          <Login onLogin={handleLogin} error={auth.error} connecting={auth.status === 'connecting'} />
+        </div>
+      </div>
+    );
+  }
+
   if (!isConnected) {
     return (
       <div className="app">
@@ -154,6 +235,7 @@ function App() {
 
   return (
     <div className="app">
+      {notice && <div className="auth-notice">{notice}</div>}
       <div className="split-container">
         {/* Left side - Terminal */}
         <div className="split-left">
@@ -165,6 +247,13 @@ function App() {
           <div className="app-container self-chat">
             <div className="chat-header">
               <h2>Notes to Self</h2>
+              {session && (
+                <span className="session-badge" title={`${session.messages} messages in this session`}>
+                  Session: {session.name}
+                </span>
+              )}
+              {auth.role === 'viewer' && <span className="role-badge">Read-only</span>}
+              <button className="logout-button" onClick={handleLogout}>Log out</button>
             </div>
 
             <div className="messages-container">
@@ -34,7 +34,10 @@ function ChatList({ chats, selectedChat, onSelectChat }) {
               </div>
               <div className="chat-info">
                 <div className="chat-name-row">
-                  <span className="chat-name">{chat.name}</span>
+                  <span className="chat-name">
+                    {chat.name}
+                    {chat.allowed && <span className="chat-allowed-badge" title="Jinn responds here">✓</span>}
+                  </span>
                   <span className="chat-time">{formatTime(chat.timestamp)}</span>
                 </div>
                 <div className="chat-last-message">
@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import ChatList from './ChatList';
+
+function ChatManager({ socket, isOpen, onClose }) {
+  const [chats, setChats] = useState([]);
+  const [providers, setProviders] = useState([]);
+  const [selectedChat, setSelectedChat] = useState(null);
+  const [mentionTrigger, setMentionTrigger] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Fetch chats when modal opens
+  useEffect(() => {
+    if (isOpen && socket) {
+      fetchChats();
+      socket.emit('get-providers');
+    }
+  }, [isOpen, socket]);
+
+  // Socket event listeners
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleChatsList = ({ chats: chatList, mentionTrigger: trigger, error: err }) => {
+      setLoading(false);
+      if (err) {
+        setError(err);
+        return;
+      }
+      setChats(chatList || []);
+      setMentionTrigger(trigger || '');
+      setError(null);
+      // Keep the selection in sync with the refreshed list
+      setSelectedChat(prev => prev ? (chatList || []).find(c => c.id === prev.id) || null : null);
+    };
+
+    const handleAccessUpdated = ({ success, error: err }) => {
+      if (success) {
+        fetchChats();
+      } else {
+        setError(err || 'Failed to update chat');
+      }
+    };
+
+    const handleProvidersList = ({ providers: list }) => {
+      setProviders(list || []);
+    };
+
+    socket.on('chats-list', handleChatsList);
+    socket.on('chat-access-updated', handleAccessUpdated);
+    socket.on('providers-list', handleProvidersList);
+
+    return () => {
+      socket.off('chats-list', handleChatsList);
+      socket.off('chat-access-updated', handleAccessUpdated);
+      socket.off('providers-list', handleProvidersList);
+    };
+  }, [socket]);
+
+  const fetchChats = () => {
+    setLoading(true);
+    socket?.emit('get-chats');
+  };
+
+  const updateAccess = (chat, changes) => {
+    socket?.emit('update-chat-access', {
+      chatId: chat.id,
+      name: chat.name,
+      isGroup: chat.isGroup,
+      allowed: chat.allowed,
+      requireMention: chat.requireMention,
+      provider: chat.provider,
+      ...changes
+    });
+  };
+
+  const saveMentionTrigger = (e) => {
+    e.preventDefault();
+    if (!mentionTrigger.trim()) return;
+    socket?.emit('update-mention-trigger', { trigger: mentionTrigger.trim() });
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="mcp-modal-overlay" onClick={onClose}>
+      <div className="mcp-modal mcp-modal-large" onClick={(e) => e.stopPropagation()}>
+        <div className="mcp-modal-header">
+          <h2>Allowed Chats</h2>
+          <button className="mcp-close-btn" onClick={onClose}>&times;</button>
+        </div>
+
+        <div className="mcp-modal-body">
+          {error && <div className="mcp-error">{error}</div>}
+
+          <form className="chat-trigger-form" onSubmit={saveMentionTrigger}>
+            <label>Group mention trigger</label>
+            <input
+              type="text"
+              value={mentionTrigger}
+              onChange={(e) => setMentionTrigger(e.target.value)}
+              placeholder="@jinn"
+              className="mcp-input"
+            />
+            <button type="submit" className="mcp-add-btn" disabled={!mentionTrigger.trim()}>
+              Save
+            </button>
+          </form>
+
+          <div className="chat-manager">
+            {loading && chats.length === 0 ? (
+              <div className="mcp-loading">Loading chats...</div>
+            ) : (
+              <ChatList chats={chats} selectedChat={selectedChat} onSelectChat={setSelectedChat} />
+            )}
+
+            <div className="chat-access-panel">
+              {!selectedChat ? (
+                <div className="mcp-empty">Select a chat to let Jinn answer it</div>
+              ) : (
+                <>
+                  <h3>{selectedChat.isGroup ? '👥' : '👤'} {selectedChat.name}</h3>
+                  <div className="chat-access-id">{selectedChat.id}</div>
+
+                  <label className="chat-access-option">
+                    <input
+                      type="checkbox"
+                      checked={selectedChat.allowed}
+                      onChange={(e) => updateAccess(selectedChat, { allowed: e.target.checked })}
+                    />
+                    Jinn responds in this chat
+                  </label>
+
+                  <label className="chat-access-option">
+                    <input
+                      type="checkbox"
+                      checked={selectedChat.requireMention}
+                      disabled={!selectedChat.allowed}
+                      onChange={(e) => updateAccess(selectedChat, { requireMention: e.target.checked })}
+                    />
+                    Only when mentioned ({mentionTrigger || 'no trigger set'})
+                  </label>
+
+                  <label className="chat-access-option">
+                    AI provider
+                    <select
+                      className="mcp-input"
+                      value={selectedChat.provider || ''}
+                      disabled={!selectedChat.allowed}
+                      onChange={(e) => updateAccess(selectedChat, { provider: e.target.value || null })}
+                    >
+                      <option value="">Default</option>
+                      {providers.map(p => (
+                        <option key={p.name} value={p.name}>{p.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ChatManager;
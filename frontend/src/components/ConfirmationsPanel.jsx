@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react';
+
+function ConfirmationsPanel({ socket }) {
+  const [pending, setPending] = useState([]);
+  const [error, setError] = useState(null);
+  const [answering, setAnswering] = useState(new Set());
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleList = ({ pending: list, error: err }) => {
+      setPending(list || []);
+      setError(err || null);
+    };
+
+    // Answered and expired entries leave the list
+    const handleUpdated = ({ pending: list }) => {
+      setPending(list || []);
+      setAnswering(prev => new Set([...prev].filter(code => (list || []).some(c => c.code === code))));
+    };
+
+    socket.on('confirmations-list', handleList);
+    socket.on('confirmations-updated', handleUpdated);
+    socket.emit('get-confirmations');
+
+    return () => {
+      socket.off('confirmations-list', handleList);
+      socket.off('confirmations-updated', handleUpdated);
+    };
+  }, [socket]);
+
+  const decide = (code, approve) => {
+    setAnswering(prev => new Set(prev).add(code));
+    socket?.emit('confirmation-decision', { code, approve });
+  };
+
+  if (pending.length === 0 && !error) return null;
+
+  return (
+    <div className="confirm-panel" onClick={(e) => e.stopPropagation()}>
+      <div className="confirm-title">⚠️ Waiting for confirmation ({pending.length})</div>
+      {error && <div className="queue-error">{error}</div>}
+      {pending.map(entry => (
+        <div key={entry.code} className="confirm-item">
+          <span className="confirm-question" title={entry.chatId}>
+            <span className="confirm-code">{entry.code}</span> {entry.question}
+          </span>
+          <span className="confirm-meta">
+            {entry.risk || 'asked by the AI'} · expires {new Date(entry.expiresAt).toLocaleTimeString()}
+          </span>
+          <div className="queue-actions">
+            <button onClick={() => decide(entry.code, true)} disabled={answering.has(entry.code)} title="Approve">✓</button>
+            <button onClick={() => decide(entry.code, false)} disabled={answering.has(entry.code)} title="Reject">&times;</button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ConfirmationsPanel;
@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react';
+
+const KIND_ICONS = { text: '💬', media: '📎', image: '🖼️' };
+
+function FailedPanel({ socket }) {
+  const [failed, setFailed] = useState([]);
+  const [error, setError] = useState(null);
+  const [retrying, setRetrying] = useState(new Set());
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleFailedList = ({ failed: list, error: err }) => {
+      setFailed(list || []);
+      setError(err || null);
+    };
+
+    // Retried entries leave the list (and come back with a new id if they fail again)
+    const handleUpdated = ({ failed: list }) => {
+      setFailed(list || []);
+      setRetrying(prev => new Set([...prev].filter(id => (list || []).some(f => f.id === id))));
+    };
+
+    socket.on('failed-list', handleFailedList);
+    socket.on('failed-updated', handleUpdated);
+    socket.emit('get-failed');
+
+    return () => {
+      socket.off('failed-list', handleFailedList);
+      socket.off('failed-updated', handleUpdated);
+    };
+  }, [socket]);
+
+  const retry = (id) => {
+    setRetrying(prev => new Set(prev).add(id));
+    socket?.emit('retry-failed', { id });
+  };
+
+  const discard = (id) => {
+    socket?.emit('discard-failed', { id });
+  };
+
+  if (failed.length === 0 && !error) return null;
+
+  return (
+    <div className="failed-panel" onClick={(e) => e.stopPropagation()}>
+      <div className="failed-title">⚠️ Failed deliveries ({failed.length})</div>
+      {error && <div className="queue-error">{error}</div>}
+      {failed.map(entry => (
+        <div key={entry.id} className="failed-item">
+          <span className="failed-summary" title={`${entry.chatId}\n${new Date(entry.failedAt).toLocaleString()}`}>
+            {KIND_ICONS[entry.kind]} {entry.summary}
+          </span>
+          <span className="failed-error">
+            {entry.error} · {entry.attempts} attempts
+          </span>
+          <div className="queue-actions">
+            {entry.retryable && (
+              <button onClick={() => retry(entry.id)} disabled={retrying.has(entry.id)} title="Retry">↻</button>
+            )}
+            <button onClick={() => discard(entry.id)} title="Discard">&times;</button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default FailedPanel;
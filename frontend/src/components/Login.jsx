@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+
+function Login({ onLogin, error, connecting }) {
+  const [password, setPassword] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!password) return;
+    onLogin(password);
+    setPassword('');
+  };
+
+  if (connecting) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Connecting...</p>
+      </div>
+    );
+  }
+
+  return (
+    <form className="login-form" onSubmit={handleSubmit}>
+      <p>Enter the dashboard password</p>
+      <input
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        placeholder="Password"
+        className="login-input"
+        autoFocus
+      />
+      {error && <div className="login-error">{error}</div>}
+      <button type="submit" className="send-button" disabled={!password}>
+        Log in
+      </button>
+      <p className="login-hint">
+        Set DASHBOARD_PASSWORD on the backend, or use the password it prints on startup.
+      </p>
+    </form>
+  );
+}
+
+export default Login;
@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react';
+
+const STATUS_ICONS = { active: '📤', paused: '⏸️', stopped: '🛑', done: '✅' };
+
+function QueuePanel({ socket }) {
+  const [queues, setQueues] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleQueuesList = ({ queues: list, error: err }) => {
+      setQueues(list || []);
+      setError(err || null);
+    };
+
+    // One queue changed (or was removed)
+    const handleProgress = (queue) => {
+      setQueues(prev => {
+        if (queue.status === 'removed') return prev.filter(q => q.name !== queue.name);
+        const exists = prev.some(q => q.name === queue.name);
+        return exists ? prev.map(q => (q.name === queue.name ? queue : q)) : [...prev, queue];
+      });
+    };
+
+    socket.on('queues-list', handleQueuesList);
+    socket.on('queue-progress', handleProgress);
+    socket.emit('get-queues');
+
+    return () => {
+      socket.off('queues-list', handleQueuesList);
+      socket.off('queue-progress', handleProgress);
+    };
+  }, [socket]);
+
+  const runAction = (name, action) => {
+    socket?.emit('queue-action', { name, action });
+  };
+
+  if (queues.length === 0) return null;
+
+  return (
+    <div className="queue-panel" onClick={(e) => e.stopPropagation()}>
+      {error && <div className="queue-error">{error}</div>}
+      {queues.map(queue => {
+        const percent = queue.totalFiles ? Math.round((queue.sentFiles / queue.totalFiles) * 100) : 0;
+        return (
+          <div key={queue.name} className={`queue-item ${queue.status}`}>
+            <div className="queue-item-header">
+              <span className="queue-name" title={queue.folder}>
+                {STATUS_ICONS[queue.status]} {queue.name}
+              </span>
+              <span className="queue-count">
+                {queue.sentFiles}/{queue.totalFiles}
+                {queue.status === 'active' && queue.remainingFiles[0] && ` · next: ${queue.remainingFiles[0]}`}
+              </span>
+              <div className="queue-actions">
+                {queue.status === 'active' && (
+                  <button onClick={() => runAction(queue.name, 'pause')} title="Pause">⏸</button>
+                )}
+                {queue.status === 'paused' && (
+                  <button onClick={() => runAction(queue.name, 'resume')} title="Resume">▶</button>
+                )}
+                {['active', 'paused'].includes(queue.status) ? (
+                  <button onClick={() => runAction(queue.name, 'stop')} title="Stop">■</button>
+                ) : (
+                  <button onClick={() => runAction(queue.name, 'reset')} title="Dismiss">&times;</button>
+                )}
+              </div>
+            </div>
+            <div className="queue-progress-bar">
+              <div className="queue-progress-fill" style={{ width: `${percent}%` }}></div>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default QueuePanel;
@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+
+const SOURCE_LABELS = { default: 'default', 'config.json': 'config.json', environment: 'env' };
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+  return String(value);
+}
+
+// Read-only: settings are changed in backend/.env, the environment or backend/config.json
+function SettingsManager({ socket, isOpen, onClose }) {
+  const [settings, setSettings] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (isOpen && socket) {
+      setLoading(true);
+      socket.emit('get-settings');
+    }
+  }, [isOpen, socket]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleSettings = ({ settings: list }) => {
+      setLoading(false);
+      setSettings(list || []);
+    };
+
+    socket.on('settings', handleSettings);
+    return () => {
+      socket.off('settings', handleSettings);
+    };
+  }, [socket]);
+
+  if (!isOpen) return null;
+
+  const groups = [...new Set(settings.map(s => s.group))];
+
+  return (
+    <div className="mcp-modal-overlay" onClick={onClose}>
+      <div className="mcp-modal mcp-modal-large" onClick={(e) => e.stopPropagation()}>
+        <div className="mcp-modal-header">
+          <h2>Settings</h2>
+          <button className="mcp-close-btn" onClick={onClose}>&times;</button>
+        </div>
+
+        <div className="mcp-modal-body">
+          <div className="settings-note">
+            Set in <code>backend/.env</code>, the environment or <code>backend/config.json</code>; changes apply after a restart.
+          </div>
+          {loading && settings.length === 0 && <div className="mcp-loading">Loading settings...</div>}
+          {groups.map(group => (
+            <div key={group} className="settings-group">
+              <h3>{group}</h3>
+              {settings.filter(s => s.group === group).map(setting => (
+                <div key={setting.key} className="settings-row" title={setting.description}>
+                  <span className="settings-key">{setting.env}</span>
+                  <span className="settings-value">{formatValue(setting.value)}</span>
+                  <span className={`settings-source ${setting.source === 'default' ? '' : 'custom'}`}>
+                    {SOURCE_LABELS[setting.source]}
+                  </span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SettingsManager;
@@ -1,18 +1,28 @@
 import React, { useState, useEffect, useRef } from 'react';
 import MCPManager from './MCPManager';
+import ChatManager from './ChatManager';
+import SettingsManager from './SettingsManager';
+import QueuePanel from './QueuePanel';
+import FailedPanel from './FailedPanel';
+import ConfirmationsPanel from './ConfirmationsPanel';
 
 function Terminal({ socket, messages }) {
   const [mcpModalOpen, setMcpModalOpen] = useState(false);
+  const [chatModalOpen, setChatModalOpen] = useState(false);
+  const [settingsModalOpen, setSettingsModalOpen] = useState(false);
   const [output, setOutput] = useState([
     { type: 'system', text: 'AI Terminal - WhatsApp messages go to Claude automatically' }
   ]);
   const [currentProvider, setCurrentProvider] = useState('claude');
+  const [providers, setProviders] = useState([]);
+  const [usage, setUsage] = useState({});
   const [input, setInput] = useState('');
   const [isWaiting, setIsWaiting] = useState(false);
   const [streamingText, setStreamingText] = useState('');
   const [isTypingWhatsApp, setIsTypingWhatsApp] = useState(false);
   const [typingText, setTypingText] = useState('');
   const [pendingMessages, setPendingMessages] = useState([]);
+  const [commands, setCommands] = useState([]);
   const terminalRef = useRef(null);
   const inputRef = useRef(null);
   const processedIds = useRef(new Set());
@@ -37,7 +47,7 @@ function Terminal({ socket, messages }) {
       if (done) {
         // Streaming complete - add full response to history
         if (streamingText) {
-          setOutput(prev => [...prev, { type: currentProvider, text: streamingText }]);
+          setOutput(prev => [...prev, { type: 'ai', provider: currentProvider, text: streamingText }]);
         }
         setStreamingText('');
         setIsWaiting(false);
@@ -52,39 +62,80 @@ function Terminal({ socket, messages }) {
       setIsWaiting(false);
     };
 
+    // Handle events refused for read-only logins
+    const handleForbidden = ({ message }) => handleError(message);
+
     // Handle WhatsApp -> AI processing
-    const handleAIProcessing = ({ prompt, provider }) => {
-      setOutput(prev => [...prev, { type: 'whatsapp-prompt', text: prompt, provider }]);
+    const handleAIProcessing = ({ prompt, provider, chat }) => {
+      setOutput(prev => [...prev, { type: 'whatsapp-prompt', text: prompt, provider, chat }]);
       setIsWaiting(true);
     };
 
-    // Handle AI response
+    // Handle AI response (replaces any text streamed while it was generated)
     const handleAIResponse = ({ response, provider }) => {
-      setOutput(prev => [...prev, { type: provider, text: response }]);
+      setOutput(prev => [...prev, { type: 'ai', provider, text: response }]);
+      setStreamingText('');
       setIsWaiting(false);
     };
 
     // Handle AI provider switch
-    const handleAISwitched = ({ provider }) => {
+    const handleAISwitched = ({ provider, label }) => {
       setCurrentProvider(provider);
-      setOutput(prev => [...prev, { type: 'system', text: `Switched to ${provider.toUpperCase()} AI` }]);
+      setOutput(prev => [...prev, { type: 'system', text: `Switched to ${label || provider.toUpperCase()}` }]);
+    };
+
+    // Handle available AI providers
+    const handleProvidersList = ({ providers: list, current }) => {
+      setProviders(list || []);
+      if (current) setCurrentProvider(current);
+    };
+
+    // Handle token usage reported by API providers
+    const handleUsage = ({ provider, totals }) => {
+      setUsage(prev => ({ ...prev, [provider]: totals }));
+    };
+
+    // Handle output of slash commands
+    const handleCommandOutput = ({ text, error }) => {
+      setOutput(prev => [...prev, { type: error ? 'error' : 'command', text }]);
+    };
+
+    // Handle the command registry, used for Tab completion
+    const handleCommandsList = ({ commands: list }) => {
+      setCommands(list || []);
     };
 
     socket.on('claude-stream', handleStream);
     socket.on('claude-error', handleError);
+    socket.on('forbidden', handleForbidden);
     socket.on('ai-processing', handleAIProcessing);
     socket.on('ai-response', handleAIResponse);
     socket.on('ai-switched', handleAISwitched);
+    socket.on('providers-list', handleProvidersList);
+    socket.on('ai-usage', handleUsage);
+    socket.on('command-output', handleCommandOutput);
+    socket.on('commands-list', handleCommandsList);
 
     return () => {
       socket.off('claude-stream', handleStream);
       socket.off('claude-error', handleError);
+      socket.off('forbidden', handleForbidden);
       socket.off('ai-processing', handleAIProcessing);
       socket.off('ai-response', handleAIResponse);
       socket.off('ai-switched', handleAISwitched);
+      socket.off('providers-list', handleProvidersList);
+      socket.off('ai-usage', handleUsage);
+      socket.off('command-output', handleCommandOutput);
+      socket.off('commands-list', handleCommandsList);
     };
   }, [socket, streamingText, currentProvider]);
 
+  // Fetch available AI providers and commands
+  useEffect(() => {
+    socket?.emit('get-providers');
+    socket?.emit('get-commands');
+  }, [socket]);
+
   // Watch for new WhatsApp messages
   useEffect(() => {
     const newMessages = messages.filter(msg => !processedIds.current.has(msg.id));
@@ -132,12 +183,19 @@ function Terminal({ socket, messages }) {
     const message = input.trim();
     setInput('');
 
-    // Handle commands
+    // Handle commands (/clear only clears the terminal; /reset clears the conversation)
     if (message === '/clear') {
       setOutput([{ type: 'system', text: 'Terminal cleared.' }]);
       return;
     }
 
+    // Other slash commands run on the server like in Notes to Self
+    if (/^\/[a-z][\w-]*(\s|$)/i.test(message)) {
+      setOutput(prev => [...prev, { type: 'user', text: message }]);
+      socket?.emit('run-command', { text: message });
+      return;
+    }
+
     // Show user input and send to Claude
     setOutput(prev => [...prev, { type: 'user', text: message }]);
     setIsWaiting(true);
@@ -146,6 +204,19 @@ function Terminal({ socket, messages }) {
     socket?.emit('claude-message', message);
   };
 
+  // Tab completes command names
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Tab' || !/^\/[\w-]*$/.test(input)) return;
+    e.preventDefault();
+    const prefix = input.slice(1).toLowerCase();
+    const names = commands.flatMap(cmd => [cmd.name, ...cmd.aliases]).filter(name => name.startsWith(prefix));
+    if (names.length === 1) {
+      setInput(`/${names[0]} `);
+    } else if (names.length > 1) {
+      setOutput(prev => [...prev, { type: 'command', text: names.map(name => `/${name}`).join('  ') }]);
+    }
+  };
+
   return (
     <div className="terminal" onClick={handleTerminalClick}>
       <div className="terminal-header">
@@ -155,17 +226,62 @@ function Terminal({ socket, messages }) {
           <span className="terminal-btn green"></span>
         </div>
         <span className="terminal-title">AI Terminal ({currentProvider.toUpperCase()})</span>
-        <button
-          className="terminal-settings-btn"
-          onClick={(e) => { e.stopPropagation(); setMcpModalOpen(true); }}
-          title="MCP Settings"
-        >
-          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-            <circle cx="12" cy="12" r="3"/>
-            <path d="M19.4 15a1.65 1.65 0 00.33 1.82l.06.06a2 2 0 010 2.83 2 2 0 01-2.83 0l-.06-.06a1.65 1.65 0 00-1.82-.33 1.65 1.65 0 00-1 1.51V21a2 2 0 01-2 2 2 2 0 01-2-2v-.09A1.65 1.65 0 009 19.4a1.65 1.65 0 00-1.82.33l-.06.06a2 2 0 01-2.83 0 2 2 0 010-2.83l.06-.06a1.65 1.65 0 00.33-1.82 1.65 1.65 0 00-1.51-1H3a2 2 0 01-2-2 2 2 0 012-2h.09A1.65 1.65 0 004.6 9a1.65 1.65 0 00-.33-1.82l-.06-.06a2 2 0 010-2.83 2 2 0 012.83 0l.06.06a1.65 1.65 0 001.82.33H9a1.65 1.65 0 001-1.51V3a2 2 0 012-2 2 2 0 012 2v.09a1.65 1.65 0 001 1.51 1.65 1.65 0 001.82-.33l.06-.06a2 2 0 012.83 0 2 2 0 010 2.83l-.06.06a1.65 1.65 0 00-.33 1.82V9a1.65 1.65 0 001.51 1H21a2 2 0 012 2 2 2 0 01-2 2h-.09a1.65 1.65 0 00-1.51 1z"/>
-          </svg>
-        </button>
+        {usage[currentProvider] && (
+          <span className="terminal-usage" title="Tokens used this session (in / out)">
+            {usage[currentProvider].inputTokens} / {usage[currentProvider].outputTokens} tokens
+          </span>
+        )}
+        {providers.length > 1 && (
+          <select
+            className="terminal-provider-select"
+            value={currentProvider}
+            onClick={(e) => e.stopPropagation()}
+            onChange={(e) => socket?.emit('switch-ai', { provider: e.target.value })}
+            disabled={isWaiting}
+            title="AI provider"
+          >
+            {providers.map(p => (
+              <option key={p.name} value={p.name}>{p.label}</option>
+            ))}
+          </select>
+        )}
+        <div className="terminal-header-actions">
+          <button
+            className="terminal-settings-btn"
+            onClick={(e) => { e.stopPropagation(); setChatModalOpen(true); }}
+            title="Allowed Chats"
+          >
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M21 15a2 2 0 01-2 2H7l-4 4V5a2 2 0 012-2h14a2 2 0 012 2z"/>
+            </svg>
+          </button>
+          <button
+            className="terminal-settings-btn"
+            onClick={(e) => { e.stopPropagation(); setSettingsModalOpen(true); }}
+            title="Settings"
+          >
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="4" y1="21" x2="4" y2="14"/><line x1="4" y1="10" x2="4" y2="3"/>
+              <line x1="12" y1="21" x2="12" y2="12"/><line x1="12" y1="8" x2="12" y2="3"/>
+              <line x1="20" y1="21" x2="20" y2="16"/><line x1="20" y1="12" x2="20" y2="3"/>
+              <line x1="1" y1="14" x2="7" y2="14"/><line x1="9" y1="8" x2="15" y2="8"/><line x1="17" y1="16" x2="23" y2="16"/>
+            </svg>
+          </button>
+          <button
+            className="terminal-settings-btn"
+            onClick={(e) => { e.stopPropagation(); setMcpModalOpen(true); }}
+            title="MCP Settings"
+          >
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <circle cx="12" cy="12" r="3"/>
+              <path d="M19.4 15a1.65 1.65 0 00.33 1.82l.06.06a2 2 0 010 2.83 2 2 0 01-2.83 0l-.06-.06a1.65 1.65 0 00-1.82-.33 1.65 1.65 0 00-1 1.51V21a2 2 0 01-2 2 2 2 0 01-2-2v-.09A1.65 1.65 0 009 19.4a1.65 1.65 0 00-1.82.33l-.06.06a2 2 0 01-2.83 0 2 2 0 010-2.83l.06-.06a1.65 1.65 0 00.33-1.82 1.65 1.65 0 00-1.51-1H3a2 2 0 01-2-2 2 2 0 012-2h.09A1.65 1.65 0 004.6 9a1.65 1.65 0 00-.33-1.82l-.06-.06a2 2 0 010-2.83 2 2 0 012.83 0l.06.06a1.65 1.65 0 001.82.33H9a1.65 1.65 0 001-1.51V3a2 2 0 012-2 2 2 0 012 2v.09a1.65 1.65 0 001 1.51 1.65 1.65 0 001.82-.33l.06-.06a2 2 0 012.83 0 2 2 0 010 2.83l-.06.06a1.65 1.65 0 00-.33 1.82V9a1.65 1.65 0 001.51 1H21a2 2 0 012 2 2 2 0 01-2 2h-.09a1.65 1.65 0 00-1.51 1z"/>
+            </svg>
+          </button>
+        </div>
       </div>
+      <QueuePanel socket={socket} />
+      <ConfirmationsPanel socket={socket} />
+      <FailedPanel socket={socket} />
       <div className="terminal-body" ref={terminalRef}>
         {output.map((line, index) => (
           <div key={index} className={`terminal-line ${line.type}`}>
@@ -178,21 +294,15 @@ function Terminal({ socket, messages }) {
                 <span className="terminal-user-input">{line.text}</span>
               </>
             )}
-            {line.type === 'qwen' && (
-              <>
-                <span className="terminal-qwen-prompt">qwen &gt;</span>
-                <span className="terminal-qwen-response">{line.text}</span>
-              </>
-            )}
-            {line.type === 'claude' && (
+            {line.type === 'ai' && (
               <>
-                <span className="terminal-claude-prompt">claude &gt;</span>
-                <span className="terminal-claude-response">{line.text}</span>
+                <span className="terminal-ai-prompt">{line.provider} &gt;</span>
+                <span className="terminal-ai-response">{line.text}</span>
               </>
             )}
             {line.type === 'whatsapp-prompt' && (
               <>
-                <span className="terminal-whatsapp-prompt">[WhatsApp → {(line.provider || currentProvider).toUpperCase()}]</span>
+                <span className="terminal-whatsapp-prompt">[{line.chat || 'WhatsApp'} → {(line.provider || currentProvider).toUpperCase()}]</span>
                 <span className="terminal-whatsapp-text">{line.text}</span>
               </>
             )}
@@ -202,6 +312,9 @@ function Terminal({ socket, messages }) {
                 <span className="terminal-whatsapp-text">{line.text}</span>
               </>
             )}
+            {line.type === 'command' && (
+              <span className="terminal-command-output">{line.text}</span>
+            )}
             {line.type === 'error' && (
               <span className="terminal-error">{line.text}</span>
             )}
@@ -211,8 +324,8 @@ function Terminal({ socket, messages }) {
         {/* AI streaming response */}
         {isWaiting && streamingText && (
           <div className="terminal-line streaming">
-            <span className={`terminal-${currentProvider}-prompt`}>{currentProvider} &gt;</span>
-            <span className={`terminal-${currentProvider}-response`}>
+            <span className="terminal-ai-prompt">{currentProvider} &gt;</span>
+            <span className="terminal-ai-response">
               {streamingText}
               <span className="terminal-cursor">|</span>
             </span>
@@ -233,7 +346,7 @@ function Terminal({ socket, messages }) {
         {/* Waiting indicator */}
         {isWaiting && !streamingText && (
           <div className="terminal-line waiting">
-            <span className={`terminal-${currentProvider}-prompt`}>{currentProvider} &gt;</span>
+            <span className="terminal-ai-prompt">{currentProvider} &gt;</span>
             <span className="terminal-waiting">thinking...</span>
           </div>
         )}
@@ -246,8 +359,9 @@ function Terminal({ socket, messages }) {
             type="text"
             value={input}
             onChange={(e) => setInput(e.target.value)}
+            onKeyDown={handleKeyDown}
             className="terminal-input"
-            placeholder={isWaiting ? `Waiting for ${currentProvider}...` : `Type a message to ${currentProvider}...`}
+            placeholder={isWaiting ? `Waiting for ${currentProvider}...` : `Type a message to ${currentProvider}, or /help for commands...`}
             disabled={isWaiting}
             autoFocus
           />
@@ -259,6 +373,18 @@ function Terminal({ socket, messages }) {
         isOpen={mcpModalOpen}
         onClose={() => setMcpModalOpen(false)}
       />
+
+      <ChatManager
+        socket={socket}
+        isOpen={chatModalOpen}
+        onClose={() => setChatModalOpen(false)}
+      />
+
+      <SettingsManager
+        socket={socket}
+        isOpen={settingsModalOpen}
+        onClose={() => setSettingsModalOpen(false)}
+      />
     </div>
   );
 }
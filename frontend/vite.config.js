@@ -1,9 +1,17 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// Socket.io requests go through the dev server to the backend, so the dashboard works from
+// whatever address it is opened at; BACKEND_URL points it at a backend on another port or host.
+// xfwd passes on each client's address, which the backend counts failed logins by.
+const backendUrl = process.env.BACKEND_URL || 'http://localhost:3001';
+
 export default defineConfig({
   plugins: [react()],
   server: {
-    port: 5173
+    port: 5173,
+    proxy: {
+      '/socket.io': { target: backendUrl, ws: true, xfwd: true }
+    }
   }
 });